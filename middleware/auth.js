@@ -1,18 +1,79 @@
 const jwt = require("jsonwebtoken");
+const { pool } = require("../db");
+const { isSessionActive } = require("../services/sessions");
+const { isApiKey, authenticateApiKey } = require("../services/apiKeys");
 
-function requireAuth(req, res, next) {
+// Accepts a signed-in session's access JWT or a personal API key, either as
+// a Bearer token or (keys only) in X-API-Key
+async function requireAuth(req, res, next) {
   const hdr = req.headers.authorization || "";
-  const token = hdr.startsWith("Bearer ") ? hdr.slice("Bearer ".length) : null;
+  const token = hdr.startsWith("Bearer ") ? hdr.slice("Bearer ".length) : req.get("x-api-key") || null;
 
   if (!token) return res.status(401).json({ error: "Missing Bearer token" });
 
+  if (isApiKey(token)) {
+    try {
+      const key = await authenticateApiKey(pool, token);
+      if (!key) return res.status(401).json({ error: "Invalid API key" });
+      req.user = { id: key.userId, userId: key.userId, apiKeyId: key.id, scopes: key.scopes };
+      return next();
+    } catch (err) {
+      console.error("API key check error:", err.message);
+      return res.status(500).json({ error: "Failed to check API key" });
+    }
+  }
+
+  let payload;
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = payload; // { userId, email }
-    return next();
+    payload = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     return res.status(401).json({ error: "Invalid token" });
   }
+
+  // Tokens from before sessions existed can't be revoked, so they aren't accepted
+  if (!payload.sid) return res.status(401).json({ error: "Session expired, sign in again" });
+
+  try {
+    if (!(await isSessionActive(pool, payload.sid))) {
+      return res.status(401).json({ error: "Session revoked" });
+    }
+  } catch (err) {
+    console.error("Session check error:", err.message);
+    return res.status(500).json({ error: "Failed to check session" });
+  }
+
+  req.user = { ...payload, id: payload.userId, sessionId: payload.sid }; // { id, userId, email, sessionId }
+  return next();
+}
+
+/**
+ * Route guard for API keys: the key must carry `scope`. Signed-in sessions
+ * may do anything their user can. Use after requireAuth.
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.user?.apiKeyId || req.user.scopes.includes(scope)) return next();
+    return res.status(403).json({ error: `API key is missing the ${scope} scope` });
+  };
+}
+
+// Route guard for account actions an API key must never do (managing keys,
+// signing out). Use after requireAuth.
+function requireSession(req, res, next) {
+  if (!req.user?.apiKeyId) return next();
+  return res.status(403).json({ error: "Sign in to do this; API keys can't" });
+}
+
+// Operators, by user id (ADMIN_USER_IDS, comma-separated)
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || "")
+  .split(",")
+  .map((id) => id.trim())
+  .filter(Boolean);
+
+// Route guard for operator-only actions; API keys never qualify. Use after requireAuth.
+function requireAdmin(req, res, next) {
+  if (!req.user?.apiKeyId && ADMIN_USER_IDS.includes(String(req.user?.id))) return next();
+  return res.status(403).json({ error: "Admins only" });
 }
 
-module.exports = { requireAuth };
+module.exports = { requireAuth, requireScope, requireSession, requireAdmin };
@@ -0,0 +1,42 @@
+const { pool } = require("../db");
+const { ROLES, memberRole, roleAtLeast } = require("../services/workspaces");
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Route guard for the active workspace, picked with the X-Workspace-Id header.
+ * Without the header the request acts on the user's personal videos and
+ * balance (req.workspace = null); with it the user must be a member with at
+ * least `minRole`, and req.workspace = { id, role }. Use after requireAuth.
+ */
+function useWorkspace(minRole = "viewer") {
+  if (!ROLES.includes(minRole)) throw new Error(`Unknown workspace role: ${minRole}`);
+
+  return async (req, res, next) => {
+    const workspaceId = req.get("x-workspace-id");
+    if (!workspaceId) {
+      req.workspace = null;
+      return next();
+    }
+
+    // Not a member looks the same as not existing
+    if (!UUID.test(workspaceId)) return res.status(404).json({ error: "Workspace not found" });
+
+    let role;
+    try {
+      role = await memberRole(pool, workspaceId, req.user.id);
+    } catch (err) {
+      console.error("Workspace role check error:", err.message);
+      return res.status(500).json({ error: "Failed to check workspace" });
+    }
+    if (!role) return res.status(404).json({ error: "Workspace not found" });
+    if (!roleAtLeast(role, minRole)) {
+      return res.status(403).json({ error: `Requires the ${minRole} role in this workspace` });
+    }
+
+    req.workspace = { id: workspaceId, role };
+    return next();
+  };
+}
+
+module.exports = { useWorkspace };
@@ -0,0 +1,2 @@
+-- Per-stage pipeline checkpoints (script, scenes, images, voiceover, render, upload)
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS stage_outputs JSONB NOT NULL DEFAULT '{}'::jsonb;
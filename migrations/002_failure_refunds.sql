@@ -0,0 +1,2 @@
+-- Why a video ended up in status 'failed'
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS error_reason TEXT;
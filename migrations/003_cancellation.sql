@@ -0,0 +1,2 @@
+-- Creatomate render currently in flight for a video, so it can be cancelled
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS render_id TEXT;
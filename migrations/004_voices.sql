@@ -0,0 +1,3 @@
+-- Narration voice chosen at generation time (services/voices catalog id)
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS voice TEXT;
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS voice_settings JSONB NOT NULL DEFAULT '{}'::jsonb;
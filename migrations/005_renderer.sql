@@ -0,0 +1,3 @@
+-- Render backend chosen at generation time (services/providers render adapter);
+-- NULL uses RENDER_PROVIDER
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS renderer TEXT;
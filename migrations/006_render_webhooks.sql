@@ -0,0 +1,6 @@
+-- Set while a render has been handed off to the provider and the video is
+-- waiting on its webhook (or the sweep); NULL otherwise
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS render_pending_since TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS videos_render_pending_idx
+  ON videos (render_pending_since) WHERE render_pending_since IS NOT NULL;
@@ -0,0 +1,19 @@
+-- Content moderation decisions, allowed and blocked, for review.
+-- Ids are kept as text and not as foreign keys, so the log outlives
+-- deleted videos; blocked topics never get a video at all.
+CREATE TABLE IF NOT EXISTS moderation_log (
+  id BIGSERIAL PRIMARY KEY,
+  video_id TEXT,
+  user_id TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  content TEXT NOT NULL,
+  allowed BOOLEAN NOT NULL,
+  provider TEXT NOT NULL,
+  reason TEXT,
+  matched TEXT[] NOT NULL DEFAULT '{}',
+  categories TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS moderation_log_video_idx ON moderation_log (video_id);
+CREATE INDEX IF NOT EXISTS moderation_log_blocked_idx ON moderation_log (created_at) WHERE NOT allowed;
@@ -0,0 +1,20 @@
+-- Background music catalog. Tracks are added by hand; `license` names the
+-- license the track is used under and `license_url` where it is stated.
+CREATE TABLE IF NOT EXISTS music_tracks (
+  id TEXT PRIMARY KEY,
+  title TEXT NOT NULL,
+  artist TEXT,
+  mood TEXT NOT NULL,
+  bpm INTEGER,
+  duration NUMERIC,
+  license TEXT NOT NULL,
+  license_url TEXT,
+  url TEXT NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS music_tracks_mood_idx ON music_tracks (mood) WHERE active;
+
+-- Music chosen at generation time: a music_tracks id, 'auto', or NULL for none
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS music TEXT;
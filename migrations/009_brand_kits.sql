@@ -0,0 +1,16 @@
+-- Per-user brand kits. `settings` holds the validated kit (services/brandKits):
+-- logo, caption font and colors, intro/outro cards, end-screen CTA.
+-- user_id is kept as text, like moderation_log.
+CREATE TABLE IF NOT EXISTS brand_kits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS brand_kits_user_idx ON brand_kits (user_id);
+
+-- Brand kit chosen at generation time; the render stage applies it
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS brand_kit_id UUID REFERENCES brand_kits(id) ON DELETE SET NULL;
@@ -0,0 +1,9 @@
+-- Output aspect ratios for a video: the first is the main render (video_url),
+-- the rest are rendered after it. NULL means the default 9:16 only.
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS aspect_ratios TEXT[];
+
+-- How scene images serve several ratios: 'safe' (one centred image) or 'per_ratio'
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS image_framing TEXT;
+
+-- Finished outputs by ratio, e.g. {"9:16": "https://...", "1:1": "https://..."}
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS renditions JSONB;
@@ -0,0 +1,7 @@
+-- Localized versions are child videos of the original: the script is
+-- translated, the parent's images are reused. parent_video_id is kept as text,
+-- like moderation_log.video_id. language NULL means the source language (en).
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS parent_video_id TEXT;
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS language TEXT;
+
+CREATE INDEX IF NOT EXISTS videos_parent_idx ON videos (parent_video_id) WHERE parent_video_id IS NOT NULL;
@@ -0,0 +1,11 @@
+-- Batch generation: one charge for many videos, tracked together.
+-- user_id is kept as text, like brand_kits.
+CREATE TABLE IF NOT EXISTS batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  total_cost INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES batches(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS videos_batch_idx ON videos (batch_id) WHERE batch_id IS NOT NULL;
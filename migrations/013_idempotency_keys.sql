@@ -0,0 +1,13 @@
+-- Responses stored per Idempotency-Key (services/idempotency), so a retried
+-- POST /generate replays the first response instead of charging again.
+-- scope names the endpoint; fingerprint is a sha256 of the request body.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  key TEXT NOT NULL,
+  fingerprint TEXT NOT NULL,
+  status_code INTEGER NOT NULL,
+  response JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, scope, key)
+);
@@ -0,0 +1,48 @@
+-- Ledger history (services/ledger): pages are read newest first per balance,
+-- ordered by created_at then id.
+--
+-- Runs its backfills only when it adds the column, so applying it again
+-- doesn't touch entries written since:
+--  - existing entries are dated from their video, the best time known for
+--    them; the rest get the migration time
+--  - each user whose balance the ledger doesn't explain (tokens granted
+--    before every change was recorded) gets an OPENING_BALANCE entry for
+--    the difference, dated before their first entry, so reconciliation
+--    starts from balances that agree
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'token_ledger' AND column_name = 'created_at'
+  ) THEN
+    ALTER TABLE token_ledger ADD COLUMN created_at TIMESTAMPTZ;
+
+    UPDATE token_ledger l SET created_at = v.created_at
+    FROM videos v
+    WHERE l.video_id = v.id::text AND v.created_at IS NOT NULL;
+    UPDATE token_ledger SET created_at = NOW() WHERE created_at IS NULL;
+
+    ALTER TABLE token_ledger
+      ALTER COLUMN created_at SET DEFAULT NOW(),
+      ALTER COLUMN created_at SET NOT NULL;
+
+    INSERT INTO token_ledger (user_id, delta, reason, idempotency_key, created_at)
+    SELECT u.id::text,
+           COALESCE(u.tokens, 0) - COALESCE(l.total, 0),
+           'OPENING_BALANCE',
+           'opening-balance:' || u.id,
+           COALESCE(LEAST(u.created_at, l.first_at), NOW())
+    FROM users u
+    LEFT JOIN (
+      SELECT user_id, SUM(delta) AS total, MIN(created_at) AS first_at
+      FROM token_ledger WHERE workspace_id IS NULL GROUP BY user_id
+    ) l ON l.user_id = u.id::text
+    WHERE COALESCE(u.tokens, 0) <> COALESCE(l.total, 0)
+    ON CONFLICT (idempotency_key) DO NOTHING;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS token_ledger_user_created_idx
+  ON token_ledger (user_id, created_at DESC) WHERE workspace_id IS NULL;
+CREATE INDEX IF NOT EXISTS token_ledger_workspace_created_idx
+  ON token_ledger (workspace_id, created_at DESC) WHERE workspace_id IS NOT NULL;
@@ -0,0 +1,24 @@
+-- Token pack purchases (services/billing). A row is created pending when
+-- checkout starts; the payment webhook marks it paid and credits the tokens,
+-- and a refund or chargeback marks it reversed. user_id is kept as text,
+-- like api_keys; workspace_id is set for purchases into a workspace balance.
+CREATE TABLE IF NOT EXISTS token_purchases (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE SET NULL,
+  pack_id TEXT NOT NULL,
+  tokens INTEGER NOT NULL,
+  amount_cents INTEGER NOT NULL,
+  currency TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  checkout_id TEXT UNIQUE,
+  payment_id TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'reversed')),
+  reversal_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  paid_at TIMESTAMPTZ,
+  reversed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS token_purchases_user_idx ON token_purchases (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS token_purchases_payment_idx ON token_purchases (provider, payment_id) WHERE payment_id IS NOT NULL;
@@ -0,0 +1,12 @@
+-- A batch paid from a workspace's balance belongs to the workspace, like its
+-- videos; user_id stays the member who created it
+ALTER TABLE batches ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE SET NULL;
+
+UPDATE batches b
+SET workspace_id = v.workspace_id
+FROM (
+  SELECT DISTINCT ON (batch_id) batch_id, workspace_id
+  FROM videos
+  WHERE batch_id IS NOT NULL AND workspace_id IS NOT NULL
+) v
+WHERE v.batch_id = b.id AND b.workspace_id IS NULL;
@@ -0,0 +1,11 @@
+-- Refunds and chargebacks (services/billing) that arrive before the payment
+-- they reverse has been matched to a purchase: webhooks aren't delivered in
+-- order, and refund events only name the payment. The purchase whose payment
+-- later succeeds with one of these is marked reversed instead of credited.
+CREATE TABLE IF NOT EXISTS payment_reversals (
+  provider TEXT NOT NULL,
+  payment_id TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (provider, payment_id)
+);
@@ -1,6 +1,36 @@
 const { Queue } = require("bullmq");
 const { connection } = require("./redis");
 
-const videoQueue = new Queue("video", { connection });
+const videoQueue = new Queue("videoQueue", { connection });
 
-module.exports = { videoQueue };
+// One job per video, so a video's job can be looked up (and removed) by video id
+function videoJobId(videoId) {
+  return `video-${videoId}`;
+}
+
+// Queue the generation job for a video. Completed jobs are removed so the
+// same job id can be reused when a draft is approved. BullMQ ignores a job
+// whose id is still in the queue, so a caller that may run while the video's
+// previous job hasn't finished passes its own jobId.
+function enqueueGeneration(video, { draft = false, jobId = videoJobId(video.id) } = {}) {
+  return videoQueue.add(
+    "generate_video",
+    {
+      type: "generate_video",
+      videoId: video.id,
+      userId: video.user_id,
+      topic: video.topic,
+      visualStyle: video.style,
+      duration: Number(video.duration),
+      draft,
+    },
+    {
+      jobId,
+      attempts: 3,
+      backoff: { type: "exponential", delay: 8000 },
+      removeOnComplete: true,
+    }
+  );
+}
+
+module.exports = { videoQueue, videoJobId, enqueueGeneration };
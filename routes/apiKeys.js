@@ -0,0 +1,69 @@
+const express = require("express");
+
+const { requireSession } = require("../middleware/auth");
+const { SCOPES, parseApiKeyRequest, createApiKey, toJson } = require("../services/apiKeys");
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function makeApiKeysRouter(pool, requireAuth) {
+  const router = express.Router();
+
+  // Keys are managed from a signed-in session, never with another key
+  router.use(requireAuth, requireSession);
+
+  // Unknown ids are 404s rather than uuid cast errors
+  router.param("id", (req, res, next, id) => {
+    if (!UUID.test(id)) return res.status(404).json({ error: "API key not found" });
+    next();
+  });
+
+  // List the user's keys (never the keys themselves) and the scopes on offer
+  router.get("/", async (req, res) => {
+    try {
+      const r = await pool.query(
+        `SELECT id, name, prefix, scopes, created_at, expires_at, last_used_at, revoked_at
+         FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC`,
+        [String(req.user.id)]
+      );
+      res.json({ apiKeys: r.rows.map(toJson), scopes: SCOPES });
+    } catch (err) {
+      console.error("List API keys error:", err);
+      res.status(500).json({ error: "Failed to list API keys" });
+    }
+  });
+
+  // Create a key; the response is the only time the full key is shown
+  router.post("/", async (req, res) => {
+    const { key, error } = parseApiKeyRequest(req.body);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      const { row, secret } = await createApiKey(pool, req.user.id, key);
+      res.status(201).json({ apiKey: { ...toJson(row), key: secret } });
+    } catch (err) {
+      console.error("Create API key error:", err);
+      res.status(500).json({ error: "Failed to create API key" });
+    }
+  });
+
+  // Revoke a key; it stops working immediately
+  router.delete("/:id", async (req, res) => {
+    try {
+      const r = await pool.query(
+        `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW())
+         WHERE id = $1 AND user_id = $2
+         RETURNING id, name, prefix, scopes, created_at, expires_at, last_used_at, revoked_at`,
+        [req.params.id, String(req.user.id)]
+      );
+      if (!r.rowCount) return res.status(404).json({ error: "API key not found" });
+      res.json({ apiKey: toJson(r.rows[0]) });
+    } catch (err) {
+      console.error("Revoke API key error:", err);
+      res.status(500).json({ error: "Failed to revoke API key" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { makeApiKeysRouter };
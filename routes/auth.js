@@ -1,7 +1,22 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const passport = require("passport");
 
+const { requireAuth, requireSession } = require("../middleware/auth");
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} = require("../services/sessions");
+
+// Why a refresh token was refused, as sent to the client
+const REFRESH_ERRORS = {
+  invalid: "Invalid refresh token",
+  expired: "Refresh token expired, sign in again",
+  revoked: "Session revoked, sign in again",
+  reused: "Refresh token was already used; the session has been revoked",
+};
+
 function makeAuthRouter(pool) {
   const router = express.Router();
 
@@ -46,14 +61,18 @@ function makeAuthRouter(pool) {
         const result = await pool.query(upsertSql, [googleId, email, name, 0]);
         const user = result.rows[0];
 
-        const token = jwt.sign(
-          { userId: user.id, email: user.email },
-          process.env.JWT_SECRET,
-          { expiresIn: "7d" }
-        );
-
-        // Redirect back to frontend with token
-        return res.redirect(`${process.env.FRONTEND_URL}/?token=${encodeURIComponent(token)}`);
+        const { accessToken, refreshToken, expiresIn } = await createSession(pool, user, {
+          userAgent: req.get("user-agent"),
+        });
+
+        // Redirect back to frontend with the tokens in the fragment, which
+        // browsers don't send to servers or leak through Referer
+        const fragment = new URLSearchParams({
+          token: accessToken,
+          refresh_token: refreshToken,
+          expires_in: String(expiresIn),
+        });
+        return res.redirect(`${process.env.FRONTEND_URL}/#${fragment}`);
       } catch (err) {
         console.error("Auth callback error:", err);
         return res.redirect(`${process.env.FRONTEND_URL}/?error=server_auth_error`);
@@ -61,25 +80,59 @@ function makeAuthRouter(pool) {
     }
   );
 
-  // Who am I
-  router.get("/me", async (req, res) => {
-    const hdr = req.headers.authorization || "";
-    const token = hdr.startsWith("Bearer ") ? hdr.slice("Bearer ".length) : null;
+  // Trade a refresh token for a new access token and refresh token. The old
+  // refresh token stops working; using it again revokes the session.
+  router.post("/refresh", async (req, res) => {
+    const refreshToken = req.body?.refreshToken;
+    if (typeof refreshToken !== "string" || !refreshToken) {
+      return res.status(400).json({ error: "refreshToken is required" });
+    }
+
+    try {
+      const { tokens, error } = await rotateRefreshToken(pool, refreshToken);
+      if (error) return res.status(401).json({ error: REFRESH_ERRORS[error], reason: error });
+      return res.json(tokens);
+    } catch (err) {
+      console.error("Refresh token error:", err);
+      return res.status(500).json({ error: "Failed to refresh session" });
+    }
+  });
 
-    if (!token) return res.status(401).json({ error: "Missing Bearer token" });
+  // Sign out this session
+  router.post("/logout", requireAuth, requireSession, async (req, res) => {
+    try {
+      await revokeSession(pool, req.user.sessionId, req.user.id);
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error("Logout error:", err);
+      return res.status(500).json({ error: "Failed to sign out" });
+    }
+  });
 
+  // Sign out every session of this user, this one included
+  router.post("/logout-all", requireAuth, requireSession, async (req, res) => {
     try {
-      const payload = jwt.verify(token, process.env.JWT_SECRET);
+      const revoked = await revokeAllSessions(pool, req.user.id);
+      return res.json({ ok: true, revoked });
+    } catch (err) {
+      console.error("Logout all error:", err);
+      return res.status(500).json({ error: "Failed to sign out all sessions" });
+    }
+  });
 
+  // Who am I
+  router.get("/me", requireAuth, async (req, res) => {
+    try {
       const r = await pool.query(
         "SELECT id, email, name, tokens, created_at FROM users WHERE id = $1",
-        [payload.userId]
+        [req.user.id]
       );
 
       if (!r.rows[0]) return res.status(401).json({ error: "User not found" });
       return res.json({ user: r.rows[0] });
     } catch (err) {
-      return res.status(401).json({ error: "Invalid token" });
+      console.error("Get me error:", err);
+      return res.status(500).json({ error: "Failed to fetch user" });
     }
   });
 
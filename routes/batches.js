@@ -0,0 +1,31 @@
+const express = require("express");
+
+const { requireScope } = require("../middleware/auth");
+const { useWorkspace } = require("../middleware/workspace");
+const { batchProgress } = require("../services/batches");
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function makeBatchesRouter(pool, requireAuth) {
+  const router = express.Router();
+
+  // Aggregate progress of a batch: counts by status, overall percent, each video.
+  // Reads the active workspace's batches (X-Workspace-Id), or else the user's own.
+  router.get("/:id", requireAuth, requireScope("videos:read"), useWorkspace("viewer"), async (req, res) => {
+    if (!UUID.test(req.params.id)) return res.status(404).json({ error: "Batch not found" });
+
+    const owner = req.workspace ? { workspaceId: req.workspace.id } : { userId: req.user.id };
+    try {
+      const batch = await batchProgress(pool, req.params.id, owner);
+      if (!batch) return res.status(404).json({ error: "Batch not found" });
+      res.json({ batch });
+    } catch (err) {
+      console.error("Get batch error:", err);
+      res.status(500).json({ error: "Failed to fetch batch" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { makeBatchesRouter };
@@ -0,0 +1,56 @@
+const express = require("express");
+
+const { requireSession } = require("../middleware/auth");
+const { useWorkspace } = require("../middleware/workspace");
+const { TOKEN_PACKS, findPack, startCheckout, toJson } = require("../services/billing");
+
+function makeBillingRouter(pool, requireAuth) {
+  const router = express.Router();
+
+  // Purchases are made from a signed-in session, never with an API key
+  router.use(requireAuth, requireSession);
+
+  // Token packs on sale
+  router.get("/packs", (req, res) => {
+    res.json({ packs: TOKEN_PACKS });
+  });
+
+  // Start buying a pack. Tokens arrive once the provider confirms payment by
+  // webhook. With X-Workspace-Id they go to the workspace (admins only).
+  router.post("/checkout", useWorkspace("admin"), async (req, res) => {
+    const pack = findPack(req.body?.packId);
+    if (!pack) {
+      return res.status(400).json({ error: `packId must be one of: ${TOKEN_PACKS.map((p) => p.id).join(", ")}` });
+    }
+
+    try {
+      const { purchase, url } = await startCheckout(pool, {
+        pack,
+        userId: req.user.id,
+        workspaceId: req.workspace?.id || null,
+      });
+      res.status(201).json({ purchase: toJson(purchase), checkoutUrl: url });
+    } catch (err) {
+      console.error("Start checkout error:", err);
+      res.status(502).json({ error: "Failed to start checkout" });
+    }
+  });
+
+  // The user's purchases, newest first
+  router.get("/purchases", async (req, res) => {
+    try {
+      const r = await pool.query(
+        "SELECT * FROM token_purchases WHERE user_id = $1 ORDER BY created_at DESC LIMIT 100",
+        [String(req.user.id)]
+      );
+      res.json({ purchases: r.rows.map(toJson) });
+    } catch (err) {
+      console.error("List purchases error:", err);
+      res.status(500).json({ error: "Failed to list purchases" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { makeBillingRouter };
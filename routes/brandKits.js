@@ -0,0 +1,112 @@
+const express = require("express");
+
+const { requireScope } = require("../middleware/auth");
+const { parseBrandKit, findBrandKit } = require("../services/brandKits");
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function toJson(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    ...row.settings,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function makeBrandKitsRouter(pool, requireAuth) {
+  const router = express.Router();
+
+  // Unknown ids are 404s rather than uuid cast errors
+  router.param("id", (req, res, next, id) => {
+    if (!UUID.test(id)) return res.status(404).json({ error: "Brand kit not found" });
+    next();
+  });
+
+  // List the user's brand kits
+  router.get("/", requireAuth, requireScope("brand_kits:read"), async (req, res) => {
+    try {
+      const r = await pool.query(
+        "SELECT * FROM brand_kits WHERE user_id = $1 ORDER BY created_at DESC",
+        [String(req.user.id)]
+      );
+      res.json({ brandKits: r.rows.map(toJson) });
+    } catch (err) {
+      console.error("List brand kits error:", err);
+      res.status(500).json({ error: "Failed to list brand kits" });
+    }
+  });
+
+  router.get("/:id", requireAuth, requireScope("brand_kits:read"), async (req, res) => {
+    try {
+      const kit = await findBrandKit(pool, req.params.id, String(req.user.id));
+      if (!kit) return res.status(404).json({ error: "Brand kit not found" });
+      res.json({ brandKit: toJson(kit) });
+    } catch (err) {
+      console.error("Get brand kit error:", err);
+      res.status(500).json({ error: "Failed to fetch brand kit" });
+    }
+  });
+
+  router.post("/", requireAuth, requireScope("brand_kits:write"), async (req, res) => {
+    const { name, settings, error } = parseBrandKit(req.body);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      const r = await pool.query(
+        "INSERT INTO brand_kits (user_id, name, settings) VALUES ($1, $2, $3) RETURNING *",
+        [String(req.user.id), name, JSON.stringify(settings)]
+      );
+      res.status(201).json({ brandKit: toJson(r.rows[0]) });
+    } catch (err) {
+      console.error("Create brand kit error:", err);
+      res.status(500).json({ error: "Failed to create brand kit" });
+    }
+  });
+
+  // Partial update; a field set to null is removed from the kit
+  router.patch("/:id", requireAuth, requireScope("brand_kits:write"), async (req, res) => {
+    const { name, settings, error } = parseBrandKit(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+
+    const set = Object.fromEntries(Object.entries(settings).filter(([, v]) => v !== null));
+    const unset = Object.keys(settings).filter((k) => settings[k] === null);
+
+    try {
+      const r = await pool.query(
+        `UPDATE brand_kits
+         SET name = COALESCE($3, name),
+             settings = (settings - $5::text[]) || $4::jsonb,
+             updated_at = NOW()
+         WHERE id = $1 AND user_id = $2
+         RETURNING *`,
+        [req.params.id, String(req.user.id), name || null, JSON.stringify(set), unset]
+      );
+      if (!r.rowCount) return res.status(404).json({ error: "Brand kit not found" });
+      res.json({ brandKit: toJson(r.rows[0]) });
+    } catch (err) {
+      console.error("Update brand kit error:", err);
+      res.status(500).json({ error: "Failed to update brand kit" });
+    }
+  });
+
+  // Videos that used the kit keep the snapshot taken when they rendered
+  router.delete("/:id", requireAuth, requireScope("brand_kits:write"), async (req, res) => {
+    try {
+      const r = await pool.query(
+        "DELETE FROM brand_kits WHERE id = $1 AND user_id = $2 RETURNING id",
+        [req.params.id, String(req.user.id)]
+      );
+      if (!r.rowCount) return res.status(404).json({ error: "Brand kit not found" });
+      res.json({ success: true });
+    } catch (err) {
+      console.error("Delete brand kit error:", err);
+      res.status(500).json({ error: "Failed to delete brand kit" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { makeBrandKitsRouter };
@@ -0,0 +1,28 @@
+const express = require("express");
+
+const { requireScope } = require("../middleware/auth");
+const { MOODS, listTracks } = require("../services/music");
+
+function makeMusicRouter(pool, requireAuth) {
+  const router = express.Router();
+
+  // List background music tracks, optionally for one mood
+  router.get("/", requireAuth, requireScope("catalog:read"), async (req, res) => {
+    const mood = req.query.mood ? String(req.query.mood) : null;
+    if (mood && !MOODS.includes(mood)) {
+      return res.status(400).json({ error: `mood must be one of: ${MOODS.join(", ")}` });
+    }
+
+    try {
+      const tracks = await listTracks(pool, { mood });
+      res.json({ moods: MOODS, tracks });
+    } catch (err) {
+      console.error("List music error:", err);
+      res.status(500).json({ error: "Failed to list music" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { makeMusicRouter };
@@ -0,0 +1,64 @@
+const express = require("express");
+
+const { requireScope, requireSession, requireAdmin } = require("../middleware/auth");
+const { useWorkspace } = require("../middleware/workspace");
+const {
+  RECONCILE_MODES,
+  parseLedgerQuery,
+  listLedger,
+  ledgerSummary,
+  reconcileBalances,
+} = require("../services/ledger");
+
+// The balance a request reads: the active workspace's (X-Workspace-Id) or the user's
+const accountOf = (req) => (req.workspace ? { workspaceId: req.workspace.id } : { userId: req.user.id });
+
+function makeTokensRouter(pool, requireAuth) {
+  const router = express.Router();
+
+  // Ledger history, newest first. ?cursor= continues from a previous page's nextCursor.
+  router.get("/ledger", requireAuth, requireScope("tokens:read"), useWorkspace("viewer"), async (req, res) => {
+    const { filters, error } = parseLedgerQuery(req.query);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      const page = await listLedger(pool, accountOf(req), filters);
+      res.json(page);
+    } catch (err) {
+      console.error("List ledger error:", err);
+      res.status(500).json({ error: "Failed to fetch ledger" });
+    }
+  });
+
+  // Balance and ledger totals by reason
+  router.get("/summary", requireAuth, requireScope("tokens:read"), useWorkspace("viewer"), async (req, res) => {
+    try {
+      const summary = await ledgerSummary(pool, accountOf(req));
+      if (!summary) return res.status(404).json({ error: req.workspace ? "Workspace not found" : "User not found" });
+      res.json({ summary });
+    } catch (err) {
+      console.error("Ledger summary error:", err);
+      res.status(500).json({ error: "Failed to fetch token summary" });
+    }
+  });
+
+  // Operators: compare every cached balance with its ledger; { mode } repairs drift
+  router.post("/reconcile", requireAuth, requireSession, requireAdmin, async (req, res) => {
+    const mode = req.body?.mode || "report";
+    if (!RECONCILE_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${RECONCILE_MODES.join(", ")}` });
+    }
+
+    try {
+      const drift = await reconcileBalances(pool, { mode });
+      res.json({ mode, drift });
+    } catch (err) {
+      console.error("Reconcile balances error:", err);
+      res.status(500).json({ error: "Failed to reconcile balances" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { makeTokensRouter };
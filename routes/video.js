@@ -1,48 +1,186 @@
 const express = require('express');
+const { requireScope } = require("../middleware/auth");
+const { useWorkspace } = require("../middleware/workspace");
+const crypto = require('crypto');
 const router = express.Router();
-const { videoQueue } = require("../queue");
+const { videoQueue, videoJobId, enqueueGeneration } = require("../queue");
+const {
+  quoteGeneration,
+  quoteLocalization,
+  splitDraftPrice,
+  quoteSceneRegeneration,
+  quoteRerun,
+} = require("../services/pricing");
+const { STAGES, withDependents } = require("../services/pipeline");
+const { getLastProgress, subscribeProgress, publishProgress } = require("../services/progress");
+const { lockBalance, recordTokens, refundVideo } = require("../services/tokens");
+const { getProvider } = require("../services/providers");
+const { applyScriptEdits, EDIT_LIMITS } = require("../services/scripts");
+const { moderate, logModeration } = require("../services/moderation");
+const { ASPECT_RATIOS } = require("../services/aspectRatios");
+const { parseGenerationRequest, insertVideo } = require("../services/generationRequests");
+const { MAX_BATCH_ROWS, parseCsvRows } = require("../services/batches");
+const {
+  fingerprint,
+  readIdempotencyKey,
+  findIdempotentResponse,
+  saveIdempotentResponse,
+  forgetIdempotentResponse,
+  replayIdempotentResponse,
+} = require("../services/idempotency");
+const { SOURCE_LANGUAGE, parseLanguages } = require("../services/languages");
+const {
+  CAPTION_FORMATS,
+  DEFAULT_MAX_CHARS,
+  captionSegments,
+  buildCues,
+  renderCaptions,
+} = require("../services/captions");
 
 
 module.exports = (pool, authenticateToken, videoGenerator) => {
-  
+
+  // Moderate user-supplied texts ([{ text, kind }]) and log each decision.
+  // Returns the first blocked decision, or null when everything is allowed.
+  const moderateInputs = async (userId, videoId, inputs) => {
+    for (const { text, kind } of inputs) {
+      const decision = await moderate(text, { kind });
+      await logModeration(pool, { videoId, userId, text, decision });
+      if (!decision.allowed) return decision;
+    }
+    return null;
+  };
+
+  // Videos a request acts on: the active workspace's (X-Workspace-Id), or
+  // else the user's personal ones. `n` is the placeholder number to use.
+  const ownerClause = (req, n) =>
+    req.workspace ? `workspace_id = $${n}` : `user_id = $${n} AND workspace_id IS NULL`;
+  const ownerParam = (req) => (req.workspace ? req.workspace.id : req.user.id);
+
+  // Checked before moderating user text, so nothing is moderated (and
+  // logged against a video) for someone who can't edit it
+  const ownsVideo = async (req, videoId) => {
+    const r = await pool.query(
+      `SELECT 1 FROM videos WHERE id = $1 AND ${ownerClause(req, 2)}`,
+      [videoId, ownerParam(req)]
+    );
+    return r.rowCount > 0;
+  };
+
+  // Whose balance a charge comes from: the workspace's shared one, or the user's
+  const payerOf = (req) => ({ userId: req.user.id, workspaceId: req.workspace?.id || null });
+
+  const sendBlocked = (res, decision) =>
+    res.status(422).json({
+      error: 'Content blocked by moderation',
+      kind: decision.kind,
+      reason: decision.reason,
+      ...(decision.matched.length && { matched: decision.matched }),
+    });
+
+  // A video whose job couldn't be queued after its charge was committed:
+  // fail it and return the tokens, as the worker does after a last attempt
+  const failUnqueued = async (video, error) => {
+    console.error(`Enqueue error (video ${video.id}):`, error);
+    const reason = `Could not be queued: ${error.message}`.slice(0, 1000);
+    await pool.query(
+      "UPDATE videos SET status = 'failed', error_reason = $2 WHERE id = $1 AND status = 'queued'",
+      [video.id, reason]
+    );
+    await publishProgress(video.id, { status: 'failed', error: reason });
+    return refundVideo(pool, video.id, { policy: 'full' });
+  };
+
+  // A scene regeneration or stage rerun whose job couldn't be queued. The
+  // video still has its previous output, so it goes back to completed and
+  // only that charge is returned.
+  const restoreUnqueued = async (video, { reason, ledgerKey, message }) => {
+    await pool.query("UPDATE videos SET status = 'completed' WHERE id = $1 AND status = 'queued'", [video.id]);
+    await publishProgress(video.id, { status: 'completed', error: message });
+    await refundVideo(pool, video.id, {
+      policy: 'full',
+      chargeReasons: [reason],
+      chargeKeys: [ledgerKey],
+      idempotencyKey: `refund:${ledgerKey}`,
+    }).catch((e) => console.error(`Refund of ${ledgerKey} failed:`, e));
+  };
+
   // ============================================
   // VIDEO GENERATION ROUTE
   // ============================================
-router.post("/generate", authenticateToken, async (req, res) => {
-  const { topic, visualStyle, duration } = req.body;
+router.post("/generate", authenticateToken, requireScope("videos:generate"), useWorkspace("editor"), async (req, res) => {
   const userId = req.user.id;
+  const payer = payerOf(req);
 
-  if (!topic || !visualStyle || !duration) {
-    return res.status(400).json({ error: "Missing required fields" });
+  // A retried request with the same Idempotency-Key gets the first response back
+  const { key: idempotencyKey, error: keyError } = readIdempotencyKey(req);
+  if (keyError) {
+    return res.status(400).json({ error: keyError });
+  }
+  const idempotency = idempotencyKey && {
+    userId,
+    // The same key in another workspace is a different request
+    scope: payer.workspaceId ? `generate:${payer.workspaceId}` : "generate",
+    key: idempotencyKey,
+    fingerprint: fingerprint(req.body),
+  };
+  if (idempotency) {
+    try {
+      const stored = await findIdempotentResponse(pool, idempotency);
+      if (stored) return replayIdempotentResponse(res, stored, idempotency.fingerprint);
+    } catch (err) {
+      console.error("Idempotency lookup error:", err.message);
+      return res.status(500).json({ error: "Failed to check Idempotency-Key" });
+    }
   }
 
-  const styleCosts = { cinematic: 5, animated: 5, realistic: 5, minimal: 3 };
-  const durationCosts = { 30: 3, 60: 5, 90: 7 };
+  let parsed;
+  try {
+    parsed = await parseGenerationRequest(pool, req.body, userId);
+  } catch (err) {
+    console.error("Generation settings lookup error:", err.message);
+    return res.status(500).json({ error: "Failed to check generation settings" });
+  }
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
 
-  const totalCost =
-    (styleCosts[visualStyle] || 0) +
-    (durationCosts[Number(duration)] || 0);
+  const { request } = parsed;
+  const { topic, cost: fullCost } = request;
 
-  if (!totalCost) {
-    return res.status(400).json({ error: "Invalid visualStyle or duration" });
+  // Moderate the topic before anything is charged
+  let topicDecision;
+  try {
+    topicDecision = await moderate(topic, { kind: "topic" });
+  } catch (err) {
+    console.error("Topic moderation error:", err.message);
+    return res.status(503).json({ error: "Content moderation is unavailable, try again later" });
   }
+  if (!topicDecision.allowed) {
+    await logModeration(pool, { userId, text: topic, decision: topicDecision }).catch((err) =>
+      console.error("Moderation log error:", err.message)
+    );
+    return sendBlocked(res, topicDecision);
+  }
+
+  // Drafts only pay for the script now; the rest is charged on approval
+  const draft = req.body.draft === true;
+  const totalCost = draft ? splitDraftPrice(fullCost).draft : fullCost;
 
+  let video;
+  let response;
   const client = await pool.connect();
   try {
     await client.query("BEGIN");
 
-    // Lock user row to prevent double-spend
-    const u = await client.query(
-      "SELECT tokens FROM users WHERE id=$1 FOR UPDATE",
-      [userId]
-    );
+    // Lock the paying balance to prevent double-spend
+    const tokens = await lockBalance(client, payer);
 
-    if (!u.rowCount) {
+    if (tokens === null) {
       await client.query("ROLLBACK");
-      return res.status(404).json({ error: "User not found" });
+      return res.status(404).json({ error: payer.workspaceId ? "Workspace not found" : "User not found" });
     }
 
-    const tokens = u.rows[0].tokens ?? 0;
     if (tokens < totalCost) {
       await client.query("ROLLBACK");
       return res.status(402).json({
@@ -53,58 +191,51 @@ router.post("/generate", authenticateToken, async (req, res) => {
     }
 
     // Create video row immediately
+    video = await insertVideo(client, userId, request, { workspaceId: payer.workspaceId });
+    await logModeration(client, { videoId: video.id, userId, text: topic, decision: topicDecision });
 
-const v = await client.query(
-  `INSERT INTO videos (user_id, topic, style, status)
-   VALUES ($1, $2, $3, 'queued')
-   RETURNING *;`,
-  [userId, topic, visualStyle]
-);
-
-
-    const video = v.rows[0];
-
-    // Deduct tokens
-    await client.query(
-      "UPDATE users SET tokens=tokens-$1 WHERE id=$2",
-      [totalCost, userId]
-    );
-
-    // Token ledger (idempotent)
-    await client.query(
-      `INSERT INTO token_ledger (user_id, delta, reason, video_id, idempotency_key)
-       VALUES ($1,$2,$3,$4,$5)
-       ON CONFLICT (idempotency_key) DO NOTHING`,
-      [userId, -totalCost, "GENERATE_VIDEO", video.id, `gen:${userId}:${video.id}`]
-    );
-
-    await client.query("COMMIT");
-
-    // Enqueue job AFTER commit
-    await videoQueue.add(
-      "generate_video",
-      {
-        type: "generate_video",
-        videoId: video.id,
-        userId,
-        topic,
-        visualStyle,
-        duration: Number(duration),
-      },
-      { attempts: 3, backoff: { type: "exponential", delay: 8000 } }
-    );
+    // Deduct tokens, with a ledger entry (idempotent)
+    await recordTokens(client, {
+      ...payer,
+      delta: -totalCost,
+      reason: "GENERATE_VIDEO",
+      videoId: video.id,
+      idempotencyKey: `gen:${userId}:${video.id}`,
+    });
 
-    return res.json({
+    response = {
       video: {
         id: video.id,
         topic: video.topic,
         visualStyle: video.visual_style,
         duration: video.duration,
+        voice: video.voice,
+        renderer: video.renderer,
+        music: video.music,
+        brandKitId: video.brand_kit_id,
+        aspectRatios: video.aspect_ratios,
+        imageFraming: video.image_framing,
+        workspaceId: video.workspace_id,
         status: video.status,
         createdAt: video.created_at,
       },
       tokensUsed: totalCost,
-    });
+      ...(draft && { draft: true, approveCost: fullCost - totalCost }),
+    };
+
+    // Stored with the charge; a concurrent request with the same key that got
+    // here first wins, and this one replays its response instead
+    if (idempotency && !(await saveIdempotentResponse(client, { ...idempotency, response }))) {
+      await client.query("ROLLBACK");
+      const stored = await findIdempotentResponse(pool, idempotency);
+      // Gone again: the other request couldn't queue its video and released the key
+      if (!stored) {
+        return res.status(409).json({ error: "A request with this Idempotency-Key is still in progress" });
+      }
+      return replayIdempotentResponse(res, stored, idempotency.fingerprint);
+    }
+
+    await client.query("COMMIT");
   } catch (err) {
     await client.query("ROLLBACK");
     console.error("Generate enqueue error:", err);
@@ -112,19 +243,191 @@ const v = await client.query(
   } finally {
     client.release();
   }
-});
 
+  // Enqueue job AFTER commit. If that fails the video is failed and refunded,
+  // and its stored response dropped so a retry with the key starts over.
+  try {
+    await enqueueGeneration(video, { draft });
+  } catch (err) {
+    const refunded = await failUnqueued(video, err).catch((e) => {
+      console.error(`Settle unqueued video ${video.id} error:`, e);
+      return 0;
+    });
+    if (idempotency) {
+      await forgetIdempotentResponse(pool, idempotency).catch((e) =>
+        console.error("Idempotency cleanup error:", e.message)
+      );
+    }
+    return res.status(503).json({
+      error: "Failed to enqueue generation, try again later",
+      video: { id: video.id, status: "failed" },
+      tokensRefunded: refunded,
+    });
+  }
+
+  return res.json(response);
+});
 
   // ============================================
-  // GET USER'S VIDEOS
+  // BATCH GENERATION (JSON rows or a CSV upload)
+  // Every row is validated and the whole batch is charged in one transaction.
+  // ?quote=true returns the price without charging.
   // ============================================
-  router.get('/', authenticateToken, async (req, res) => {
-    try {
+  router.post(
+    '/batch',
+    authenticateToken,
+    requireScope('videos:generate'),
+    useWorkspace('editor'),
+    express.text({ type: ['text/csv', 'application/csv'], limit: '1mb' }),
+    async (req, res) => {
       const userId = req.user.id;
+      const payer = payerOf(req);
+
+      const { rows, error: csvError } =
+        typeof req.body === 'string' ? parseCsvRows(req.body) : { rows: req.body?.rows, error: null };
+      if (csvError) {
+        return res.status(400).json({ error: csvError });
+      }
+      if (!Array.isArray(rows) || !rows.length) {
+        return res.status(400).json({ error: 'rows must be a non-empty array' });
+      }
+      if (rows.length > MAX_BATCH_ROWS) {
+        return res.status(400).json({ error: `A batch can have at most ${MAX_BATCH_ROWS} rows` });
+      }
+
+      // Validate every row so the caller can fix them all at once
+      const requests = [];
+      const invalid = [];
+      try {
+        for (const [i, row] of rows.entries()) {
+          const { request, error } = await parseGenerationRequest(pool, row, userId);
+          if (error) invalid.push({ row: i + 1, error });
+          else requests.push(request);
+        }
+      } catch (error) {
+        console.error('Batch settings lookup error:', error.message);
+        return res.status(500).json({ error: 'Failed to check generation settings' });
+      }
+      if (invalid.length) {
+        return res.status(400).json({ error: 'Invalid rows', rows: invalid });
+      }
 
+      const totalCost = requests.reduce((sum, r) => sum + r.cost, 0);
+      if (req.query.quote === 'true') {
+        return res.json({ rows: requests.length, costs: requests.map((r) => r.cost), totalCost });
+      }
+
+      // Moderate every topic before anything is charged
+      const decisions = [];
+      const blocked = [];
+      try {
+        for (const [i, request] of requests.entries()) {
+          const decision = await moderate(request.topic, { kind: 'topic' });
+          decisions.push(decision);
+          if (!decision.allowed) {
+            blocked.push({ row: i + 1, reason: decision.reason });
+            await logModeration(pool, { userId, text: request.topic, decision });
+          }
+        }
+      } catch (error) {
+        console.error('Batch moderation error:', error.message);
+        return res.status(503).json({ error: 'Content moderation is unavailable, try again later' });
+      }
+      if (blocked.length) {
+        return res.status(422).json({ error: 'Content blocked by moderation', kind: 'topic', rows: blocked });
+      }
+
+      let committed;
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        // Lock the paying balance to prevent double-spend
+        const tokens = await lockBalance(client, payer);
+        if (tokens === null) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: payer.workspaceId ? 'Workspace not found' : 'User not found' });
+        }
+
+        if (tokens < totalCost) {
+          await client.query('ROLLBACK');
+          return res.status(402).json({ error: 'Insufficient tokens', required: totalCost, available: tokens });
+        }
+
+        const b = await client.query(
+          'INSERT INTO batches (user_id, workspace_id, total_cost) VALUES ($1, $2, $3) RETURNING *',
+          [String(userId), payer.workspaceId, totalCost]
+        );
+        const batch = b.rows[0];
+
+        // Each video carries its own ledger entry so failures refund per video
+        const videos = [];
+        for (const [i, request] of requests.entries()) {
+          const video = await insertVideo(client, userId, request, {
+            batchId: batch.id,
+            workspaceId: payer.workspaceId,
+          });
+          await logModeration(client, { videoId: video.id, userId, text: request.topic, decision: decisions[i] });
+          await recordTokens(client, {
+            ...payer,
+            delta: -request.cost,
+            reason: 'GENERATE_VIDEO',
+            videoId: video.id,
+            idempotencyKey: `gen:${userId}:${video.id}`,
+          });
+          videos.push(video);
+        }
+
+        await client.query('COMMIT');
+        committed = { batch, videos };
+
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Batch generate error:', error);
+        return res.status(500).json({ error: 'Failed to enqueue batch' });
+      } finally {
+        client.release();
+      }
+
+      // Enqueue AFTER commit. A video that can't be queued is failed and
+      // refunded on its own; the rest of the batch goes ahead.
+      const { batch, videos } = committed;
+      let refunded = 0;
+      const statuses = [];
+      for (const video of videos) {
+        try {
+          await enqueueGeneration(video);
+          statuses.push(video.status);
+        } catch (error) {
+          refunded += await failUnqueued(video, error).catch((e) => {
+            console.error(`Settle unqueued video ${video.id} error:`, e);
+            return 0;
+          });
+          statuses.push('failed');
+        }
+      }
+
+      const body = {
+        batch: { id: batch.id, total: videos.length, createdAt: batch.created_at },
+        videos: videos.map((v, i) => ({ id: v.id, topic: v.topic, status: statuses[i] })),
+        tokensUsed: totalCost - refunded,
+      };
+      if (statuses.every((s) => s === 'failed')) {
+        return res.status(503).json({ error: 'Failed to enqueue batch, try again later', ...body });
+      }
+      res.json(body);
+    }
+  );
+
+
+  // ============================================
+  // GET USER'S VIDEOS (or the active workspace's)
+  // ============================================
+  router.get('/', authenticateToken, requireScope('videos:read'), useWorkspace('viewer'), async (req, res) => {
+    try {
       const result = await pool.query(
-        'SELECT * FROM videos WHERE user_id = $1 ORDER BY created_at DESC',
-        [userId]
+        `SELECT * FROM videos WHERE ${ownerClause(req, 1)} ORDER BY created_at DESC`,
+        [ownerParam(req)]
       );
 
       res.json({ videos: result.rows });
@@ -138,21 +441,27 @@ const v = await client.query(
   // ============================================
   // GET SINGLE VIDEO
   // ============================================
-  router.get('/:id', authenticateToken, async (req, res) => {
+  router.get('/:id', authenticateToken, requireScope('videos:read'), useWorkspace('viewer'), async (req, res) => {
     try {
       const videoId = req.params.id;
-      const userId = req.user.id;
 
       const result = await pool.query(
-        'SELECT * FROM videos WHERE id = $1 AND user_id = $2',
-        [videoId, userId]
+        `SELECT * FROM videos WHERE id = $1 AND ${ownerClause(req, 2)}`,
+        [videoId, ownerParam(req)]
       );
 
       if (result.rows.length === 0) {
         return res.status(404).json({ error: 'Video not found' });
       }
 
-      res.json({ video: result.rows[0] });
+      // Localized versions of this video
+      const children = await pool.query(
+        `SELECT id, language, status, video_url, created_at FROM videos
+         WHERE parent_video_id = $1 ORDER BY created_at`,
+        [String(videoId)]
+      );
+
+      res.json({ video: result.rows[0], localizations: children.rows });
 
     } catch (error) {
       console.error('Get video error:', error);
@@ -160,5 +469,734 @@ const v = await client.query(
     }
   });
 
+  // ============================================
+  // EDIT A DRAFT'S SCRIPT AND IMAGE PROMPTS
+  // ============================================
+  router.patch('/:id/script', authenticateToken, requireScope('videos:write'), useWorkspace('editor'), async (req, res) => {
+    // Edited narration and image prompts are moderated like generated ones
+    const edits = Array.isArray(req.body?.scenes) ? req.body.scenes : [];
+    const inputs = edits.flatMap((edit) => [
+      ...(typeof edit?.text === 'string' ? [{ text: edit.text, kind: 'narration' }] : []),
+      ...(typeof edit?.imagePrompt === 'string' ? [{ text: edit.imagePrompt, kind: 'image_prompt' }] : []),
+    ]);
+    for (const field of ['hook', 'cta']) {
+      if (typeof req.body?.[field] === 'string') inputs.push({ text: req.body[field], kind: 'narration' });
+    }
+
+    try {
+      if (!(await ownsVideo(req, req.params.id))) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
+    } catch (error) {
+      console.error('Edit script error:', error);
+      return res.status(500).json({ error: 'Failed to update script' });
+    }
+
+    try {
+      const blocked = await moderateInputs(req.user.id, req.params.id, inputs);
+      if (blocked) return sendBlocked(res, blocked);
+    } catch (error) {
+      console.error('Script edit moderation error:', error.message);
+      return res.status(503).json({ error: 'Content moderation is unavailable, try again later' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT id, status, stage_outputs FROM videos WHERE id = $1 AND ${ownerClause(req, 2)} FOR UPDATE`,
+        [req.params.id, ownerParam(req)]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Video not found' });
+      }
+
+      const video = result.rows[0];
+      if (video.status !== 'draft') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Only drafts can be edited', status: video.status });
+      }
+
+      const { script, scenes, error } = applyScriptEdits(video.stage_outputs, req.body || {});
+      if (error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error });
+      }
+
+      await client.query(
+        `UPDATE videos
+         SET script = $2,
+             stage_outputs = stage_outputs || jsonb_build_object('script', $2::jsonb, 'scenes', $3::jsonb)
+         WHERE id = $1`,
+        [video.id, JSON.stringify(script), JSON.stringify(scenes)]
+      );
+
+      await client.query('COMMIT');
+      res.json({ video: { id: video.id, status: video.status }, script, scenes });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Edit script error:', error);
+      res.status(500).json({ error: 'Failed to update script' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // ============================================
+  // APPROVE A DRAFT AND RENDER IT
+  // ============================================
+  router.post('/:id/approve', authenticateToken, requireScope('videos:generate'), useWorkspace('editor'), async (req, res) => {
+    const payer = payerOf(req);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT * FROM videos WHERE id = $1 AND ${ownerClause(req, 2)} FOR UPDATE`,
+        [req.params.id, ownerParam(req)]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Video not found' });
+      }
+
+      const video = result.rows[0];
+      if (video.status !== 'draft') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Only drafts can be approved', status: video.status });
+      }
+
+      const cost = splitDraftPrice(
+        quoteGeneration({
+          visualStyle: video.style,
+          duration: video.duration,
+          aspectRatios: video.aspect_ratios || [],
+          imageFraming: video.image_framing || undefined,
+        })
+      ).approve;
+
+      // Lock the paying balance to prevent double-spend
+      const tokens = (await lockBalance(client, payer)) ?? 0;
+      if (tokens < cost) {
+        await client.query('ROLLBACK');
+        return res.status(402).json({ error: 'Insufficient tokens', required: cost, available: tokens });
+      }
+
+      await client.query("UPDATE videos SET status = 'queued' WHERE id = $1", [video.id]);
+      await recordTokens(client, {
+        ...payer,
+        delta: -cost,
+        reason: 'GENERATE_VIDEO',
+        videoId: video.id,
+        idempotencyKey: `approve:${video.id}`,
+      });
+
+      await client.query('COMMIT');
+
+      // Supersede the 'draft' progress event, which would otherwise end a new
+      // events stream as it catches up
+      await publishProgress(video.id, { status: 'queued' });
+
+      // Script and scene checkpoints are reused; the job picks up at images
+      try {
+        await enqueueGeneration(video);
+      } catch (err) {
+        // Nothing will run: fail it and refund both charges, as /generate does.
+        // Not back to draft: approving again would reuse the spent approve:<id> key.
+        const refunded = await failUnqueued(video, err).catch((e) => {
+          console.error(`Settle unqueued video ${video.id} error:`, e);
+          return 0;
+        });
+        return res.status(503).json({
+          error: 'Failed to enqueue generation, try again later',
+          video: { id: video.id, status: 'failed' },
+          tokensRefunded: refunded,
+        });
+      }
+
+      res.json({ video: { id: video.id, status: 'queued' }, tokensUsed: cost });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Approve draft error:', error);
+      res.status(500).json({ error: 'Failed to approve draft' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // ============================================
+  // REGENERATE ONE SCENE OF A FINISHED VIDEO
+  // :n is the 1-based scene number
+  // ============================================
+  router.post('/:id/scenes/:n/regenerate', authenticateToken, requireScope('videos:generate'), useWorkspace('editor'), async (req, res) => {
+    const userId = req.user.id;
+    const payer = payerOf(req);
+    const sceneNumber = Number(req.params.n);
+    const { image, narration, rewriteNarration, imagePrompt } = req.body || {};
+
+    if (!Number.isInteger(sceneNumber) || sceneNumber < 1) {
+      return res.status(400).json({ error: 'Scene number must be a positive integer' });
+    }
+    if (narration !== undefined && rewriteNarration) {
+      return res.status(400).json({ error: 'Send either narration or rewriteNarration, not both' });
+    }
+    if (narration !== undefined && (typeof narration !== 'string' || !narration.trim() || narration.length > EDIT_LIMITS.text)) {
+      return res.status(400).json({ error: `narration must be 1-${EDIT_LIMITS.text} characters` });
+    }
+    if (imagePrompt !== undefined && (typeof imagePrompt !== 'string' || !imagePrompt.trim() || imagePrompt.length > EDIT_LIMITS.imagePrompt)) {
+      return res.status(400).json({ error: `imagePrompt must be 1-${EDIT_LIMITS.imagePrompt} characters` });
+    }
+    if (!image && narration === undefined && !rewriteNarration && imagePrompt === undefined) {
+      return res.status(400).json({ error: 'Nothing to regenerate: set image, narration, rewriteNarration or imagePrompt' });
+    }
+
+    try {
+      if (!(await ownsVideo(req, req.params.id))) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
+    } catch (error) {
+      console.error('Regenerate scene error:', error);
+      return res.status(500).json({ error: 'Failed to queue scene regeneration' });
+    }
+
+    try {
+      const blocked = await moderateInputs(userId, req.params.id, [
+        ...(narration !== undefined ? [{ text: narration, kind: 'narration' }] : []),
+        ...(imagePrompt !== undefined ? [{ text: imagePrompt, kind: 'image_prompt' }] : []),
+      ]);
+      if (blocked) return sendBlocked(res, blocked);
+    } catch (error) {
+      console.error('Scene regeneration moderation error:', error.message);
+      return res.status(503).json({ error: 'Content moderation is unavailable, try again later' });
+    }
+
+    const cost = quoteSceneRegeneration({
+      image: Boolean(image || imagePrompt),
+      narration: narration !== undefined,
+      rewrite: Boolean(rewriteNarration),
+    });
+    const ledgerKey = `regen:${req.params.id}:${crypto.randomUUID()}`;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT id, status, stage_outputs FROM videos WHERE id = $1 AND ${ownerClause(req, 2)} FOR UPDATE`,
+        [req.params.id, ownerParam(req)]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Video not found' });
+      }
+
+      const video = result.rows[0];
+      if (video.status !== 'completed') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Only completed videos can regenerate scenes', status: video.status });
+      }
+
+      const sceneCount = video.stage_outputs?.images?.length || 0;
+      if (sceneNumber > sceneCount) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: `Video has ${sceneCount} scenes` });
+      }
+
+      // Lock the paying balance to prevent double-spend
+      const tokens = (await lockBalance(client, payer)) ?? 0;
+      if (tokens < cost) {
+        await client.query('ROLLBACK');
+        return res.status(402).json({ error: 'Insufficient tokens', required: cost, available: tokens });
+      }
+
+      await client.query("UPDATE videos SET status = 'queued', error_reason = NULL WHERE id = $1", [video.id]);
+      await recordTokens(client, {
+        ...payer,
+        delta: -cost,
+        reason: 'REGENERATE_SCENE',
+        videoId: video.id,
+        idempotencyKey: ledgerKey,
+      });
+
+      await client.query('COMMIT');
+
+      // Supersede the 'completed' progress event, see approve
+      await publishProgress(video.id, { status: 'queued' });
+
+      try {
+        await videoQueue.add(
+          'regenerate_scene',
+          {
+            type: 'regenerate_scene',
+            videoId: video.id,
+            userId,
+            ledgerKey,
+            scene: {
+              sceneIndex: sceneNumber - 1,
+              image: Boolean(image),
+              imagePrompt: imagePrompt?.trim(),
+              narration: narration?.trim(),
+              rewriteNarration: Boolean(rewriteNarration),
+            },
+          },
+          {
+            jobId: `${videoJobId(video.id)}-scene-${sceneNumber}-${Date.now()}`,
+            attempts: 3,
+            backoff: { type: 'exponential', delay: 8000 },
+            removeOnComplete: true,
+          }
+        );
+      } catch (err) {
+        console.error('Regenerate scene enqueue error:', err);
+        await restoreUnqueued(video, {
+          reason: 'REGENERATE_SCENE',
+          ledgerKey,
+          message: 'Scene regeneration could not be queued',
+        });
+        return res.status(503).json({ error: 'Failed to queue scene regeneration, try again later' });
+      }
+
+      res.json({ video: { id: video.id, status: 'queued' }, scene: sceneNumber, tokensUsed: cost });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Regenerate scene error:', error);
+      res.status(500).json({ error: 'Failed to queue scene regeneration' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // ============================================
+  // RERUN PIPELINE STAGES OF A FINISHED VIDEO
+  // The stages and everything downstream of them are made again, charged at
+  // their share of the video's price; the current output stays until then
+  // ============================================
+  router.post('/:id/rerun', authenticateToken, requireScope('videos:generate'), useWorkspace('editor'), async (req, res) => {
+    const userId = req.user.id;
+    const payer = payerOf(req);
+    const { stages } = req.body || {};
+
+    if (!Array.isArray(stages) || !stages.length || !stages.every((s) => STAGES.includes(s))) {
+      return res.status(400).json({ error: `stages must be a non-empty list of: ${STAGES.join(', ')}` });
+    }
+    const rerun = STAGES.filter((s) => stages.some((picked) => withDependents(picked).includes(s)));
+    const ledgerKey = `rerun:${req.params.id}:${crypto.randomUUID()}`;
+
+    let video;
+    let cost;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT * FROM videos WHERE id = $1 AND ${ownerClause(req, 2)} FOR UPDATE`,
+        [req.params.id, ownerParam(req)]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Video not found' });
+      }
+
+      video = result.rows[0];
+      if (video.status !== 'completed') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Only completed videos can rerun stages', status: video.status });
+      }
+
+      cost = quoteRerun(video, rerun);
+
+      // Lock the paying balance to prevent double-spend
+      const tokens = (await lockBalance(client, payer)) ?? 0;
+      if (tokens < cost) {
+        await client.query('ROLLBACK');
+        return res.status(402).json({ error: 'Insufficient tokens', required: cost, available: tokens });
+      }
+
+      await client.query("UPDATE videos SET status = 'queued', error_reason = NULL WHERE id = $1", [video.id]);
+      await recordTokens(client, {
+        ...payer,
+        delta: -cost,
+        reason: 'RERUN_STAGES',
+        videoId: video.id,
+        idempotencyKey: ledgerKey,
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Rerun stages error:', error);
+      return res.status(500).json({ error: 'Failed to queue stage rerun' });
+    } finally {
+      client.release();
+    }
+
+    // Supersede the 'completed' progress event, see approve
+    await publishProgress(video.id, { status: 'queued' });
+
+    try {
+      await videoQueue.add(
+        'rerun_stages',
+        { type: 'rerun_stages', videoId: video.id, userId, ledgerKey, forceStages: stages },
+        {
+          jobId: `${videoJobId(video.id)}-rerun-${Date.now()}`,
+          attempts: 3,
+          backoff: { type: 'exponential', delay: 8000 },
+          removeOnComplete: true,
+        }
+      );
+    } catch (error) {
+      console.error('Rerun stages enqueue error:', error);
+      await restoreUnqueued(video, { reason: 'RERUN_STAGES', ledgerKey, message: 'Stage rerun could not be queued' });
+      return res.status(503).json({ error: 'Failed to queue stage rerun, try again later' });
+    }
+
+    res.json({ video: { id: video.id, status: 'queued' }, stages: rerun, tokensUsed: cost });
+  });
+
+  // ============================================
+  // LOCALIZE A FINISHED VIDEO INTO OTHER LANGUAGES
+  // Each language becomes a child video with its own status and charge
+  // ============================================
+  router.post('/:id/localize', authenticateToken, requireScope('videos:generate'), useWorkspace('editor'), async (req, res) => {
+    const userId = req.user.id;
+    const payer = payerOf(req);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT * FROM videos WHERE id = $1 AND ${ownerClause(req, 2)} FOR UPDATE`,
+        [req.params.id, ownerParam(req)]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Video not found' });
+      }
+
+      const video = result.rows[0];
+      if (video.parent_video_id) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Localize the original video, not a localized version' });
+      }
+      if (video.status !== 'completed' || !video.stage_outputs?.script || !video.stage_outputs?.images) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Only completed videos can be localized', status: video.status });
+      }
+
+      const { languages, error } = parseLanguages(req.body?.languages, video.language || SOURCE_LANGUAGE);
+      if (error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error });
+      }
+
+      // One live version per language; failed or cancelled ones can be retried
+      const existing = await client.query(
+        `SELECT language FROM videos
+         WHERE parent_video_id = $1 AND language = ANY($2::text[]) AND status NOT IN ('failed', 'cancelled')`,
+        [String(video.id), languages]
+      );
+      if (existing.rows.length) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: 'Video is already localized into some of these languages',
+          languages: existing.rows.map((r) => r.language),
+        });
+      }
+
+      const unitCost = quoteLocalization(video);
+      const cost = unitCost * languages.length;
+
+      // Lock the paying balance to prevent double-spend
+      const tokens = (await lockBalance(client, payer)) ?? 0;
+      if (tokens < cost) {
+        await client.query('ROLLBACK');
+        return res.status(402).json({ error: 'Insufficient tokens', required: cost, available: tokens });
+      }
+
+      const children = [];
+      for (const language of languages) {
+        const c = await client.query(
+          `INSERT INTO videos (user_id, topic, style, duration, voice, voice_settings, renderer, music, brand_kit_id,
+                               aspect_ratios, image_framing, parent_video_id, language, workspace_id, status)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, 'queued')
+           RETURNING *`,
+          [
+            userId,
+            video.topic,
+            video.style,
+            video.duration,
+            video.voice,
+            JSON.stringify(video.voice_settings || {}),
+            video.renderer,
+            video.music,
+            video.brand_kit_id,
+            video.aspect_ratios,
+            video.image_framing,
+            String(video.id),
+            language,
+            video.workspace_id,
+          ]
+        );
+        const child = c.rows[0];
+
+        await recordTokens(client, {
+          ...payer,
+          delta: -unitCost,
+          reason: 'GENERATE_VIDEO',
+          videoId: child.id,
+          idempotencyKey: `gen:${userId}:${child.id}`,
+        });
+        children.push(child);
+      }
+
+      await client.query('COMMIT');
+
+      // The script is translated and the parent's images are reused by the job.
+      // A version that can't be queued is failed and refunded; the rest go ahead.
+      const statuses = [];
+      let refunded = 0;
+      for (const child of children) {
+        try {
+          await enqueueGeneration(child);
+          statuses.push(child.status);
+        } catch (err) {
+          refunded += await failUnqueued(child, err).catch((e) => {
+            console.error(`Settle unqueued video ${child.id} error:`, e);
+            return 0;
+          });
+          statuses.push('failed');
+        }
+      }
+
+      const body = {
+        videos: children.map((c, i) => ({
+          id: c.id,
+          parentVideoId: c.parent_video_id,
+          language: c.language,
+          status: statuses[i],
+          createdAt: c.created_at,
+        })),
+        tokensUsed: cost - refunded,
+      };
+      if (statuses.every((st) => st === 'failed')) {
+        return res.status(503).json({ error: 'Failed to queue localization, try again later', ...body });
+      }
+      res.json(body);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Localize video error:', error);
+      res.status(500).json({ error: 'Failed to queue localization' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // ============================================
+  // CAPTION FILES (SRT / WebVTT / ASS)
+  // ============================================
+  router.get('/:id/captions', authenticateToken, requireScope('videos:read'), useWorkspace('viewer'), async (req, res) => {
+    const format = String(req.query.format || 'srt').toLowerCase();
+    const split = String(req.query.split || 'phrase').toLowerCase();
+    const maxChars = req.query.maxChars ? Number(req.query.maxChars) : DEFAULT_MAX_CHARS;
+    const aspectRatio = req.query.aspectRatio ? String(req.query.aspectRatio) : null;
+
+    if (!CAPTION_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${CAPTION_FORMATS.join(', ')}` });
+    }
+    if (!['phrase', 'word'].includes(split)) {
+      return res.status(400).json({ error: 'split must be phrase or word' });
+    }
+    if (!Number.isInteger(maxChars) || maxChars < 10 || maxChars > 200) {
+      return res.status(400).json({ error: 'maxChars must be an integer between 10 and 200' });
+    }
+    if (aspectRatio && !ASPECT_RATIOS[aspectRatio]) {
+      return res.status(400).json({ error: `aspectRatio must be one of: ${Object.keys(ASPECT_RATIOS).join(', ')}` });
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT id, duration, aspect_ratios, stage_outputs FROM videos WHERE id = $1 AND ${ownerClause(req, 2)}`,
+        [req.params.id, ownerParam(req)]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
+
+      const video = result.rows[0];
+      const segments = captionSegments(video.stage_outputs, Number(video.duration) || 60);
+      if (!segments) {
+        return res.status(409).json({ error: 'Captions are not available until the script is generated' });
+      }
+
+      const cues = buildCues(segments, { split, maxChars });
+      // ASS captions are positioned for one frame: the requested ratio or the main video's
+      const { body, contentType } = renderCaptions(
+        cues,
+        format,
+        video.stage_outputs?.brand,
+        aspectRatio || video.aspect_ratios?.[0] || undefined
+      );
+
+      res.set('Content-Type', `${contentType}; charset=utf-8`);
+      res.set('Content-Disposition', `attachment; filename="video-${video.id}.${format}"`);
+      res.send(body);
+
+    } catch (error) {
+      console.error('Get captions error:', error);
+      res.status(500).json({ error: 'Failed to build captions' });
+    }
+  });
+
+  // ============================================
+  // CANCEL A QUEUED OR RUNNING VIDEO
+  // ============================================
+  router.post('/:id/cancel', authenticateToken, requireScope('videos:write'), useWorkspace('editor'), async (req, res) => {
+    const videoId = req.params.id;
+
+    try {
+      // Videos that already have an output (e.g. re-rendering after a scene
+      // regeneration) keep it and can't be cancelled
+      const result = await pool.query(
+        `UPDATE videos SET status = 'cancelled'
+         WHERE id = $1 AND ${ownerClause(req, 2)} AND status IN ('queued', 'processing') AND video_url IS NULL
+         RETURNING id, status, render_id, renderer, stage_outputs`,
+        [videoId, ownerParam(req)]
+      );
+
+      if (result.rows.length === 0) {
+        const existing = await pool.query(
+          `SELECT status FROM videos WHERE id = $1 AND ${ownerClause(req, 2)}`,
+          [videoId, ownerParam(req)]
+        );
+        if (existing.rows.length === 0) {
+          return res.status(404).json({ error: 'Video not found' });
+        }
+        return res.status(409).json({
+          error: 'Video can no longer be cancelled',
+          status: existing.rows[0].status,
+        });
+      }
+
+      const video = result.rows[0];
+
+      // A job still waiting in the queue is simply removed. A running job
+      // notices the status change before its next stage.
+      const job = await videoQueue.getJob(videoJobId(videoId));
+      if (job && ['waiting', 'delayed', 'prioritized'].includes(await job.getState())) {
+        await job.remove();
+      }
+
+      // Stop an in-flight render
+      const renderDone = video.stage_outputs && video.stage_outputs.render !== undefined;
+      if (video.render_id && !renderDone) {
+        await getProvider('render', video.renderer || undefined).cancel(video.render_id).catch((error) =>
+          console.error(`Cancel render ${video.render_id} error:`, error.message)
+        );
+      }
+
+      // Refund whatever the stages that never ran would have cost
+      const tokensRefunded = await refundVideo(pool, videoId, { policy: 'completed_stages' });
+      await publishProgress(videoId, { status: 'cancelled' });
+
+      res.json({ video: { id: video.id, status: video.status }, tokensRefunded });
+
+    } catch (error) {
+      console.error('Cancel video error:', error);
+      res.status(500).json({ error: 'Failed to cancel video' });
+    }
+  });
+
+  // ============================================
+  // LIVE PROGRESS (Server-Sent Events)
+  // ============================================
+  router.get('/:id/events', authenticateToken, requireScope('videos:read'), useWorkspace('viewer'), async (req, res) => {
+    const videoId = req.params.id;
+
+    let video;
+    try {
+      const result = await pool.query(
+        `SELECT id, status FROM videos WHERE id = $1 AND ${ownerClause(req, 2)}`,
+        [videoId, ownerParam(req)]
+      );
+      video = result.rows[0];
+    } catch (error) {
+      console.error('Video events error:', error);
+      return res.status(500).json({ error: 'Failed to fetch video' });
+    }
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      res.write(`event: progress\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    const isFinal = (status) => ['completed', 'failed', 'cancelled', 'draft'].includes(status);
+
+    send({ videoId, status: video.status });
+
+    if (isFinal(video.status)) {
+      return res.end();
+    }
+
+    let unsubscribe = null;
+    let closed = false;
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe().catch(() => {});
+      res.end();
+    };
+    req.on('close', close);
+
+    try {
+      const stop = await subscribeProgress(videoId, (event) => {
+        send(event);
+        if (isFinal(event.status)) close();
+      });
+      // The client went away (or the stream finished) while subscribing
+      if (closed) {
+        await stop();
+        return;
+      }
+      unsubscribe = stop;
+
+      // Catch up on whatever happened before we subscribed
+      const last = await getLastProgress(videoId);
+      if (last && !closed) {
+        send(last);
+        if (isFinal(last.status)) close();
+      }
+    } catch (error) {
+      console.error('Video events subscribe error:', error);
+      close();
+    }
+  });
+
   return router;
 };
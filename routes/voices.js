@@ -0,0 +1,75 @@
+const express = require("express");
+const crypto = require("crypto");
+
+const { requireScope } = require("../middleware/auth");
+const { connection } = require("../queue/redis");
+const { getProvider } = require("../services/providers");
+const { VOICES, findVoice, parseVoiceSettings } = require("../services/voices");
+
+const PREVIEW_TEXT = "Here's a quick sample of how your next short will sound.";
+const PREVIEW_MAX_CHARS = 200;
+const PREVIEW_TTL = 60 * 60 * 24 * 30; // seconds
+
+function makeVoicesRouter(requireAuth) {
+  const router = express.Router();
+
+  // List narration voices
+  router.get("/", requireAuth, requireScope("catalog:read"), (req, res) => {
+    res.json({
+      voices: VOICES.map(({ id, name, gender, accent, description }) => ({
+        id,
+        name,
+        gender,
+        accent,
+        description,
+      })),
+    });
+  });
+
+  // Short sample of a voice. Samples are cached per voice/text/settings, so
+  // repeated previews don't hit the TTS provider again.
+  router.post("/:id/preview", requireAuth, requireScope("catalog:read"), async (req, res) => {
+    const voice = findVoice(req.params.id);
+    if (!voice) return res.status(404).json({ error: "Voice not found" });
+
+    const text = req.body?.text ? String(req.body.text).trim() : PREVIEW_TEXT;
+    if (!text || text.length > PREVIEW_MAX_CHARS) {
+      return res.status(400).json({ error: `text must be 1-${PREVIEW_MAX_CHARS} characters` });
+    }
+
+    const { settings, error } = parseVoiceSettings(req.body?.voiceSettings);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      const digest = crypto
+        .createHash("sha256")
+        .update(JSON.stringify([voice.id, text, settings]))
+        .digest("hex");
+      const cacheKey = `voice:preview:${digest}`;
+
+      const cached = await connection.get(cacheKey);
+      if (cached) return res.json({ voice: voice.id, url: cached, cached: true });
+
+      const { buffer, mimeType } = await getProvider("tts").synthesize({
+        text,
+        voiceId: voice.id,
+        settings,
+      });
+      const url = await getProvider("storage").upload(buffer, {
+        kind: "audio",
+        filename: `preview_${voice.id}`,
+        mimeType,
+      });
+
+      await connection.set(cacheKey, url, "EX", PREVIEW_TTL);
+      return res.json({ voice: voice.id, url, cached: false });
+    } catch (err) {
+      console.error("Voice preview error:", err);
+      return res.status(502).json({ error: "Failed to generate voice preview" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { makeVoicesRouter };
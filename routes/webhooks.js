@@ -0,0 +1,58 @@
+// routes/webhooks.js
+// Callbacks from external services. These are not user-authenticated; each
+// one is checked against its own signature instead.
+
+const express = require("express");
+const { verifyRenderWebhook } = require("../services/renderWebhooks");
+const { settleRender } = require("../services/renders");
+const { getProvider, providerName } = require("../services/providers");
+const { handlePaymentEvent } = require("../services/billing");
+
+function makeWebhooksRouter(pool) {
+  const router = express.Router();
+
+  // Creatomate posts the render object ({ id, status, url, ... }) to the
+  // signed URL the render was submitted with
+  router.post("/creatomate", async (req, res) => {
+    const videoId = req.query.video_id;
+    if (!verifyRenderWebhook(videoId, req.query.signature)) {
+      return res.status(401).json({ error: "Invalid signature" });
+    }
+
+    try {
+      const result = await settleRender(pool, videoId, { renderId: req.body?.id });
+      return res.json({ ok: true, ...result });
+    } catch (err) {
+      // A non-2xx answer makes Creatomate retry; the sweep is the backstop
+      console.error(`Creatomate webhook error (video ${videoId}):`, err);
+      return res.status(500).json({ error: "Failed to process webhook" });
+    }
+  });
+
+  // Payment provider events: completed checkouts credit tokens, refunds and
+  // chargebacks take them back. The signature covers the raw body.
+  router.post("/payments", async (req, res) => {
+    const provider = providerName("payments");
+
+    let event;
+    try {
+      event = getProvider("payments", provider).parseWebhook(req.rawBody, req.headers);
+    } catch (err) {
+      return res.status(400).json({ error: "Malformed event" });
+    }
+    if (!event) return res.status(401).json({ error: "Invalid signature" });
+
+    try {
+      const result = await handlePaymentEvent(pool, provider, event);
+      return res.json({ ok: true, ...result });
+    } catch (err) {
+      // A non-2xx answer makes the provider redeliver the event
+      console.error(`Payment webhook error (event ${event.id}):`, err);
+      return res.status(500).json({ error: "Failed to process webhook" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { makeWebhooksRouter };
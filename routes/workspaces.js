@@ -0,0 +1,416 @@
+const crypto = require("crypto");
+const express = require("express");
+
+const { requireSession } = require("../middleware/auth");
+const { getProvider } = require("../services/providers");
+const { lockBalance, recordTokens } = require("../services/tokens");
+const {
+  ROLES,
+  roleAtLeast,
+  memberRole,
+  parseWorkspaceName,
+  canAssignRole,
+  createWorkspace,
+  createInvitation,
+  acceptInvitation,
+} = require("../services/workspaces");
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function toJson(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    tokens: row.tokens,
+    ...(row.role && { role: row.role }),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+  };
+}
+
+function invitationJson(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    invitedBy: row.invited_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+  };
+}
+
+function makeWorkspacesRouter(pool, requireAuth) {
+  const router = express.Router();
+
+  // Teams are managed from a signed-in session, never with an API key
+  router.use(requireAuth, requireSession);
+
+  // Unknown ids are 404s rather than uuid cast errors
+  router.param("id", (req, res, next, id) => {
+    if (!UUID.test(id)) return res.status(404).json({ error: "Workspace not found" });
+    next();
+  });
+
+  // The caller must be a member of :id with at least `minRole`; sets req.role
+  const withRole = (minRole) => async (req, res, next) => {
+    try {
+      const role = await memberRole(pool, req.params.id, req.user.id);
+      if (!role) return res.status(404).json({ error: "Workspace not found" });
+      if (!roleAtLeast(role, minRole)) {
+        return res.status(403).json({ error: `Requires the ${minRole} role in this workspace` });
+      }
+      req.role = role;
+      next();
+    } catch (err) {
+      console.error("Workspace role check error:", err.message);
+      res.status(500).json({ error: "Failed to check workspace" });
+    }
+  };
+
+  // Workspaces the user belongs to, with their role in each
+  router.get("/", async (req, res) => {
+    try {
+      const r = await pool.query(
+        `SELECT w.*, m.role FROM workspaces w
+         JOIN workspace_members m ON m.workspace_id = w.id
+         WHERE m.user_id = $1 ORDER BY w.created_at`,
+        [String(req.user.id)]
+      );
+      res.json({ workspaces: r.rows.map(toJson) });
+    } catch (err) {
+      console.error("List workspaces error:", err);
+      res.status(500).json({ error: "Failed to list workspaces" });
+    }
+  });
+
+  // Create a workspace; the creator is its owner
+  router.post("/", async (req, res) => {
+    const { name, error } = parseWorkspaceName(req.body?.name);
+    if (error) return res.status(400).json({ error });
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const workspace = await createWorkspace(client, req.user.id, name);
+      await client.query("COMMIT");
+      res.status(201).json({ workspace: toJson({ ...workspace, role: "owner" }) });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("Create workspace error:", err);
+      res.status(500).json({ error: "Failed to create workspace" });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Accept an emailed invitation; it must have been sent to the user's email
+  router.post("/invitations/accept", async (req, res) => {
+    const token = req.body?.token;
+    if (typeof token !== "string" || !token) return res.status(400).json({ error: "token is required" });
+
+    try {
+      const u = await pool.query("SELECT id, email FROM users WHERE id = $1", [req.user.id]);
+      if (!u.rowCount) return res.status(404).json({ error: "User not found" });
+
+      const { workspaceId, role, error } = await acceptInvitation(pool, token, u.rows[0]);
+      if (error) return res.status(400).json({ error });
+      res.json({ workspace: { id: workspaceId, role } });
+    } catch (err) {
+      console.error("Accept invitation error:", err);
+      res.status(500).json({ error: "Failed to accept invitation" });
+    }
+  });
+
+  // A workspace with its members and balance
+  router.get("/:id", withRole("viewer"), async (req, res) => {
+    try {
+      const w = await pool.query("SELECT * FROM workspaces WHERE id = $1", [req.params.id]);
+      const m = await pool.query(
+        `SELECT m.user_id, m.role, m.created_at, u.email, u.name
+         FROM workspace_members m LEFT JOIN users u ON u.id::text = m.user_id
+         WHERE m.workspace_id = $1 ORDER BY m.created_at`,
+        [req.params.id]
+      );
+      res.json({
+        workspace: toJson({ ...w.rows[0], role: req.role }),
+        members: m.rows.map((r) => ({
+          userId: r.user_id,
+          email: r.email,
+          name: r.name,
+          role: r.role,
+          joinedAt: r.created_at,
+        })),
+      });
+    } catch (err) {
+      console.error("Get workspace error:", err);
+      res.status(500).json({ error: "Failed to fetch workspace" });
+    }
+  });
+
+  // Rename
+  router.patch("/:id", withRole("admin"), async (req, res) => {
+    const { name, error } = parseWorkspaceName(req.body?.name);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      const r = await pool.query("UPDATE workspaces SET name = $2 WHERE id = $1 RETURNING *", [req.params.id, name]);
+      res.json({ workspace: toJson({ ...r.rows[0], role: req.role }) });
+    } catch (err) {
+      console.error("Rename workspace error:", err);
+      res.status(500).json({ error: "Failed to update workspace" });
+    }
+  });
+
+  // Delete; only once its balance is spent, so no tokens are lost. Its videos
+  // stay with the members who made them.
+  router.delete("/:id", withRole("owner"), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      // A negative balance (a reversed purchase) is owed, not spent
+      const tokens = await lockBalance(client, { workspaceId: req.params.id });
+      if (tokens !== 0) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: "The workspace's balance must be 0 before it can be deleted" });
+      }
+
+      // Videos keep going without the workspace, so one that can still be
+      // approved, charged or refunded would move onto its creator's balance.
+      // Checked under the balance lock, which charging a workspace takes too.
+      const active = await client.query(
+        `SELECT COUNT(*)::int AS n FROM videos
+         WHERE workspace_id = $1 AND status NOT IN ('completed', 'failed', 'cancelled')`,
+        [req.params.id]
+      );
+      if (active.rows[0].n) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          error: "The workspace still has videos in progress; wait for them to finish or cancel them first",
+          activeVideos: active.rows[0].n,
+        });
+      }
+
+      await client.query("DELETE FROM workspaces WHERE id = $1", [req.params.id]);
+      await client.query("COMMIT");
+      res.json({ deleted: true });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("Delete workspace error:", err);
+      res.status(500).json({ error: "Failed to delete workspace" });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Move tokens from the caller's own balance into the workspace's
+  router.post("/:id/tokens", withRole("admin"), async (req, res) => {
+    const amount = req.body?.amount;
+    if (!Number.isInteger(amount) || amount < 1) {
+      return res.status(400).json({ error: "amount must be a positive integer" });
+    }
+
+    const userId = req.user.id;
+    const transferId = crypto.randomUUID();
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const tokens = (await lockBalance(client, { userId })) ?? 0;
+      if (tokens < amount) {
+        await client.query("ROLLBACK");
+        return res.status(402).json({ error: "Insufficient tokens", required: amount, available: tokens });
+      }
+      await lockBalance(client, { userId, workspaceId: req.params.id });
+
+      await recordTokens(client, {
+        userId,
+        delta: -amount,
+        reason: "WORKSPACE_TRANSFER",
+        idempotencyKey: `transfer:${transferId}:out`,
+      });
+      await recordTokens(client, {
+        userId,
+        workspaceId: req.params.id,
+        delta: amount,
+        reason: "WORKSPACE_TRANSFER",
+        idempotencyKey: `transfer:${transferId}:in`,
+      });
+
+      const w = await client.query("SELECT tokens FROM workspaces WHERE id = $1", [req.params.id]);
+      await client.query("COMMIT");
+      res.json({ workspace: { id: req.params.id, tokens: w.rows[0].tokens }, tokensTransferred: amount });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("Workspace transfer error:", err);
+      res.status(500).json({ error: "Failed to transfer tokens" });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Change a member's role
+  router.patch("/:id/members/:userId", withRole("admin"), async (req, res) => {
+    const role = req.body?.role;
+    if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of: ${ROLES.join(", ")}` });
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const current = await memberRole(client, req.params.id, req.params.userId);
+      if (!current) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Member not found" });
+      }
+      if (!canAssignRole(req.role, current) || !canAssignRole(req.role, role)) {
+        await client.query("ROLLBACK");
+        return res.status(403).json({ error: "Not allowed to change this member's role" });
+      }
+      if (current === "owner" && role !== "owner" && (await ownerCount(client, req.params.id)) <= 1) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: "A workspace must keep at least one owner" });
+      }
+
+      await client.query("UPDATE workspace_members SET role = $3 WHERE workspace_id = $1 AND user_id = $2", [
+        req.params.id,
+        req.params.userId,
+        role,
+      ]);
+      await client.query("COMMIT");
+      res.json({ member: { userId: req.params.userId, role } });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("Change member role error:", err);
+      res.status(500).json({ error: "Failed to change role" });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Remove a member, or leave (any member may remove themselves)
+  router.delete("/:id/members/:userId", withRole("viewer"), async (req, res) => {
+    const leaving = req.params.userId === String(req.user.id);
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const current = await memberRole(client, req.params.id, req.params.userId);
+      if (!current) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Member not found" });
+      }
+      if (!leaving && !canAssignRole(req.role, current)) {
+        await client.query("ROLLBACK");
+        return res.status(403).json({ error: "Not allowed to remove this member" });
+      }
+      if (current === "owner" && (await ownerCount(client, req.params.id)) <= 1) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: "A workspace must keep at least one owner" });
+      }
+
+      await client.query("DELETE FROM workspace_members WHERE workspace_id = $1 AND user_id = $2", [
+        req.params.id,
+        req.params.userId,
+      ]);
+      await client.query("COMMIT");
+      res.json({ removed: true });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("Remove member error:", err);
+      res.status(500).json({ error: "Failed to remove member" });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Pending invitations
+  router.get("/:id/invitations", withRole("admin"), async (req, res) => {
+    try {
+      const r = await pool.query(
+        `SELECT * FROM workspace_invitations
+         WHERE workspace_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY created_at DESC`,
+        [req.params.id]
+      );
+      res.json({ invitations: r.rows.map(invitationJson) });
+    } catch (err) {
+      console.error("List invitations error:", err);
+      res.status(500).json({ error: "Failed to list invitations" });
+    }
+  });
+
+  // Invite someone by email; the link in the email carries the only copy of the token
+  router.post("/:id/invitations", withRole("admin"), async (req, res) => {
+    const { email, role = "editor" } = req.body || {};
+    if (typeof email !== "string" || !EMAIL.test(email.trim())) {
+      return res.status(400).json({ error: "email must be a valid email address" });
+    }
+    if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of: ${ROLES.join(", ")}` });
+    if (!canAssignRole(req.role, role)) {
+      return res.status(403).json({ error: `Not allowed to invite with the ${role} role` });
+    }
+
+    try {
+      const w = await pool.query("SELECT name FROM workspaces WHERE id = $1", [req.params.id]);
+      const { row, token } = await createInvitation(pool, {
+        workspaceId: req.params.id,
+        email: email.trim(),
+        role,
+        invitedBy: req.user.id,
+      });
+
+      const link = `${process.env.FRONTEND_URL}/invite?token=${encodeURIComponent(token)}`;
+      try {
+        await getProvider("mail").send({
+          to: row.email,
+          subject: `You're invited to ${w.rows[0].name}`,
+          text: `You've been invited to join the workspace "${w.rows[0].name}" as ${role}.\n\nAccept: ${link}\n\nThis link expires ${new Date(row.expires_at).toUTCString()}.`,
+        });
+      } catch (err) {
+        // Nobody got the link, so don't leave it open
+        await pool.query("DELETE FROM workspace_invitations WHERE id = $1", [row.id]);
+        throw err;
+      }
+
+      res.status(201).json({ invitation: invitationJson(row) });
+    } catch (err) {
+      console.error("Create invitation error:", err);
+      res.status(500).json({ error: "Failed to send invitation" });
+    }
+  });
+
+  // Revoke a pending invitation
+  router.delete("/:id/invitations/:invitationId", withRole("admin"), async (req, res) => {
+    if (!UUID.test(req.params.invitationId)) return res.status(404).json({ error: "Invitation not found" });
+
+    try {
+      const r = await pool.query(
+        `UPDATE workspace_invitations SET revoked_at = NOW()
+         WHERE id = $1 AND workspace_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+         RETURNING *`,
+        [req.params.invitationId, req.params.id]
+      );
+      if (!r.rowCount) return res.status(404).json({ error: "Invitation not found" });
+      res.json({ invitation: invitationJson(r.rows[0]) });
+    } catch (err) {
+      console.error("Revoke invitation error:", err);
+      res.status(500).json({ error: "Failed to revoke invitation" });
+    }
+  });
+
+  return router;
+}
+
+// Owners left in a workspace, counted under lock so two can't leave at once
+async function ownerCount(client, workspaceId) {
+  const r = await client.query(
+    "SELECT user_id FROM workspace_members WHERE workspace_id = $1 AND role = 'owner' FOR UPDATE",
+    [workspaceId]
+  );
+  return r.rowCount;
+}
+
+module.exports = { makeWorkspacesRouter };
@@ -7,6 +7,17 @@ const GoogleStrategy = require("passport-google-oauth20").Strategy;
 
 const { pool } = require("./db");
 const { makeAuthRouter } = require("./routes/auth");
+const makeVideoRouter = require("./routes/video");
+const { requireAuth } = require("./middleware/auth");
+const { makeVoicesRouter } = require("./routes/voices");
+const { makeWebhooksRouter } = require("./routes/webhooks");
+const { makeMusicRouter } = require("./routes/music");
+const { makeBrandKitsRouter } = require("./routes/brandKits");
+const { makeBatchesRouter } = require("./routes/batches");
+const { makeApiKeysRouter } = require("./routes/apiKeys");
+const { makeWorkspacesRouter } = require("./routes/workspaces");
+const { makeTokensRouter } = require("./routes/tokens");
+const { makeBillingRouter } = require("./routes/billing");
 
 const app = express();
 
@@ -18,7 +29,14 @@ app.use(
   })
 );
 
-app.use(express.json());
+// Keep the raw body too: payment webhooks are signed over the exact bytes
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  })
+);
 
 // Health check
 app.get("/health", async (req, res) => {
@@ -49,6 +67,16 @@ app.use(passport.initialize());
 
 // ✅ Auth base path (this is the one you’ll hit)
 app.use("/api/auth", makeAuthRouter(pool));
+app.use("/api/videos", makeVideoRouter(pool, requireAuth));
+app.use("/api/voices", makeVoicesRouter(requireAuth));
+app.use("/api/music", makeMusicRouter(pool, requireAuth));
+app.use("/api/brand-kits", makeBrandKitsRouter(pool, requireAuth));
+app.use("/api/batches", makeBatchesRouter(pool, requireAuth));
+app.use("/api/keys", makeApiKeysRouter(pool, requireAuth));
+app.use("/api/workspaces", makeWorkspacesRouter(pool, requireAuth));
+app.use("/api/tokens", makeTokensRouter(pool, requireAuth));
+app.use("/api/billing", makeBillingRouter(pool, requireAuth));
+app.use("/api/webhooks", makeWebhooksRouter(pool));
 
 // Root
 app.get("/", (req, res) => {
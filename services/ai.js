@@ -1,30 +1,10 @@
-const axios = require('axios');
-const Anthropic = require('@anthropic-ai/sdk');
-const cloudinary = require('cloudinary').v2;
-
-// API Keys
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-const STABILITY_API_KEY = process.env.STABILITY_API_KEY;
-const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
-
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: ANTHROPIC_API_KEY
-});
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
-// API endpoints
-const STABILITY_API_URL = 'https://api.stability.ai/v2beta/stable-image/generate/sd3';
-const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
+const { getProvider } = require('./providers');
+const { completeJson } = require('./llmJson');
+const { checkStoryboard } = require('./scriptSchema');
+const { isRetryable } = require('./errors');
 
 /**
- * Generate video script using Claude
+ * Generate video script with the LLM
  * @param {string} topic - Video topic
  * @param {number} duration - Video duration in seconds
  * @returns {Promise<Object>} - Script with scenes and narration
@@ -62,29 +42,11 @@ Image prompt guidelines:
 - Add mood and atmosphere
 - Example: "A futuristic city skyline at sunset, neon lights reflecting off glass buildings, cyberpunk aesthetic, dramatic lighting, wide angle shot, highly detailed, 8k quality"`;
 
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
-    });
-
-    // Parse Claude's response
-    const responseText = message.content[0].text;
-    
-    // Extract JSON from response (handle markdown code blocks)
-    let jsonText = responseText;
-    if (responseText.includes('```json')) {
-      jsonText = responseText.split('```json')[1].split('```')[0].trim();
-    } else if (responseText.includes('```')) {
-      jsonText = responseText.split('```')[1].split('```')[0].trim();
-    }
-
-    const scriptData = JSON.parse(jsonText);
+    const scriptData = await completeJson(
+      getProvider('llm'),
+      { prompt, maxTokens: 2000, task: { name: 'storyboard', topic, sceneCount: numScenes } },
+      (data) => checkStoryboard(data, { sceneCount: numScenes })
+    );
 
     return {
       narrationText: scriptData.narrationText,
@@ -93,12 +55,14 @@ Image prompt guidelines:
 
   } catch (error) {
     console.error('Script generation error:', error);
-    throw new Error(`Failed to generate script: ${error.message}`);
+    const wrapped = new Error(`Failed to generate script: ${error.message}`);
+    wrapped.retryable = isRetryable(error);
+    throw wrapped;
   }
 }
 
 /**
- * Generate images using Stable Diffusion
+ * Generate an image with the image provider
  * @param {string} prompt - Image generation prompt
  * @param {string} style - Visual style preset
  * @returns {Promise<string>} - Image URL
@@ -118,32 +82,12 @@ async function generateImages(prompt, style = 'cinematic') {
     const styleModifier = stylePresets[style] || stylePresets['cinematic'];
     const fullPrompt = `${prompt}, ${styleModifier}`;
 
-    const formData = new FormData();
-    formData.append('prompt', fullPrompt);
-    formData.append('output_format', 'png');
-    formData.append('aspect_ratio', '9:16'); // Vertical for shorts
-
-    const response = await axios.post(
-      STABILITY_API_URL,
-      formData,
-      {
-        headers: {
-          'Authorization': `Bearer ${STABILITY_API_KEY}`,
-          'Accept': 'application/json'
-        },
-        validateStatus: undefined
-      }
-    );
-
-    if (response.status !== 200) {
-      throw new Error(`Stability API error: ${response.status} - ${JSON.stringify(response.data)}`);
-    }
+    const { buffer, mimeType } = await getProvider('image').generate({
+      prompt: fullPrompt,
+      aspectRatio: '9:16' // Vertical for shorts
+    });
 
-    // Stability API returns base64 image data
-    const imageBase64 = response.data.image;
-    
-    // Upload to Cloudinary
-    const imageUrl = await uploadImageToCloudinary(imageBase64);
+    const imageUrl = await getProvider('storage').upload(buffer, { kind: 'image', mimeType });
 
     return imageUrl;
 
@@ -162,49 +106,23 @@ async function regenerateImage(prompt, style = 'cinematic') {
 }
 
 /**
- * Generate voiceover using ElevenLabs
+ * Generate voiceover with the TTS provider
  * @param {string} text - Text to convert to speech
  * @param {string} voiceId - Voice ID or preset name
  * @returns {Promise<string>} - Audio file URL
  */
 async function generateVoiceover(text, voiceId = 'default') {
   try {
-    // Voice ID mapping
-    const voiceMap = {
-      'default': 'pNInz6obpgDQGcFmaJgB', // Adam
-      'male-1': 'pNInz6obpgDQGcFmaJgB', // Adam
-      'male-2': 'yoZ06aMxZJJ28mfd3POQ', // Sam
-      'female-1': 'EXAVITQu4vr4xnSDxMaL', // Sarah
-      'female-2': 'cgSgspJ2msm6clMCkdW9', // Jessica
-      'british': 'iP95p4xoKVk53GoZ742B', // Chris (British)
-    };
-
-    const selectedVoiceId = voiceMap[voiceId] || voiceMap['default'];
-
-    const response = await axios.post(
-      `${ELEVENLABS_API_URL}/text-to-speech/${selectedVoiceId}`,
-      {
-        text: text,
-        model_id: 'eleven_turbo_v2',
-        voice_settings: {
-          stability: 0.5,
-          similarity_boost: 0.75,
-          style: 0.5,
-          use_speaker_boost: true
-        }
-      },
-      {
-        headers: {
-          'xi-api-key': ELEVENLABS_API_KEY,
-          'Content-Type': 'application/json',
-          'Accept': 'audio/mpeg'
-        },
-        responseType: 'arraybuffer'
+    const { buffer, mimeType } = await getProvider('tts').synthesize({
+      text,
+      voiceId,
+      settings: {
+        style: 0.5,
+        use_speaker_boost: true
       }
-    );
+    });
 
-    // Upload audio to Cloudinary
-    const audioUrl = await uploadAudioToCloudinary(response.data);
+    const audioUrl = await getProvider('storage').upload(buffer, { kind: 'audio', mimeType });
 
     return audioUrl;
 
@@ -215,72 +133,11 @@ async function generateVoiceover(text, voiceId = 'default') {
 }
 
 /**
- * Upload image to Cloudinary
- * @param {string} imageBase64 - Base64 encoded image
- * @returns {Promise<string>} - Public URL
- */
-async function uploadImageToCloudinary(imageBase64) {
-  try {
-    const result = await cloudinary.uploader.upload(
-      `data:image/png;base64,${imageBase64}`,
-      {
-        folder: 'shortsfusion/images',
-        resource_type: 'image'
-      }
-    );
-    
-    console.log('Image uploaded to Cloudinary:', result.secure_url);
-    return result.secure_url;
-    
-  } catch (error) {
-    console.error('Cloudinary image upload error:', error);
-    throw new Error(`Failed to upload image: ${error.message}`);
-  }
-}
-
-/**
- * Upload audio to Cloudinary
- * @param {Buffer} audioBuffer - Audio data buffer
- * @returns {Promise<string>} - Public URL
- */
-async function uploadAudioToCloudinary(audioBuffer) {
-  try {
-    // Convert buffer to base64
-    const base64Audio = audioBuffer.toString('base64');
-    
-    const result = await cloudinary.uploader.upload(
-      `data:audio/mp3;base64,${base64Audio}`,
-      {
-        folder: 'shortsfusion/audio',
-        resource_type: 'video', // Cloudinary uses 'video' resource type for audio
-        format: 'mp3'
-      }
-    );
-    
-    console.log('Audio uploaded to Cloudinary:', result.secure_url);
-    return result.secure_url;
-    
-  } catch (error) {
-    console.error('Cloudinary audio upload error:', error);
-    throw new Error(`Failed to upload audio: ${error.message}`);
-  }
-}
-
-/**
- * Get available voices from ElevenLabs
+ * Get available voices from the TTS provider
  */
 async function getAvailableVoices() {
   try {
-    const response = await axios.get(
-      `${ELEVENLABS_API_URL}/voices`,
-      {
-        headers: {
-          'xi-api-key': ELEVENLABS_API_KEY
-        }
-      }
-    );
-
-    return response.data.voices;
+    return await getProvider('tts').listVoices();
 
   } catch (error) {
     console.error('Get voices error:', error);
@@ -0,0 +1,110 @@
+// services/apiKeys.js
+// Personal API keys for scripts and automations. A key is shown once when it
+// is created; only its sha256 hash is stored, plus a short prefix so users
+// can tell their keys apart. Each key carries the scopes it may use.
+
+const crypto = require("crypto");
+
+const KEY_PREFIX = "sfk_";
+
+// scope -> what it allows
+const SCOPES = {
+  "videos:read": "List videos, read their details, captions, progress and batches",
+  "videos:generate": "Spend tokens: generate, approve drafts, regenerate scenes, localize",
+  "videos:write": "Edit draft scripts and cancel videos",
+  "brand_kits:read": "List and read brand kits",
+  "brand_kits:write": "Create, update and delete brand kits",
+  "catalog:read": "List voices and music, preview voices",
+  "tokens:read": "Read token balances and ledger history",
+};
+
+const MAX_NAME_LENGTH = 100;
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function isApiKey(token) {
+  return typeof token === "string" && token.startsWith(KEY_PREFIX);
+}
+
+/**
+ * Validate a create-key request
+ * @param {Object} body - { name, scopes, expiresAt? }
+ * @returns {{key: Object|null, error: string|null}}
+ */
+function parseApiKeyRequest(body) {
+  const fail = (error) => ({ key: null, error });
+  const { name, scopes, expiresAt } = body || {};
+
+  if (typeof name !== "string" || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return fail(`name must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+  if (!Array.isArray(scopes) || !scopes.length) {
+    return fail(`scopes must be a non-empty array of: ${Object.keys(SCOPES).join(", ")}`);
+  }
+  const unknown = scopes.filter((s) => !SCOPES[s]);
+  if (unknown.length) return fail(`Unknown scope(s): ${unknown.join(", ")}`);
+
+  let expires = null;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    expires = new Date(expiresAt);
+    if (Number.isNaN(expires.getTime()) || expires <= new Date()) {
+      return fail("expiresAt must be a future date");
+    }
+  }
+
+  return { key: { name: name.trim(), scopes: [...new Set(scopes)], expiresAt: expires }, error: null };
+}
+
+/**
+ * Create a key for a user
+ * @returns {Promise<{row: Object, secret: string}>} - secret is the full key, never stored
+ */
+async function createApiKey(db, userId, { name, scopes, expiresAt }) {
+  const secret = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  const r = await db.query(
+    `INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, name, prefix, scopes, created_at, expires_at, last_used_at, revoked_at`,
+    [String(userId), name, secret.slice(0, KEY_PREFIX.length + 6), hashKey(secret), scopes, expiresAt]
+  );
+  return { row: r.rows[0], secret };
+}
+
+/**
+ * Look up a presented key and record that it was used
+ * @returns {Promise<{id, userId, scopes}|null>} - null for unknown, revoked or expired keys
+ */
+async function authenticateApiKey(db, key) {
+  const r = await db.query(
+    `UPDATE api_keys SET last_used_at = NOW()
+     WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+     RETURNING id, user_id, scopes`,
+    [hashKey(key)]
+  );
+  const row = r.rows[0];
+  return row ? { id: row.id, userId: row.user_id, scopes: row.scopes } : null;
+}
+
+function toJson(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: row.scopes,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+module.exports = {
+  SCOPES,
+  isApiKey,
+  parseApiKeyRequest,
+  createApiKey,
+  authenticateApiKey,
+  toJson,
+};
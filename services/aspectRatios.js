@@ -0,0 +1,49 @@
+// services/aspectRatios.js
+// Output formats a video can be rendered in, and how the layout adapts to
+// each: frame size, where captions sit and how wide card images are.
+
+const ASPECT_RATIOS = {
+  // Shorts, Reels, TikTok
+  "9:16": { width: 1080, height: 1920, captionY: "80%", captionWidth: "90%", cardImageWidth: "60%" },
+  // Instagram feed
+  "1:1": { width: 1080, height: 1080, captionY: "84%", captionWidth: "90%", cardImageWidth: "45%" },
+  // YouTube landscape
+  "16:9": { width: 1920, height: 1080, captionY: "86%", captionWidth: "70%", cardImageWidth: "30%" },
+};
+
+const DEFAULT_ASPECT_RATIO = "9:16";
+
+// How scene images are made when a video has several ratios:
+//  - safe:      one square image per scene with the subject kept central, cropped to each ratio
+//  - per_ratio: one image per scene and ratio
+const IMAGE_FRAMINGS = ["safe", "per_ratio"];
+const SAFE_FRAMING_RATIO = "1:1";
+const SAFE_FRAMING_PROMPT = "main subject centered with generous empty margins on every side";
+
+/**
+ * Validate the aspect ratios from a request body
+ * @param {string[]} [value] - defaults to [DEFAULT_ASPECT_RATIO]; the first one is the primary output
+ * @returns {{aspectRatios: string[], error: string|null}}
+ */
+function parseAspectRatios(value) {
+  if (value === undefined || value === null) return { aspectRatios: [DEFAULT_ASPECT_RATIO], error: null };
+
+  const known = Object.keys(ASPECT_RATIOS);
+  if (!Array.isArray(value) || !value.length) {
+    return { aspectRatios: [], error: `aspectRatios must be a non-empty array of: ${known.join(", ")}` };
+  }
+  const unknown = value.filter((r) => !known.includes(r));
+  if (unknown.length) {
+    return { aspectRatios: [], error: `Unknown aspect ratio(s): ${unknown.join(", ")}` };
+  }
+  return { aspectRatios: [...new Set(value)], error: null };
+}
+
+module.exports = {
+  ASPECT_RATIOS,
+  DEFAULT_ASPECT_RATIO,
+  IMAGE_FRAMINGS,
+  SAFE_FRAMING_RATIO,
+  SAFE_FRAMING_PROMPT,
+  parseAspectRatios,
+};
@@ -0,0 +1,160 @@
+// services/batches.js
+// Batch generation: topic lists from JSON or CSV, charged in one transaction
+// and tracked together under a batch id.
+
+const { STAGES } = require("./pipeline");
+
+const MAX_BATCH_ROWS = Number(process.env.MAX_BATCH_ROWS) || 50;
+
+// CSV headers accepted for each request field
+const CSV_COLUMNS = {
+  topic: "topic",
+  style: "visualStyle",
+  visualstyle: "visualStyle",
+  visual_style: "visualStyle",
+  duration: "duration",
+  voice: "voice",
+  music: "music",
+  brandkitid: "brandKitId",
+  brand_kit_id: "brandKitId",
+  renderer: "renderer",
+};
+
+/**
+ * Split CSV text into records. Handles quoted fields with commas, doubled
+ * quotes and line breaks; blank lines are skipped.
+ * @returns {string[][]}
+ */
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+    if (record.some((f) => f.trim() !== "")) records.push(record);
+    record = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      endField();
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || record.length) endRecord();
+  return records;
+}
+
+/**
+ * Batch rows from a CSV upload; the first line is the header
+ * @returns {{rows: Object[], error: string|null}}
+ */
+function parseCsvRows(text) {
+  const [header, ...records] = parseCsvRecords(String(text).replace(/^\uFEFF/, ""));
+  if (!header) return { rows: [], error: "CSV is empty" };
+
+  const fields = header.map((h) => CSV_COLUMNS[h.trim().toLowerCase()]);
+  const unknown = header.filter((h, i) => !fields[i]);
+  if (unknown.length) return { rows: [], error: `Unknown CSV column(s): ${unknown.join(", ")}` };
+
+  const rows = records.map((values) => {
+    const row = {};
+    fields.forEach((field, i) => {
+      const value = (values[i] || "").trim();
+      if (value) row[field] = value;
+    });
+    return row;
+  });
+  return { rows, error: null };
+}
+
+/**
+ * Aggregate progress of a batch's videos
+ * @param {Object} db - pg pool
+ * @param {string} batchId
+ * @param {Object} owner - { userId } for a personal batch, { workspaceId } for a workspace's
+ * @returns {Promise<Object|null>} - null when the batch doesn't exist or isn't the owner's
+ */
+async function batchProgress(db, batchId, { userId, workspaceId = null }) {
+  const b = workspaceId
+    ? await db.query("SELECT * FROM batches WHERE id = $1 AND workspace_id = $2", [batchId, workspaceId])
+    : await db.query("SELECT * FROM batches WHERE id = $1 AND user_id = $2 AND workspace_id IS NULL", [
+        batchId,
+        String(userId),
+      ]);
+  if (!b.rowCount) return null;
+  const batch = b.rows[0];
+
+  const v = await db.query(
+    `SELECT id, topic, status, video_url, error_reason,
+            ARRAY(SELECT jsonb_object_keys(COALESCE(stage_outputs, '{}'::jsonb))) AS stages
+     FROM videos WHERE batch_id = $1 ORDER BY created_at, id`,
+    [batchId]
+  );
+
+  // What the batch was charged, less what its videos have been refunded since
+  const r = await db.query(
+    `SELECT COALESCE(SUM(l.delta), 0)::int AS refunded
+     FROM token_ledger l JOIN videos v ON l.video_id = v.id::text
+     WHERE v.batch_id = $1 AND l.reason = 'REFUND' AND l.idempotency_key = 'refund:' || v.id`,
+    [batchId]
+  );
+
+  const counts = {};
+  let done = 0;
+  for (const video of v.rows) {
+    counts[video.status] = (counts[video.status] || 0) + 1;
+    // Finished videos count whole, running ones by the stages they have checkpointed
+    done += ["completed", "failed", "cancelled"].includes(video.status)
+      ? 1
+      : video.stages.filter((s) => STAGES.includes(s)).length / STAGES.length;
+  }
+
+  const total = v.rows.length;
+  const finished = (counts.completed || 0) + (counts.failed || 0) + (counts.cancelled || 0);
+
+  return {
+    id: batch.id,
+    total,
+    counts,
+    percent: total ? Math.round((done / total) * 100) : 100,
+    status: finished === total ? "finished" : "running",
+    tokensUsed: batch.total_cost - r.rows[0].refunded,
+    createdAt: batch.created_at,
+    videos: v.rows.map((video) => ({
+      id: video.id,
+      topic: video.topic,
+      status: video.status,
+      videoUrl: video.video_url,
+      ...(video.error_reason && { error: video.error_reason }),
+    })),
+  };
+}
+
+module.exports = {
+  MAX_BATCH_ROWS,
+  parseCsvRows,
+  batchProgress,
+};
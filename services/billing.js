@@ -0,0 +1,183 @@
+// services/billing.js
+// Token pack purchases. Checkout happens on the payment provider's hosted
+// page; only its signed webhook credits tokens, through an idempotent
+// PURCHASE ledger entry, so a replayed or duplicated event never credits twice.
+// Refunds and chargebacks take the tokens back with a PURCHASE_REVERSAL entry;
+// one that arrives before the payment it reverses is kept in payment_reversals
+// so that payment credits nothing.
+
+const { getProvider, providerName } = require("./providers");
+const { recordTokens } = require("./tokens");
+
+const CURRENCY = (process.env.BILLING_CURRENCY || "usd").toLowerCase();
+
+const TOKEN_PACKS = [
+  { id: "starter", name: "Starter pack", tokens: 100, priceCents: 500 },
+  { id: "creator", name: "Creator pack", tokens: 500, priceCents: 2000 },
+  { id: "studio", name: "Studio pack", tokens: 2000, priceCents: 6000 },
+].map((pack) => ({ ...pack, currency: CURRENCY }));
+
+function findPack(id) {
+  return TOKEN_PACKS.find((p) => p.id === id) || null;
+}
+
+/**
+ * Start buying a pack: a pending purchase and a provider checkout for it
+ * @param {Object} pool - pg pool
+ * @param {Object} opts
+ * @param {Object} opts.pack - from TOKEN_PACKS
+ * @param {string} opts.userId - buyer
+ * @param {string} [opts.workspaceId] - credit this workspace instead of the buyer
+ * @returns {Promise<{purchase: Object, url: string}>}
+ */
+async function startCheckout(pool, { pack, userId, workspaceId = null }) {
+  const provider = providerName("payments");
+  const p = await pool.query(
+    `INSERT INTO token_purchases (user_id, workspace_id, pack_id, tokens, amount_cents, currency, provider)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [String(userId), workspaceId, pack.id, pack.tokens, pack.priceCents, pack.currency, provider]
+  );
+  const purchase = p.rows[0];
+
+  const returnUrl = `${process.env.FRONTEND_URL}/billing?purchase=${purchase.id}`;
+  const checkout = await getProvider("payments", provider).createCheckout({
+    pack,
+    reference: purchase.id,
+    successUrl: `${returnUrl}&status=success`,
+    cancelUrl: `${returnUrl}&status=cancelled`,
+  });
+
+  const u = await pool.query("UPDATE token_purchases SET checkout_id = $2 WHERE id = $1 RETURNING *", [
+    purchase.id,
+    checkout.id,
+  ]);
+  return { purchase: u.rows[0], url: checkout.url };
+}
+
+/**
+ * Apply a verified payment event
+ * @param {Object} pool - pg pool
+ * @param {string} provider - adapter that sent it
+ * @param {Object} event - from payments.parseWebhook()
+ * @returns {Promise<{purchaseId: string|null, status: string|null, changed: boolean}>}
+ */
+async function handlePaymentEvent(pool, provider, event) {
+  const unchanged = (purchase) => ({ purchaseId: purchase?.id || null, status: purchase?.status || null, changed: false });
+  if (!["payment_succeeded", "payment_refunded", "payment_disputed"].includes(event.type)) return unchanged(null);
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const r =
+      event.type === "payment_succeeded"
+        ? await client.query("SELECT * FROM token_purchases WHERE provider = $1 AND checkout_id = $2 FOR UPDATE", [
+            provider,
+            event.checkoutId,
+          ])
+        : await client.query("SELECT * FROM token_purchases WHERE provider = $1 AND payment_id = $2 FOR UPDATE", [
+            provider,
+            event.paymentId,
+          ]);
+    const purchase = r.rows[0];
+    const reversalReason = event.type === "payment_disputed" ? "chargeback" : "refund";
+
+    if (event.type === "payment_succeeded" && purchase?.status === "pending") {
+      // Refunded or disputed before this event arrived: never credited
+      const early = event.paymentId
+        ? await client.query("SELECT reason FROM payment_reversals WHERE provider = $1 AND payment_id = $2", [
+            provider,
+            event.paymentId,
+          ])
+        : { rows: [] };
+      if (early.rows.length) {
+        await client.query(
+          `UPDATE token_purchases
+           SET status = 'reversed', payment_id = $2, reversal_reason = $3, paid_at = NOW(), reversed_at = NOW()
+           WHERE id = $1`,
+          [purchase.id, event.paymentId, early.rows[0].reason]
+        );
+        await client.query("COMMIT");
+        return { purchaseId: purchase.id, status: "reversed", changed: true };
+      }
+
+      await recordTokens(client, {
+        userId: purchase.user_id,
+        workspaceId: purchase.workspace_id,
+        delta: purchase.tokens,
+        reason: "PURCHASE",
+        idempotencyKey: `purchase:${purchase.id}`,
+      });
+      await client.query(
+        "UPDATE token_purchases SET status = 'paid', payment_id = $2, paid_at = NOW() WHERE id = $1",
+        [purchase.id, event.paymentId || null]
+      );
+      await client.query("COMMIT");
+      return { purchaseId: purchase.id, status: "paid", changed: true };
+    }
+
+    // The whole pack is taken back, even if the tokens were already spent;
+    // the balance may go negative until more are bought
+    if (event.type !== "payment_succeeded" && purchase?.status === "paid") {
+      await recordTokens(client, {
+        userId: purchase.user_id,
+        workspaceId: purchase.workspace_id,
+        delta: -purchase.tokens,
+        reason: "PURCHASE_REVERSAL",
+        idempotencyKey: `purchase-reversal:${purchase.id}`,
+      });
+      await client.query(
+        "UPDATE token_purchases SET status = 'reversed', reversal_reason = $2, reversed_at = NOW() WHERE id = $1",
+        [purchase.id, reversalReason]
+      );
+      await client.query("COMMIT");
+      return { purchaseId: purchase.id, status: "reversed", changed: true };
+    }
+
+    // No purchase has this payment yet: its success event may still be on the
+    // way, so remember the reversal for when it arrives
+    if (event.type !== "payment_succeeded" && !purchase && event.paymentId) {
+      const saved = await client.query(
+        `INSERT INTO payment_reversals (provider, payment_id, reason) VALUES ($1, $2, $3)
+         ON CONFLICT (provider, payment_id) DO NOTHING`,
+        [provider, event.paymentId, reversalReason]
+      );
+      await client.query("COMMIT");
+      return { purchaseId: null, status: null, changed: saved.rowCount > 0 };
+    }
+
+    // Unknown purchase, or one already in this state (a redelivered event)
+    await client.query("ROLLBACK");
+    return unchanged(purchase);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+function toJson(row) {
+  return {
+    id: row.id,
+    packId: row.pack_id,
+    tokens: row.tokens,
+    amountCents: row.amount_cents,
+    currency: row.currency,
+    status: row.status,
+    workspaceId: row.workspace_id,
+    reversalReason: row.reversal_reason,
+    createdAt: row.created_at,
+    paidAt: row.paid_at,
+    reversedAt: row.reversed_at,
+  };
+}
+
+module.exports = {
+  TOKEN_PACKS,
+  findPack,
+  startCheckout,
+  handlePaymentEvent,
+  toJson,
+};
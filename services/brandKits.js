@@ -0,0 +1,155 @@
+// services/brandKits.js
+// Per-user brand kits: caption styling, a logo watermark, optional intro and
+// outro cards and an end-screen CTA. Kits are stored as validated settings
+// in brand_kits.settings; the pipeline snapshots a video's kit into its
+// "brand" checkpoint so later kit edits don't change a finished video.
+
+const LOGO_POSITIONS = ["top-left", "top-right", "bottom-left", "bottom-right"];
+
+// What a video looks like without a kit
+const DEFAULT_STYLE = {
+  fontFamily: "Montserrat",
+  fontSize: 48,
+  textColor: "#ffffff",
+  strokeColor: "#000000",
+  strokeWidth: 4,
+  cardColor: "#000000",
+};
+
+const LIMITS = {
+  name: 100,
+  fontFamily: 100,
+  cardText: 200,
+  endScreenCta: 100,
+  fontSize: [24, 120],
+  strokeWidth: [0, 20],
+  logoSize: [5, 40], // percent of the video width
+  logoOpacity: [0.1, 1],
+  cardDuration: [1, 5], // seconds
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+// A font name goes into FFmpeg filter options and ASS style lines, where
+// quotes, commas, colons and the like are syntax
+const FONT_FAMILY = /^[\w -]+$/;
+
+function isUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function checkString(value, field, max) {
+  if (typeof value !== "string" || !value.trim()) return `${field} must be a non-empty string`;
+  if (value.length > max) return `${field} must be at most ${max} characters`;
+  return null;
+}
+
+function checkNumber(value, field, [min, max]) {
+  if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+    return `${field} must be a number between ${min} and ${max}`;
+  }
+  return null;
+}
+
+function checkCard(card, field) {
+  if (card === null) return null;
+  if (typeof card !== "object" || Array.isArray(card)) return `${field} must be an object or null`;
+  if (card.text === undefined && card.imageUrl === undefined) return `${field} needs text or imageUrl`;
+  if (card.text !== undefined) {
+    const error = checkString(card.text, `${field}.text`, LIMITS.cardText);
+    if (error) return error;
+  }
+  if (card.imageUrl !== undefined && !isUrl(card.imageUrl)) return `${field}.imageUrl must be an http(s) URL`;
+  if (card.duration !== undefined) return checkNumber(card.duration, `${field}.duration`, LIMITS.cardDuration);
+  return null;
+}
+
+// field -> check(value) returning an error or null
+const FIELDS = {
+  logoUrl: (v) => (v === null || isUrl(v) ? null : "logoUrl must be an http(s) URL"),
+  logoPosition: (v) => (LOGO_POSITIONS.includes(v) ? null : `logoPosition must be one of: ${LOGO_POSITIONS.join(", ")}`),
+  logoSize: (v) => checkNumber(v, "logoSize", LIMITS.logoSize),
+  logoOpacity: (v) => checkNumber(v, "logoOpacity", LIMITS.logoOpacity),
+  fontFamily: (v) =>
+    checkString(v, "fontFamily", LIMITS.fontFamily) ||
+    (FONT_FAMILY.test(v) ? null : "fontFamily may only contain letters, digits, spaces, hyphens and underscores"),
+  fontSize: (v) => checkNumber(v, "fontSize", LIMITS.fontSize),
+  textColor: (v) => (HEX_COLOR.test(v) ? null : "textColor must be a #rrggbb color"),
+  strokeColor: (v) => (HEX_COLOR.test(v) ? null : "strokeColor must be a #rrggbb color"),
+  strokeWidth: (v) => checkNumber(v, "strokeWidth", LIMITS.strokeWidth),
+  cardColor: (v) => (HEX_COLOR.test(v) ? null : "cardColor must be a #rrggbb color"),
+  introCard: (v) => checkCard(v, "introCard"),
+  outroCard: (v) => checkCard(v, "outroCard"),
+  endScreenCta: (v) => (v === null ? null : checkString(v, "endScreenCta", LIMITS.endScreenCta)),
+};
+
+/**
+ * Validate a brand kit from a request body
+ * @param {Object} body - { name, ...settings }
+ * @param {Object} [opts]
+ * @param {boolean} [opts.partial] - for updates: only validate what is present
+ * @returns {{name: string|undefined, settings: Object, error: string|null}}
+ */
+function parseBrandKit(body, { partial = false } = {}) {
+  const fail = (error) => ({ name: undefined, settings: {}, error });
+  if (!body || typeof body !== "object") return fail("Body must be an object");
+
+  if (body.name !== undefined || !partial) {
+    const error = checkString(body.name, "name", LIMITS.name);
+    if (error) return fail(error);
+  }
+
+  const settings = {};
+  for (const [key, value] of Object.entries(body)) {
+    if (key === "name") continue;
+    const check = FIELDS[key];
+    if (!check) return fail(`Unknown brand kit field: ${key}`);
+
+    const error = check(value);
+    if (error) return fail(error);
+    settings[key] = typeof value === "string" ? value.trim() : value;
+  }
+
+  return { name: body.name?.trim(), settings, error: null };
+}
+
+/**
+ * A kit's settings with defaults filled in, as the renderer uses them
+ * @param {Object|null} settings - brand_kits.settings, or null for no kit
+ */
+function resolveBrand(settings) {
+  const s = settings || {};
+  const card = (c) => (c ? { ...c, duration: c.duration || 2.5 } : null);
+
+  return {
+    ...DEFAULT_STYLE,
+    ...s,
+    logoUrl: s.logoUrl || null,
+    logoPosition: s.logoPosition || "top-right",
+    logoSize: s.logoSize || 15,
+    logoOpacity: s.logoOpacity ?? 0.85,
+    introCard: card(s.introCard),
+    outroCard: card(s.outroCard),
+    endScreenCta: s.endScreenCta || null,
+  };
+}
+
+/**
+ * Kit owned by a user
+ * @returns {Promise<Object|null>} - brand_kits row
+ */
+async function findBrandKit(db, id, userId) {
+  const r = await db.query("SELECT * FROM brand_kits WHERE id = $1 AND user_id = $2", [id, userId]);
+  return r.rows[0] || null;
+}
+
+module.exports = {
+  LOGO_POSITIONS,
+  DEFAULT_STYLE,
+  parseBrandKit,
+  resolveBrand,
+  findBrandKit,
+};
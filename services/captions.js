@@ -0,0 +1,220 @@
+// services/captions.js
+// Sidecar caption files (SRT, WebVTT, ASS) built from the voiceover's
+// per-scene segments and word timings.
+
+const { sceneNarrations, sceneTimeline } = require("./timing");
+const { resolveBrand } = require("./brandKits");
+const { ASPECT_RATIOS, DEFAULT_ASPECT_RATIO } = require("./aspectRatios");
+
+const FORMATS = {
+  srt: { contentType: "application/x-subrip", render: toSrt },
+  vtt: { contentType: "text/vtt", render: toVtt },
+  ass: { contentType: "text/x-ssa", render: toAss },
+};
+
+const DEFAULT_MAX_CHARS = Number(process.env.CAPTION_MAX_CHARS) || 42;
+const MAX_LINES = 2;
+// A pause this long (seconds) between words always starts a new phrase
+const PHRASE_PAUSE = 0.5;
+
+/**
+ * Timed segments for a video, from its voiceover checkpoint when it was
+ * measured, otherwise estimated from the script.
+ * @param {Object} stageOutputs - videos.stage_outputs
+ * @param {number} fallbackDuration - video duration in seconds
+ * @returns {Array<{text, start, duration, words}>|null} - null if there is no script yet
+ */
+function captionSegments(stageOutputs, fallbackDuration) {
+  // A brand intro card plays before the narration starts
+  const offset = stageOutputs?.brand?.introCard?.duration || 0;
+  const shift = (segments) => (offset ? segments.map((s) => ({ ...s, start: s.start + offset })) : segments);
+
+  const voiceover = stageOutputs?.voiceover;
+  if (voiceover?.segments?.length) return shift(voiceover.segments);
+
+  const script = stageOutputs?.script;
+  if (!script?.scenes?.length) return null;
+
+  const texts = sceneNarrations(script);
+  const timeline = sceneTimeline(texts.length, voiceover, fallbackDuration);
+  return shift(texts.map((text, i) => ({ text, ...timeline.scenes[i], words: [] })));
+}
+
+/**
+ * Absolute word timings for a segment. Segments without a TTS alignment get
+ * their words spread evenly, weighted by length.
+ */
+function segmentWords(seg) {
+  if (seg.words?.length) {
+    return seg.words.map((w) => ({ text: w.text, start: seg.start + w.start, end: seg.start + w.end }));
+  }
+
+  const words = String(seg.text).trim().split(/\s+/).filter(Boolean);
+  const totalChars = words.reduce((n, w) => n + w.length, 0) || 1;
+  let cursor = seg.start;
+  return words.map((text) => {
+    const length = (seg.duration * text.length) / totalChars;
+    const word = { text, start: cursor, end: cursor + length };
+    cursor += length;
+    return word;
+  });
+}
+
+/**
+ * Split the narration into caption cues
+ * @param {Array} segments - from captionSegments()
+ * @param {Object} [opts]
+ * @param {string} [opts.split] - "phrase" (default) or "word"
+ * @param {number} [opts.maxChars] - maximum characters per line
+ * @returns {Array<{start: number, end: number, lines: string[]}>}
+ */
+function buildCues(segments, { split = "phrase", maxChars = DEFAULT_MAX_CHARS } = {}) {
+  const cues = [];
+
+  for (const seg of segments) {
+    const words = segmentWords(seg);
+
+    if (split === "word") {
+      words.forEach((w) => cues.push({ start: w.start, end: w.end, lines: wrap(w.text, maxChars) }));
+      continue;
+    }
+
+    let phrase = [];
+    const flush = () => {
+      if (!phrase.length) return;
+      const text = phrase.map((w) => w.text).join(" ");
+      cues.push({ start: phrase[0].start, end: phrase[phrase.length - 1].end, lines: wrap(text, maxChars) });
+      phrase = [];
+    };
+
+    words.forEach((w, i) => {
+      const prev = words[i - 1];
+      const candidate = [...phrase, w].map((x) => x.text).join(" ");
+      const tooLong = phrase.length && wrap(candidate, maxChars).length > MAX_LINES;
+      const paused = prev && w.start - prev.end >= PHRASE_PAUSE;
+      if (tooLong || paused) flush();
+
+      phrase.push(w);
+      if (/[.!?;:]$/.test(w.text)) flush();
+    });
+    flush();
+  }
+
+  return cues;
+}
+
+/**
+ * Greedy line wrap; a single word longer than maxChars gets its own line
+ */
+function wrap(text, maxChars) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && line.length + 1 + word.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function timestamp(seconds, separator) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const pad = (n, len = 2) => String(n).padStart(len, "0");
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function toSrt(cues) {
+  return cues
+    .map((c, i) => `${i + 1}\n${timestamp(c.start, ",")} --> ${timestamp(c.end, ",")}\n${c.lines.join("\n")}\n`)
+    .join("\n");
+}
+
+function toVtt(cues) {
+  const body = cues
+    .map((c) => `${timestamp(c.start, ".")} --> ${timestamp(c.end, ".")}\n${c.lines.join("\n")}\n`)
+    .join("\n");
+  return `WEBVTT\n\n${body}`;
+}
+
+function assTimestamp(seconds) {
+  const cs = Math.max(0, Math.round(seconds * 100));
+  const h = Math.floor(cs / 360000);
+  const m = Math.floor((cs % 360000) / 6000);
+  const s = Math.floor((cs % 6000) / 100);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${h}:${pad(m)}:${pad(s)}.${pad(cs % 100)}`;
+}
+
+// ASS colours are &HAABBGGRR
+function assColor(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => hex.slice(i, i + 2).toUpperCase());
+  return `&H00${b}${g}${r}`;
+}
+
+// Event text is literal: { and } open override tags unless escaped, and a
+// backslash is kept from starting \N, \n or \h by a zero-width word joiner
+// (ASS has no escape for the backslash itself)
+function assText(line) {
+  return line.replace(/\\/g, "\\\u2060").replace(/[{}]/g, (c) => `\\${c}`);
+}
+
+// Matches the burned-in caption look: the brand kit's font and colours
+// (white Montserrat with a black outline by default), placed where the
+// aspect ratio's layout puts captions
+function toAss(cues, brand, aspectRatio = DEFAULT_ASPECT_RATIO) {
+  const { fontFamily, fontSize, textColor, strokeColor, strokeWidth } = resolveBrand(brand);
+  const { width, height, captionY, captionWidth } = ASPECT_RATIOS[aspectRatio];
+  const text = assColor(textColor);
+  const outline = assColor(strokeColor);
+  const marginH = Math.round((width * (100 - parseFloat(captionWidth))) / 200);
+  const marginV = Math.round((height * (100 - parseFloat(captionY))) / 100);
+  const header = [
+    "[Script Info]",
+    "ScriptType: v4.00+",
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    "",
+    "[V4+ Styles]",
+    "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+    `Style: Default,${fontFamily},${fontSize},${text},${text},${outline},&H00000000,-1,0,0,0,100,100,0,0,1,${strokeWidth},0,2,${marginH},${marginH},${marginV},1`,
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+  ];
+
+  const events = cues.map((c) => {
+    const line = c.lines.map(assText).join("\\N");
+    return `Dialogue: 0,${assTimestamp(c.start)},${assTimestamp(c.end)},Default,,0,0,0,,${line}`;
+  });
+
+  return [...header, ...events, ""].join("\n");
+}
+
+/**
+ * Render cues in a caption format
+ * @param {string} format - srt | vtt | ass
+ * @param {Object} [brand] - brand stage output, styles ASS captions
+ * @param {string} [aspectRatio] - frame the ASS captions are positioned for
+ * @returns {{body: string, contentType: string}}
+ */
+function renderCaptions(cues, format, brand = null, aspectRatio = DEFAULT_ASPECT_RATIO) {
+  const f = FORMATS[format];
+  if (!f) throw new Error(`Unknown caption format: ${format}`);
+  return { body: f.render(cues, brand, aspectRatio), contentType: f.contentType };
+}
+
+module.exports = {
+  CAPTION_FORMATS: Object.keys(FORMATS),
+  DEFAULT_MAX_CHARS,
+  captionSegments,
+  buildCues,
+  renderCaptions,
+  wrapLines: wrap,
+};
@@ -0,0 +1,248 @@
+// services/composition.js
+// Builds the render composition (Creatomate RenderScript format) for a video.
+// Render providers that aren't Creatomate interpret the same structure.
+
+const { sceneTimeline } = require("./timing");
+const { duckingKeyframes, FADE_OUT } = require("./music");
+const { resolveBrand } = require("./brandKits");
+const { ASPECT_RATIOS, DEFAULT_ASPECT_RATIO } = require("./aspectRatios");
+
+// Where the logo sits for each position: x/y of the anchor corner
+const LOGO_PLACEMENT = {
+  "top-left": { x: "4%", y: "3%", x_anchor: "0%", y_anchor: "0%" },
+  "top-right": { x: "96%", y: "3%", x_anchor: "100%", y_anchor: "0%" },
+  "bottom-left": { x: "4%", y: "97%", x_anchor: "0%", y_anchor: "100%" },
+  "bottom-right": { x: "96%", y: "97%", x_anchor: "100%", y_anchor: "100%" },
+};
+
+// Without an outro card the end-screen CTA shows over the last seconds
+const END_SCREEN_SECONDS = 3;
+
+/**
+ * Caption text properties for a brand (or the default look)
+ * @param {Object} brand - resolveBrand() output
+ */
+function captionStyle(brand) {
+  return {
+    font_family: brand.fontFamily,
+    font_size: `${brand.fontSize} px`,
+    font_weight: "700",
+    text_align: "center",
+    fill_color: brand.textColor,
+    stroke_color: brand.strokeColor,
+    stroke_width: `${brand.strokeWidth} px`,
+  };
+}
+
+/**
+ * Elements for an intro or outro card: a solid background, then the card's
+ * image and text on top
+ */
+function cardElements(card, brand, time, layout) {
+  const elements = [
+    {
+      type: "shape",
+      path: "M 0 0 L 100 0 L 100 100 L 0 100 Z",
+      x: "50%",
+      y: "50%",
+      width: "100%",
+      height: "100%",
+      fill_color: brand.cardColor,
+      time,
+      duration: card.duration,
+    },
+  ];
+
+  if (card.imageUrl) {
+    elements.push({
+      type: "image",
+      source: card.imageUrl,
+      x: "50%",
+      y: card.text ? "40%" : "50%",
+      width: layout.cardImageWidth,
+      fit: "contain",
+      time,
+      duration: card.duration,
+      animations: [{ type: "fade", duration: 0.5 }],
+    });
+  }
+
+  if (card.text) {
+    elements.push({
+      type: "text",
+      text: card.text,
+      x: "50%",
+      y: card.imageUrl ? "65%" : "50%",
+      width: "85%",
+      height: "auto",
+      ...captionStyle(brand),
+      time,
+      duration: card.duration,
+      animations: [{ type: "fade", duration: 0.5 }],
+    });
+  }
+
+  return elements;
+}
+
+/**
+ * @param {Object} opts
+ * @param {Array} opts.scenes - scenes with imageUrl and text
+ * @param {Object|string} opts.voiceover - voiceover stage output
+ * @param {number} opts.duration - requested length, used only when the voiceover can't be measured
+ * @param {Object} [opts.music] - music stage output (a music_tracks row), null for none
+ * @param {Object} [opts.brand] - brand stage output (resolveBrand()), null for the default look
+ * @param {string} [opts.aspectRatio] - one of ASPECT_RATIOS
+ * @returns {Object} - composition
+ */
+function buildComposition({
+  scenes,
+  voiceover,
+  duration,
+  music = null,
+  brand = null,
+  aspectRatio = DEFAULT_ASPECT_RATIO,
+}) {
+  const layout = ASPECT_RATIOS[aspectRatio];
+  if (!layout) throw new Error(`Unknown aspect ratio: ${aspectRatio}`);
+
+  const timeline = sceneTimeline(scenes.length, voiceover, duration);
+  const segments = voiceover?.segments;
+  const style = brand || resolveBrand(null);
+
+  // The intro card pushes everything else back; the outro card follows the last scene
+  const offset = style.introCard?.duration || 0;
+  const mainEnd = offset + timeline.duration;
+  const total = mainEnd + (style.outroCard?.duration || 0);
+
+  const elements = [];
+
+  // Add background music, looped, ducked under the narration and faded out.
+  // An unsegmented voiceover counts as speech from start to end.
+  if (music?.url) {
+    const speech = segments?.length ? segments : [{ start: 0, duration: timeline.duration }];
+    elements.push({
+      type: "audio",
+      source: music.url,
+      time: 0,
+      duration: total,
+      loop: true,
+      volume: duckingKeyframes(
+        speech.map((seg) => ({ ...seg, start: seg.start + offset })),
+        total
+      ),
+      audio_fade_out: FADE_OUT,
+    });
+  }
+
+  // Add voiceover: one clip per scene, placed where its scene starts
+  if (segments?.length) {
+    segments.forEach((seg) => {
+      elements.push({
+        type: "audio",
+        source: seg.url,
+        volume: 1.0,
+        time: offset + seg.start,
+        duration: seg.duration,
+      });
+    });
+  } else {
+    elements.push({
+      type: "audio",
+      source: voiceover,
+      volume: 1.0,
+      time: offset,
+      duration: timeline.duration,
+    });
+  }
+
+  if (style.introCard) elements.push(...cardElements(style.introCard, style, 0, layout));
+
+  // Add image scenes
+  scenes.forEach((scene, index) => {
+    const { start, duration: sceneDuration } = timeline.scenes[index];
+
+    elements.push({
+      type: "image",
+      // Per-ratio images when they were generated, otherwise one image cropped to fit
+      source: scene.imageUrls?.[aspectRatio] || scene.imageUrl,
+      x: "50%",
+      y: "50%",
+      width: "100%",
+      height: "100%",
+      fit: "cover",
+      time: offset + start,
+      duration: sceneDuration,
+      animations: [
+        {
+          type: "ken-burns",
+          fade: true,
+        },
+      ],
+    });
+
+    // Add text overlay, matching what is being said
+    elements.push({
+      type: "text",
+      text: segments?.[index]?.text || scene.text,
+      x: "50%",
+      y: layout.captionY,
+      width: layout.captionWidth,
+      height: "auto",
+      ...captionStyle(style),
+      time: offset + start,
+      duration: sceneDuration,
+      animations: [
+        {
+          type: "fade",
+          duration: 0.5,
+        },
+      ],
+    });
+  });
+
+  if (style.outroCard) elements.push(...cardElements(style.outroCard, style, mainEnd, layout));
+
+  // Logo watermark over the scenes
+  if (style.logoUrl) {
+    elements.push({
+      type: "image",
+      source: style.logoUrl,
+      ...LOGO_PLACEMENT[style.logoPosition],
+      width: `${style.logoSize}%`,
+      fit: "contain",
+      opacity: `${Math.round(style.logoOpacity * 100)}%`,
+      time: offset,
+      duration: timeline.duration,
+    });
+  }
+
+  // End-screen CTA: over the outro card, or the last seconds of the video
+  if (style.endScreenCta) {
+    const ctaDuration = style.outroCard ? style.outroCard.duration : Math.min(END_SCREEN_SECONDS, timeline.duration);
+    elements.push({
+      type: "text",
+      text: style.endScreenCta,
+      x: "50%",
+      y: style.outroCard ? "85%" : "45%",
+      width: "85%",
+      height: "auto",
+      ...captionStyle(style),
+      font_size: `${Math.round(style.fontSize * 1.25)} px`,
+      time: total - ctaDuration,
+      duration: ctaDuration,
+      animations: [{ type: "fade", duration: 0.5 }],
+    });
+  }
+
+  return {
+    output_format: "mp4",
+    width: layout.width,
+    height: layout.height,
+    duration: total,
+    frame_rate: 30,
+    elements,
+  };
+}
+
+module.exports = { buildComposition, captionStyle };
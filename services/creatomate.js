@@ -1,4 +1,6 @@
 const axios = require('axios');
+const { captionStyle } = require('./composition');
+const { resolveBrand } = require('./brandKits');
 
 // Creatomate API configuration
 const CREATOMATE_API_KEY = process.env.CREATOMATE_API_KEY;
@@ -10,35 +12,20 @@ if (!CREATOMATE_API_KEY) {
 
 /**
  * Render video using Creatomate API
- * @param {Object} videoData - Video data containing slides, voiceover, etc.
+ * @param {Object} videoData - Video data containing slides, voiceover, optional brand kit settings, etc.
  * @returns {Promise<Object>} - Rendered video URL and render ID
  */
 async function renderVideo(videoData) {
   try {
-    const { slides, voiceoverUrl, narrationText, duration } = videoData;
+    const { slides, voiceoverUrl, narrationText, duration, brand } = videoData;
 
-    // Calculate timing for each slide
+    // Fallback timing for slides without a measured narration duration
     const slideDuration = duration / slides.length;
 
     // Build Creatomate composition
-    const composition = buildComposition(slides, voiceoverUrl, slideDuration);
+    const composition = buildComposition(slides, voiceoverUrl, slideDuration, brand);
 
-    // Create render request
-    const response = await axios.post(
-      `${CREATOMATE_API_URL}/renders`,
-      {
-        template_id: null, // We're using a dynamic composition
-        modifications: composition
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${CREATOMATE_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    const renderId = response.data.id;
+    const { id: renderId } = await submitRender(composition);
 
     // Poll for render completion
     const renderResult = await pollRenderStatus(renderId);
@@ -55,10 +42,46 @@ async function renderVideo(videoData) {
   }
 }
 
+/**
+ * Submit a composition for rendering
+ * @param {Object} composition - RenderScript (output_format, width, height, elements...)
+ * @param {Object} [options]
+ * @param {string} [options.webhookUrl] - Creatomate POSTs the finished render here
+ * @returns {Promise<Object>} - { id, status }
+ */
+async function submitRender(composition, { webhookUrl } = {}) {
+  const response = await axios.post(
+    `${CREATOMATE_API_URL}/renders`,
+    {
+      source: composition,
+      ...(webhookUrl && { webhook_url: webhookUrl })
+    },
+    {
+      headers: {
+        'Authorization': `Bearer ${CREATOMATE_API_KEY}`,
+        'Content-Type': 'application/json'
+      }
+    }
+  );
+
+  // Creatomate answers with one render per output
+  const render = Array.isArray(response.data) ? response.data[0] : response.data;
+
+  return {
+    id: render.id,
+    status: render.status
+  };
+}
+
 /**
  * Build Creatomate composition from slides
+ * Each slide stays on screen for its own `duration` (its measured narration
+ * length) when it has one, otherwise for `defaultSlideDuration`.
+ * Captions use the brand kit's font and colors when `brand` (brand_kits
+ * settings) is given.
  */
-function buildComposition(slides, voiceoverUrl, slideDuration) {
+function buildComposition(slides, voiceoverUrl, defaultSlideDuration, brand = null) {
+  const captionLook = captionStyle(resolveBrand(brand));
   const elements = [];
   let currentTime = 0;
 
@@ -73,6 +96,8 @@ function buildComposition(slides, voiceoverUrl, slideDuration) {
 
   // Add each slide as an image element
   slides.forEach((slide, index) => {
+    const slideDuration = slide.duration || defaultSlideDuration;
+
     const imageElement = {
       type: 'image',
       source: slide.image_url,
@@ -134,13 +159,7 @@ function buildComposition(slides, voiceoverUrl, slideDuration) {
       height: 'auto',
       x_alignment: '50%',
       y_alignment: '50%',
-      fill_color: '#FFFFFF',
-      font_family: 'Montserrat',
-      font_weight: '700',
-      font_size: '48px',
-      text_align: 'center',
-      stroke_color: '#000000',
-      stroke_width: '4px',
+      ...captionLook,
       animations: [
         {
           type: 'fade',
@@ -235,7 +254,8 @@ async function getRenderStatus(renderId) {
       id: renderId,
       status: response.data.status,
       url: response.data.url,
-      progress: response.data.progress
+      progress: response.data.progress,
+      error: response.data.error_message
     };
 
   } catch (error) {
@@ -273,6 +293,7 @@ function sleep(ms) {
 
 module.exports = {
   renderVideo,
+  submitRender,
   getRenderStatus,
   cancelRender
 };
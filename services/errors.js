@@ -0,0 +1,62 @@
+// services/errors.js
+// Error types the worker inspects to decide whether a job should be retried.
+
+/**
+ * Thrown when a video was cancelled while its job was running.
+ * Never retried.
+ */
+class PipelineCancelledError extends Error {
+  constructor(videoId) {
+    super(`Video ${videoId} was cancelled`);
+    this.name = "PipelineCancelledError";
+    this.videoId = videoId;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Thrown when the LLM's answer still doesn't match its schema after the
+ * repair attempts. Not retried: the job would only pay for the same answers.
+ */
+class LLMOutputError extends Error {
+  constructor(task, errors) {
+    super(`Invalid ${task} output from the LLM: ${errors.slice(0, 5).join("; ")}`);
+    this.name = "LLMOutputError";
+    this.task = task;
+    this.errors = errors;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Thrown when generated content is blocked by moderation. Not retried.
+ */
+class ContentBlockedError extends Error {
+  constructor(kind, reason) {
+    super(`Generated ${kind.replace("_", " ")} blocked by content moderation: ${reason}`);
+    this.name = "ContentBlockedError";
+    this.kind = kind;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Whether a failed job is worth another attempt. Errors can say so with a
+ * `retryable` flag; provider errors carry an HTTP status (the Anthropic SDK
+ * as `status`, axios as `response.status`), where rate limits and server
+ * errors are retryable and other client errors are not. Anything else, such
+ * as a network failure, is retried.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isRetryable(err) {
+  if (typeof err?.retryable === "boolean") return err.retryable;
+
+  const status = err?.status ?? err?.response?.status;
+  if (typeof status === "number" && status >= 400 && status < 500) {
+    return status === 408 || status === 409 || status === 429;
+  }
+  return true;
+}
+
+module.exports = { PipelineCancelledError, LLMOutputError, ContentBlockedError, isRetryable };
@@ -0,0 +1,115 @@
+// services/generationRequests.js
+// Validation of what a video is generated with, shared by POST /generate and
+// every row of a batch, and the videos row it becomes.
+
+const { quoteGeneration } = require("./pricing");
+const { providerNames } = require("./providers");
+const { DEFAULT_VOICE, findVoice, parseVoiceSettings } = require("./voices");
+const { findTrack } = require("./music");
+const { findBrandKit } = require("./brandKits");
+const { IMAGE_FRAMINGS, parseAspectRatios } = require("./aspectRatios");
+
+/**
+ * Validate one generation request. Lookups (music track, brand kit) hit the
+ * database; their errors are thrown, not returned.
+ * @param {Object} db - pg pool or client
+ * @param {Object} body - { topic, visualStyle, duration, voice?, voiceSettings?, renderer?,
+ *   music?, brandKitId?, aspectRatios?, imageFraming? }
+ * @param {string} userId - owner, for the brand kit check
+ * @returns {Promise<{request: Object|null, error: string|null}>} - request has the
+ *   normalized settings plus `cost`, the full quoteGeneration() price
+ */
+async function parseGenerationRequest(db, body, userId) {
+  const fail = (error) => ({ request: null, error });
+  const { topic, visualStyle, duration } = body || {};
+
+  if (!topic || !visualStyle || !duration) return fail("Missing required fields");
+
+  const voice = findVoice(body.voice || DEFAULT_VOICE);
+  if (!voice) return fail("Unknown voice");
+
+  const { settings: voiceSettings, error: voiceError } = parseVoiceSettings(body.voiceSettings);
+  if (voiceError) return fail(voiceError);
+
+  // Optional per-job render backend; null uses the configured one
+  const renderer = body.renderer || null;
+  if (renderer && !providerNames("render").includes(renderer)) return fail("Unknown renderer");
+
+  // Output aspect ratios; the first is the main video, the rest are renditions
+  const { aspectRatios, error: ratioError } = parseAspectRatios(body.aspectRatios);
+  if (ratioError) return fail(ratioError);
+
+  const imageFraming = body.imageFraming || "safe";
+  if (!IMAGE_FRAMINGS.includes(imageFraming)) {
+    return fail(`imageFraming must be one of: ${IMAGE_FRAMINGS.join(", ")}`);
+  }
+
+  const cost = quoteGeneration({ visualStyle, duration, aspectRatios, imageFraming });
+  if (!cost) return fail("Invalid visualStyle or duration");
+
+  // Background music: a track id, "auto" to match the script's mood, or none
+  const music = body.music && body.music !== "none" ? String(body.music) : null;
+  if (music && music !== "auto" && !(await findTrack(db, music))) return fail("Unknown music track");
+
+  // Brand kit applied at render time; must be one of the user's own
+  const brandKitId = body.brandKitId || null;
+  if (
+    brandKitId &&
+    (!/^[0-9a-f-]{36}$/i.test(String(brandKitId)) || !(await findBrandKit(db, brandKitId, String(userId))))
+  ) {
+    return fail("Unknown brandKitId");
+  }
+
+  return {
+    request: {
+      topic: String(topic),
+      visualStyle,
+      duration: Number(duration),
+      voice: voice.id,
+      voiceSettings,
+      renderer,
+      music,
+      brandKitId,
+      aspectRatios,
+      imageFraming,
+      cost,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Insert the queued videos row for a validated request
+ * @param {Object} client - pg client inside the charging transaction
+ * @param {Object} [extra] - { batchId, workspaceId }
+ * @returns {Promise<Object>} - the new row
+ */
+async function insertVideo(client, userId, request, { batchId = null, workspaceId = null } = {}) {
+  const v = await client.query(
+    `INSERT INTO videos (user_id, topic, style, duration, voice, voice_settings, renderer, music, brand_kit_id,
+                         aspect_ratios, image_framing, batch_id, workspace_id, status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'queued')
+     RETURNING *;`,
+    [
+      userId,
+      request.topic,
+      request.visualStyle,
+      request.duration,
+      request.voice,
+      JSON.stringify(request.voiceSettings),
+      request.renderer,
+      request.music,
+      request.brandKitId,
+      request.aspectRatios,
+      request.imageFraming,
+      batchId,
+      workspaceId,
+    ]
+  );
+  return v.rows[0];
+}
+
+module.exports = {
+  parseGenerationRequest,
+  insertVideo,
+};
@@ -0,0 +1,119 @@
+// services/idempotency.js
+// Idempotency-Key support for charging endpoints. The first successful
+// response for a key is stored with a fingerprint of the request body, in the
+// same transaction as the charge, so a retried request gets that response back
+// instead of creating (and paying for) a second video.
+
+const crypto = require("crypto");
+
+const IDEMPOTENCY_HEADER = "Idempotency-Key";
+const MAX_KEY_LENGTH = 255;
+// Keys can be reused for a new request after this long
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+/**
+ * JSON with object keys sorted, so key order doesn't change a fingerprint
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function fingerprint(body) {
+  return crypto.createHash("sha256").update(canonicalJson(body)).digest("hex");
+}
+
+/**
+ * The Idempotency-Key of a request, if it sent one
+ * @returns {{key: string|null, error: string|null}}
+ */
+function readIdempotencyKey(req) {
+  const key = req.get(IDEMPOTENCY_HEADER);
+  if (key === undefined) return { key: null, error: null };
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return { key: null, error: `${IDEMPOTENCY_HEADER} must be 1-${MAX_KEY_LENGTH} characters` };
+  }
+  return { key, error: null };
+}
+
+/**
+ * Stored response for a key, unless it has expired
+ * @param {Object} db - pg pool or client
+ * @param {Object} opts - { userId, scope, key }; scope names the endpoint
+ * @returns {Promise<{fingerprint: string, status_code: number, response: Object}|null>}
+ */
+async function findIdempotentResponse(db, { userId, scope, key }) {
+  const r = await db.query(
+    `SELECT fingerprint, status_code, response FROM idempotency_keys
+     WHERE user_id = $1 AND scope = $2 AND key = $3
+       AND created_at > NOW() - make_interval(hours => $4)`,
+    [String(userId), scope, key, TTL_HOURS]
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * Store the response for a key inside the request's transaction. Returns
+ * false when another request already stored one, in which case the caller
+ * should roll back and replay that one.
+ * @param {Object} client - pg client inside the transaction
+ * @param {Object} opts - { userId, scope, key, fingerprint, statusCode, response }
+ * @returns {Promise<boolean>}
+ */
+async function saveIdempotentResponse(client, { userId, scope, key, fingerprint, statusCode = 200, response }) {
+  const r = await client.query(
+    `INSERT INTO idempotency_keys (user_id, scope, key, fingerprint, status_code, response)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (user_id, scope, key) DO UPDATE
+       SET fingerprint = EXCLUDED.fingerprint,
+           status_code = EXCLUDED.status_code,
+           response = EXCLUDED.response,
+           created_at = NOW()
+       WHERE idempotency_keys.created_at <= NOW() - make_interval(hours => $7)
+     RETURNING key`,
+    [String(userId), scope, key, fingerprint, statusCode, JSON.stringify(response), TTL_HOURS]
+  );
+  return r.rowCount > 0;
+}
+
+/**
+ * Drop a stored response, when what it reported didn't happen after all, so
+ * the key can be retried
+ * @param {Object} db - pg pool or client
+ * @param {Object} opts - { userId, scope, key }
+ */
+async function forgetIdempotentResponse(db, { userId, scope, key }) {
+  await db.query("DELETE FROM idempotency_keys WHERE user_id = $1 AND scope = $2 AND key = $3", [
+    String(userId),
+    scope,
+    key,
+  ]);
+}
+
+/**
+ * Answer a request from a stored response: the original response when the
+ * body matches, 409 when the key was used for a different request
+ */
+function replayIdempotentResponse(res, stored, requestFingerprint) {
+  if (stored.fingerprint !== requestFingerprint) {
+    return res.status(409).json({
+      error: `${IDEMPOTENCY_HEADER} was already used for a different request`,
+    });
+  }
+  res.set("Idempotent-Replayed", "true");
+  return res.status(stored.status_code).json(stored.response);
+}
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  fingerprint,
+  readIdempotencyKey,
+  findIdempotentResponse,
+  saveIdempotentResponse,
+  forgetIdempotentResponse,
+  replayIdempotentResponse,
+};
@@ -0,0 +1,57 @@
+// services/languages.js
+// Languages a finished video can be localized into. Narration in any of them
+// is synthesized with the same catalog voice on a multilingual TTS model.
+
+const LANGUAGES = {
+  en: "English",
+  es: "Spanish",
+  fr: "French",
+  de: "German",
+  it: "Italian",
+  pt: "Portuguese",
+  nl: "Dutch",
+  pl: "Polish",
+  tr: "Turkish",
+  hi: "Hindi",
+  ja: "Japanese",
+  ko: "Korean",
+  zh: "Chinese",
+  ar: "Arabic",
+};
+
+// Scripts are generated in English
+const SOURCE_LANGUAGE = "en";
+
+const MAX_LOCALIZATIONS = Number(process.env.MAX_LOCALIZATIONS) || 5;
+
+/**
+ * Validate the target languages of a localize request
+ * @param {string[]} value - language codes
+ * @param {string} [sourceLanguage] - the video's own language, which can't be a target
+ * @returns {{languages: string[], error: string|null}}
+ */
+function parseLanguages(value, sourceLanguage = SOURCE_LANGUAGE) {
+  if (!Array.isArray(value) || !value.length) {
+    return { languages: [], error: "languages must be a non-empty array of language codes" };
+  }
+
+  const languages = [...new Set(value.map((code) => String(code).toLowerCase()))];
+  const unknown = languages.filter((code) => !LANGUAGES[code]);
+  if (unknown.length) {
+    return { languages: [], error: `Unsupported language(s): ${unknown.join(", ")}` };
+  }
+  if (languages.includes(sourceLanguage)) {
+    return { languages: [], error: `The video is already in ${LANGUAGES[sourceLanguage]}` };
+  }
+  if (languages.length > MAX_LOCALIZATIONS) {
+    return { languages: [], error: `At most ${MAX_LOCALIZATIONS} languages per request` };
+  }
+  return { languages, error: null };
+}
+
+module.exports = {
+  LANGUAGES,
+  SOURCE_LANGUAGE,
+  MAX_LOCALIZATIONS,
+  parseLanguages,
+};
@@ -0,0 +1,271 @@
+// services/ledger.js
+// Reading token_ledger: paginated history and summaries for a balance, and
+// reconciliation of the cached balances (users.tokens, workspaces.tokens)
+// against the sum of their ledger deltas.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// What reconcileBalances does about drift:
+//  - report:        only list it
+//  - adjust_ledger: add a RECONCILIATION entry so the ledger explains the balance
+//  - reset_balance: set the cached balance to the ledger sum
+const RECONCILE_MODES = ["report", "adjust_ledger", "reset_balance"];
+
+const REASON = /^[A-Z][A-Z_]{0,63}$/;
+
+/**
+ * SQL condition (and its params) selecting one balance's ledger rows
+ * @param {Object} account - { userId } for a personal balance, { workspaceId } for a workspace's
+ */
+function accountClause({ userId, workspaceId = null }) {
+  return workspaceId
+    ? { sql: "workspace_id = $1", params: [workspaceId] }
+    : { sql: "user_id = $1 AND workspace_id IS NULL", params: [String(userId)] };
+}
+
+// Cursors carry created_at as microseconds since the epoch, as precise as
+// Postgres keeps it; a JS Date would round it to the millisecond
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([String(row.cursor_at), String(row.id)])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!/^-?\d{1,18}$/.test(createdAt) || !/^\d{1,10}$/.test(id)) return null;
+    return { createdAt, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate ledger history query parameters
+ * @param {Object} query - { limit?, cursor?, reason? (comma-separated), from?, to? }
+ * @returns {{filters: Object|null, error: string|null}}
+ */
+function parseLedgerQuery(query = {}) {
+  const fail = (error) => ({ filters: null, error });
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return fail(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return fail("cursor is invalid");
+  }
+
+  let reasons = null;
+  if (query.reason !== undefined) {
+    reasons = String(query.reason).split(",").map((r) => r.trim().toUpperCase()).filter(Boolean);
+    if (!reasons.length || !reasons.every((r) => REASON.test(r))) return fail("reason must be a comma-separated list of reasons");
+  }
+
+  const dates = {};
+  for (const field of ["from", "to"]) {
+    if (query[field] === undefined) continue;
+    if (Number.isNaN(Date.parse(query[field]))) return fail(`${field} must be an ISO 8601 date`);
+    dates[field] = new Date(query[field]).toISOString();
+  }
+  if (dates.from && dates.to && dates.from > dates.to) return fail("from must be before to");
+
+  return { filters: { limit, cursor, reasons, from: dates.from || null, to: dates.to || null }, error: null };
+}
+
+/**
+ * One page of a balance's ledger, newest first
+ * @param {Object} db - pg pool or client
+ * @param {Object} account - see accountClause()
+ * @param {Object} filters - from parseLedgerQuery()
+ * @returns {Promise<{entries: Array, nextCursor: string|null}>}
+ */
+async function listLedger(db, account, { limit, cursor, reasons, from, to }) {
+  const where = accountClause(account);
+  const conditions = [where.sql];
+  const params = [...where.params];
+  const add = (sql, ...values) => {
+    conditions.push(sql.replace(/\$(\d+)/g, (_, i) => `$${params.length + Number(i)}`));
+    params.push(...values);
+  };
+
+  if (reasons) add("reason = ANY($1::text[])", reasons);
+  if (from) add("created_at >= $1", from);
+  if (to) add("created_at < $1", to);
+  // Rows with the same timestamp are ordered by id, so no page skips or repeats one
+  if (cursor) {
+    add(
+      "(created_at, id) < (TIMESTAMPTZ 'epoch' + $1::bigint * INTERVAL '1 microsecond', $2::int)",
+      cursor.createdAt,
+      cursor.id
+    );
+  }
+
+  params.push(limit + 1);
+  const r = await db.query(
+    `SELECT id, user_id, workspace_id, delta, reason, video_id, created_at,
+            (EXTRACT(EPOCH FROM created_at) * 1000000)::bigint AS cursor_at
+     FROM token_ledger
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const rows = r.rows.slice(0, limit);
+  return {
+    entries: rows.map(toJson),
+    nextCursor: r.rows.length > limit ? encodeCursor(rows[rows.length - 1]) : null,
+  };
+}
+
+/**
+ * Cached balance, ledger totals by reason, and whether the two agree
+ * @param {Object} db - pg pool or client
+ * @param {Object} account - see accountClause()
+ * @returns {Promise<Object|null>} - null when the user or workspace doesn't exist
+ */
+async function ledgerSummary(db, account) {
+  const b = account.workspaceId
+    ? await db.query("SELECT tokens FROM workspaces WHERE id = $1", [account.workspaceId])
+    : await db.query("SELECT tokens FROM users WHERE id = $1", [account.userId]);
+  if (!b.rowCount) return null;
+
+  const where = accountClause(account);
+  const r = await db.query(
+    `SELECT reason, COUNT(*)::int AS entries,
+            COALESCE(SUM(delta) FILTER (WHERE delta > 0), 0)::int AS credited,
+            COALESCE(-SUM(delta) FILTER (WHERE delta < 0), 0)::int AS debited
+     FROM token_ledger WHERE ${where.sql}
+     GROUP BY reason ORDER BY reason`,
+    where.params
+  );
+
+  const credited = r.rows.reduce((n, row) => n + row.credited, 0);
+  const debited = r.rows.reduce((n, row) => n + row.debited, 0);
+  const balance = b.rows[0].tokens ?? 0;
+  return {
+    balance,
+    ledgerBalance: credited - debited,
+    inSync: balance === credited - debited,
+    credited,
+    debited,
+    byReason: r.rows,
+  };
+}
+
+/**
+ * Find (and optionally repair) balances that differ from their ledger sum
+ * @param {Object} pool - pg pool
+ * @param {Object} [opts]
+ * @param {string} [opts.mode] - one of RECONCILE_MODES
+ * @returns {Promise<Array<{account, balance, ledgerBalance, drift, repaired}>>}
+ */
+async function reconcileBalances(pool, { mode = "report" } = {}) {
+  if (!RECONCILE_MODES.includes(mode)) throw new Error(`Unknown reconcile mode: ${mode}`);
+
+  const r = await pool.query(
+    `SELECT 'user' AS kind, u.id::text AS id, COALESCE(u.tokens, 0)::int AS balance, COALESCE(l.total, 0)::int AS ledger_balance
+     FROM users u
+     LEFT JOIN (SELECT user_id, SUM(delta) AS total FROM token_ledger WHERE workspace_id IS NULL GROUP BY user_id) l
+       ON l.user_id::text = u.id::text
+     WHERE COALESCE(u.tokens, 0) <> COALESCE(l.total, 0)
+     UNION ALL
+     SELECT 'workspace', w.id::text, w.tokens, COALESCE(l.total, 0)::int
+     FROM workspaces w
+     LEFT JOIN (SELECT workspace_id, SUM(delta) AS total FROM token_ledger WHERE workspace_id IS NOT NULL GROUP BY workspace_id) l
+       ON l.workspace_id = w.id
+     WHERE w.tokens <> COALESCE(l.total, 0)`
+  );
+
+  const report = [];
+  for (const row of r.rows) {
+    const account = row.kind === "workspace" ? { workspaceId: row.id } : { userId: row.id };
+    const entry = {
+      account,
+      balance: row.balance,
+      ledgerBalance: row.ledger_balance,
+      drift: row.balance - row.ledger_balance,
+      repaired: false,
+    };
+    if (mode !== "report") entry.repaired = await repairBalance(pool, account, mode);
+    report.push(entry);
+  }
+  return report;
+}
+
+// Re-check one balance under lock (a charge may have landed since the scan)
+// and repair it. Returns whether anything changed.
+async function repairBalance(pool, account, mode) {
+  const table = account.workspaceId ? "workspaces" : "users";
+  const id = account.workspaceId || account.userId;
+  const where = accountClause(account);
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const b = await client.query(
+      `SELECT COALESCE(tokens, 0)::int AS tokens${account.workspaceId ? ", created_by" : ""}
+       FROM ${table} WHERE id::text = $1 FOR UPDATE`,
+      [id]
+    );
+    const l = await client.query(
+      `SELECT COALESCE(SUM(delta), 0)::int AS total FROM token_ledger WHERE ${where.sql}`,
+      where.params
+    );
+    const drift = (b.rows[0]?.tokens ?? 0) - l.rows[0].total;
+    if (!b.rowCount || drift === 0) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+
+    if (mode === "reset_balance") {
+      await client.query(`UPDATE ${table} SET tokens = $2 WHERE id::text = $1`, [id, l.rows[0].total]);
+    } else {
+      // Record the difference without moving the balance. A workspace's
+      // entry is attributed to its creator.
+      await client.query(
+        `INSERT INTO token_ledger (user_id, workspace_id, delta, reason, idempotency_key)
+         VALUES ($1, $2, $3, 'RECONCILIATION', $4)`,
+        [
+          account.workspaceId ? b.rows[0].created_by : account.userId,
+          account.workspaceId || null,
+          drift,
+          `reconcile:${table}:${id}:${Date.now()}`,
+        ]
+      );
+    }
+
+    await client.query("COMMIT");
+    return true;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+function toJson(row) {
+  return {
+    id: row.id,
+    delta: row.delta,
+    reason: row.reason,
+    videoId: row.video_id,
+    userId: row.user_id,
+    workspaceId: row.workspace_id,
+    createdAt: row.created_at,
+  };
+}
+
+module.exports = {
+  RECONCILE_MODES,
+  parseLedgerQuery,
+  listLedger,
+  ledgerSummary,
+  reconcileBalances,
+};
@@ -0,0 +1,92 @@
+// services/llmJson.js
+// Structured answers from the LLM: pull the JSON out of the response, check
+// it, and when it doesn't fit send the problems back to the model and ask
+// for a corrected answer.
+
+const { LLMOutputError } = require("./errors");
+
+// Corrections asked for after the first answer
+const REPAIR_ATTEMPTS = Number(process.env.LLM_REPAIR_ATTEMPTS ?? 2);
+
+/**
+ * The first complete JSON object in a response, ignoring code fences and any
+ * prose around it
+ * @param {string} text
+ * @returns {Object}
+ * @throws {SyntaxError} - when there is no parsable object
+ */
+function extractJson(text) {
+  const source = String(text);
+  const start = source.indexOf("{");
+  if (start === -1) throw new SyntaxError("no JSON object found");
+
+  // Walk to the brace that closes the first one, skipping braces in strings
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i];
+    if (inString) {
+      if (ch === "\\") i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === "{") {
+      depth++;
+    } else if (ch === "}" && --depth === 0) {
+      return JSON.parse(source.slice(start, i + 1));
+    }
+  }
+  throw new SyntaxError("JSON object is incomplete");
+}
+
+function repairPrompt(prompt, response, errors) {
+  return `${prompt}
+
+Your previous response was:
+${response}
+
+It was rejected for these problems:
+${errors.map((e) => `- ${e}`).join("\n")}
+
+Reply with the corrected JSON only, in the format requested above.`;
+}
+
+/**
+ * Ask the LLM for JSON and validate it, repairing invalid answers
+ * @param {Object} llm - llm adapter
+ * @param {Object} request - { prompt, maxTokens, task } for llm.complete
+ * @param {Function} check - (data) => string[] of problems, empty when valid
+ * @param {Object} [opts]
+ * @param {number} [opts.repairs] - corrections to ask for before giving up
+ * @returns {Promise<Object>} - the parsed, valid answer
+ * @throws {LLMOutputError}
+ */
+async function completeJson(llm, { prompt, maxTokens, task }, check, { repairs = REPAIR_ATTEMPTS } = {}) {
+  let request = prompt;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= repairs; attempt++) {
+    const response = await llm.complete({ prompt: request, maxTokens, task });
+
+    let data;
+    try {
+      data = extractJson(response);
+      errors = check(data);
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) throw err;
+      errors = [`response is not valid JSON: ${err.message}`];
+    }
+
+    if (!errors.length) return data;
+
+    console.warn(`⚠️  Invalid ${task?.name || "LLM"} output (attempt ${attempt + 1}):`, errors.join("; "));
+    request = repairPrompt(prompt, response, errors);
+  }
+
+  throw new LLMOutputError(task?.name || "LLM", errors);
+}
+
+module.exports = {
+  extractJson,
+  completeJson,
+};
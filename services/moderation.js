@@ -0,0 +1,108 @@
+// services/moderation.js
+// Content checks on user topics and generated image prompts. Text is matched
+// against the configured blocklists first, then sent to the moderation
+// provider (MODERATION_PROVIDER, "none" by default). Every decision is
+// written to moderation_log for review.
+//
+// Blocklists are comma-separated terms in env vars, or files with one term
+// per line (blank lines and # comments ignored):
+//   MODERATION_BLOCKLIST / MODERATION_BLOCKLIST_FILE              every check
+//   MODERATION_IMAGE_BLOCKLIST / MODERATION_IMAGE_BLOCKLIST_FILE  image prompts only
+
+const fs = require("fs");
+const { getProvider, providerName } = require("./providers");
+
+const KINDS = ["topic", "image_prompt", "narration"];
+
+function readTerms(list, file) {
+  const terms = String(list || "").split(",");
+  if (file) terms.push(...fs.readFileSync(file, "utf8").split("\n").filter((l) => !l.trim().startsWith("#")));
+  return [...new Set(terms.map((t) => t.trim().toLowerCase()).filter(Boolean))];
+}
+
+let blocklists = null;
+
+function getBlocklists() {
+  if (!blocklists) {
+    const env = process.env;
+    blocklists = {
+      all: readTerms(env.MODERATION_BLOCKLIST, env.MODERATION_BLOCKLIST_FILE),
+      image_prompt: readTerms(env.MODERATION_IMAGE_BLOCKLIST, env.MODERATION_IMAGE_BLOCKLIST_FILE),
+    };
+  }
+  return blocklists;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Blocklisted terms found in a text, matched as whole words, case-insensitively
+ * @param {string} text
+ * @param {string} kind - one of KINDS
+ * @returns {string[]}
+ */
+function blocklistMatches(text, kind) {
+  const lists = getBlocklists();
+  const terms = [...lists.all, ...(lists[kind] || [])];
+  const haystack = String(text).toLowerCase();
+  return terms.filter((term) => new RegExp(`(^|\\W)${escapeRegExp(term)}($|\\W)`).test(haystack));
+}
+
+/**
+ * Decide whether a text may be used
+ * @param {string} text
+ * @param {Object} opts
+ * @param {string} opts.kind - one of KINDS
+ * @returns {Promise<{allowed: boolean, kind: string, provider: string, reason: string|null, matched: string[], categories: string[]}>}
+ */
+async function moderate(text, { kind }) {
+  if (!KINDS.includes(kind)) throw new Error(`Unknown moderation kind: ${kind}`);
+
+  const matched = blocklistMatches(text, kind);
+  if (matched.length) {
+    return { allowed: false, kind, provider: "blocklist", reason: "Contains blocked terms", matched, categories: [] };
+  }
+
+  const provider = providerName("moderation");
+  const { flagged, categories = [] } = await getProvider("moderation").check(String(text));
+  return {
+    allowed: !flagged,
+    kind,
+    provider,
+    reason: flagged ? `Flagged by moderation${categories.length ? ` (${categories.join(", ")})` : ""}` : null,
+    matched: [],
+    categories,
+  };
+}
+
+/**
+ * Record a decision in moderation_log
+ * @param {Object} db - pg pool or client (to log inside a transaction)
+ * @param {Object} entry - { videoId?, userId, text, decision } where decision is from moderate()
+ */
+async function logModeration(db, { videoId = null, userId, text, decision }) {
+  await db.query(
+    `INSERT INTO moderation_log (video_id, user_id, kind, content, allowed, provider, reason, matched, categories)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      videoId === null ? null : String(videoId),
+      String(userId),
+      decision.kind,
+      String(text).slice(0, 2000),
+      decision.allowed,
+      decision.provider,
+      decision.reason,
+      decision.matched,
+      decision.categories,
+    ]
+  );
+}
+
+module.exports = {
+  KINDS,
+  blocklistMatches,
+  moderate,
+  logModeration,
+};
@@ -0,0 +1,143 @@
+// services/music.js
+// Background music: the track catalog in music_tracks, picking a track for a
+// video (by id, or by a mood matched from its script) and the volume curve
+// that ducks the music under the narration.
+
+const crypto = require("crypto");
+
+const MOODS = ["upbeat", "calm", "dramatic", "inspiring", "mysterious", "playful"];
+
+// Words that suggest a mood, for scripts that don't name one
+const MOOD_WORDS = {
+  upbeat: ["fun", "exciting", "amazing", "energy", "fast", "win", "hack", "tips"],
+  calm: ["relax", "peace", "sleep", "nature", "quiet", "gentle", "mindful", "slow"],
+  dramatic: ["war", "disaster", "danger", "deadly", "battle", "collapse", "shocking", "survive"],
+  inspiring: ["dream", "success", "believe", "achieve", "journey", "change", "grow", "hope"],
+  mysterious: ["secret", "mystery", "unknown", "hidden", "strange", "ancient", "unexplained", "dark"],
+  playful: ["cute", "funny", "silly", "kids", "pets", "cat", "dog", "game"],
+};
+const DEFAULT_MOOD = "upbeat";
+
+// Music volume (percent) while nobody speaks, under the narration, and the
+// seconds it takes to move between the two
+const BED_VOLUME = 35;
+const DUCKED_VOLUME = 12;
+const DUCK_RAMP = 0.3;
+// Fade-out at the end of the video (seconds)
+const FADE_OUT = 2;
+
+/**
+ * Mood for a script: the one the LLM picked, otherwise the mood whose words
+ * appear most often in the narration
+ * @param {Object} script - script checkpoint
+ * @returns {string} - one of MOODS
+ */
+function moodFromScript(script) {
+  if (MOODS.includes(script?.mood)) return script.mood;
+
+  const words = String(script?.fullText || "").toLowerCase().match(/[a-z]+/g) || [];
+  let best = DEFAULT_MOOD;
+  let bestScore = 0;
+  for (const mood of MOODS) {
+    const score = words.filter((w) => MOOD_WORDS[mood].includes(w)).length;
+    if (score > bestScore) {
+      best = mood;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * @param {Object} db - pg pool or client
+ * @param {Object} [opts] - { mood } to filter by
+ * @returns {Promise<Array>} - active tracks
+ */
+async function listTracks(db, { mood } = {}) {
+  const r = await db.query(
+    `SELECT id, title, artist, mood, bpm, duration, license, license_url, url
+     FROM music_tracks
+     WHERE active AND ($1::text IS NULL OR mood = $1)
+     ORDER BY mood, title`,
+    [mood || null]
+  );
+  return r.rows;
+}
+
+/**
+ * Active track by id
+ * @returns {Promise<Object|null>}
+ */
+async function findTrack(db, id) {
+  const r = await db.query(
+    `SELECT id, title, artist, mood, bpm, duration, license, license_url, url
+     FROM music_tracks WHERE id = $1 AND active`,
+    [id]
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * Track for a video
+ * @param {Object} db - pg pool or client
+ * @param {Object} opts
+ * @param {string} opts.music - track id or "auto"
+ * @param {Object} opts.script - script checkpoint, for "auto"
+ * @param {string} opts.seed - spreads videos of the same mood over its tracks (the video id)
+ * @returns {Promise<Object|null>} - null when no track fits
+ */
+async function selectTrack(db, { music, script, seed }) {
+  if (music !== "auto") return findTrack(db, music);
+
+  const mood = moodFromScript(script);
+  // Any track beats silence when the mood has none
+  let tracks = await listTracks(db, { mood });
+  if (!tracks.length) tracks = await listTracks(db);
+  if (!tracks.length) return null;
+
+  const n = crypto.createHash("sha256").update(String(seed)).digest().readUInt32BE(0);
+  return { ...tracks[n % tracks.length], matchedMood: mood };
+}
+
+/**
+ * Music volume keyframes: bed volume while nobody speaks, ducked under the
+ * narration. Gaps between lines too short to ramp up and down stay ducked.
+ * @param {Array<{start, duration}>} segments - voiceover segments
+ * @param {number} total - video length in seconds
+ * @returns {Array<{time: number, value: string}>}
+ */
+function duckingKeyframes(segments, total) {
+  // Speaking intervals, with short gaps merged
+  const speech = [];
+  for (const seg of segments || []) {
+    const last = speech[speech.length - 1];
+    if (last && seg.start - last.end <= DUCK_RAMP * 2) last.end = seg.start + seg.duration;
+    else speech.push({ start: seg.start, end: seg.start + seg.duration });
+  }
+
+  const keyframes = [];
+  const add = (time, volume) => {
+    const t = Math.round(Math.min(Math.max(time, 0), total) * 1000) / 1000;
+    const last = keyframes[keyframes.length - 1];
+    if (!last || t > last.time) keyframes.push({ time: t, value: `${volume}%` });
+  };
+
+  add(0, speech[0]?.start < DUCK_RAMP ? DUCKED_VOLUME : BED_VOLUME);
+  for (const { start, end } of speech) {
+    add(start - DUCK_RAMP, BED_VOLUME);
+    add(start, DUCKED_VOLUME);
+    add(end, DUCKED_VOLUME);
+    add(end + DUCK_RAMP, BED_VOLUME);
+  }
+  return keyframes;
+}
+
+module.exports = {
+  MOODS,
+  FADE_OUT,
+  moodFromScript,
+  listTracks,
+  findTrack,
+  selectTrack,
+  duckingKeyframes,
+};
@@ -1,40 +1,500 @@
 // services/pipeline.js
+//
+// Each stage's output is checkpointed into videos.stage_outputs as soon as it
+// finishes, so a retried job resumes at the first stage without a checkpoint
+// instead of paying Claude / Stability / ElevenLabs again. The images stage
+// also checkpoints each scene's images under images_partial as they finish,
+// so a retry only makes the ones still missing.
+
+const { PipelineCancelledError, ContentBlockedError } = require("./errors");
+const { fullTextOf } = require("./scripts");
+const { sceneNarrations, layoutSegments } = require("./timing");
+const { renderWebhookUrl } = require("./renderWebhooks");
+const { moderate, logModeration } = require("./moderation");
+const { selectTrack } = require("./music");
+const { resolveBrand } = require("./brandKits");
+const { DEFAULT_ASPECT_RATIO } = require("./aspectRatios");
+
+const STAGES = [
+  "script",
+  "scenes",
+  "moderation",
+  "images",
+  "voiceover",
+  "music",
+  "brand",
+  "render",
+  "upload",
+  "renditions",
+];
+
+// stage -> stages whose output it consumes
+const STAGE_INPUTS = {
+  script: [],
+  scenes: ["script"],
+  moderation: ["scenes"],
+  images: ["scenes", "moderation"],
+  voiceover: ["script"],
+  music: ["script"],
+  brand: [],
+  render: ["images", "voiceover", "music", "brand"],
+  upload: ["render"],
+  renditions: ["images", "voiceover", "music", "brand"],
+};
+
+/**
+ * A stage plus every stage that (transitively) consumes its output
+ * @param {string} stage
+ * @returns {string[]}
+ */
+function withDependents(stage) {
+  const out = new Set([stage]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const s of STAGES) {
+      if (!out.has(s) && STAGE_INPUTS[s].some((dep) => out.has(dep))) {
+        out.add(s);
+        grew = true;
+      }
+    }
+  }
+  return STAGES.filter((s) => out.has(s));
+}
+
+// Checkpoint key for what a stage finished before it was interrupted
+function partialKey(stage) {
+  return `${stage}_partial`;
+}
+
 class Pipeline {
-  constructor({ videoGenerator, pool }) {
+  constructor({ videoGenerator, pool, onProgress }) {
     this.videoGenerator = videoGenerator;
     this.pool = pool;
+    this.onProgress = onProgress || (() => {});
   }
 
-  async run({ videoId, userId, topic, style, duration }) {
-    // This is the "orchestrator". Replace method names as needed.
+  /**
+   * Run (or resume) generation for a video.
+   * @param {Object} opts
+   * @param {string[]} [opts.force] - stages to rerun even if checkpointed;
+   *   anything downstream of them is rerun too
+   * @param {string} [opts.renderer] - render adapter for this video (e.g. "ffmpeg")
+   * @param {string} [opts.music] - music track id, "auto" to match the script's mood, or none
+   * @param {string} [opts.brandKitId] - brand kit applied by the render
+   * @param {string[]} [opts.aspectRatios] - output ratios; the first is rendered
+   *   as the main video, the rest as renditions after it
+   * @param {string} [opts.imageFraming] - "safe" or "per_ratio" images for several ratios
+   * @param {string} [opts.parentVideoId] - for a localized version: the video whose
+   *   script is translated and whose images, music and brand are reused
+   * @param {string} [opts.language] - narration language of a localized version
+   * @param {boolean} [opts.draft] - stop after the script and scene prompts and
+   *   leave the video in status 'draft' for the user to edit and approve
+   * @param {boolean} [opts.handOffRender] - when the render provider calls back,
+   *   submit the render and return { renderPending: true } instead of waiting
+   *   for it; services/renders resumes the video once it finishes
+   */
+  async run({
+    videoId,
+    userId,
+    topic,
+    style,
+    duration,
+    voice,
+    voiceSettings,
+    renderer,
+    music,
+    brandKitId,
+    aspectRatios = [DEFAULT_ASPECT_RATIO],
+    imageFraming = "safe",
+    parentVideoId,
+    language,
+    force = [],
+    draft = false,
+    handOffRender = false,
+  }) {
+    const [aspectRatio, ...extraRatios] = aspectRatios;
 
-    // 1) Generate script
-    const script = await this.videoGenerator.generateScript(topic, duration);
+    if (force.length) await this.resetStages(videoId, force);
 
-    // 2) Images
-    const images = await this.videoGenerator.generateImages(script, style);
+    const outputs = await this.loadCheckpoints(videoId);
+    const vg = this.videoGenerator;
 
-    // 3) Voiceover
-    const voiceUrl = await this.videoGenerator.generateVoiceover(script);
+    const source = parentVideoId ? await this.loadCheckpoints(parentVideoId) : null;
+    if (source && (!source.script || !source.scenes || !source.images)) {
+      throw new Error(`Video ${parentVideoId} has no finished script and images to localize`);
+    }
+
+    // 1) Script, or the parent's translated
+    const script = await this.stage(videoId, outputs, "script", () =>
+      source ? vg.translateScript(source.script, language) : vg.generateScript(topic, duration)
+    );
 
-    // 4) Render video
-    const videoUrl = await this.videoGenerator.renderVideo({
-      script,
-      images,
-      voiceUrl,
-      duration,
+    // 2) Scenes + image prompts (a localized version keeps the parent's prompts)
+    const scenes = await this.stage(videoId, outputs, "scenes", () =>
+      source
+        ? source.scenes.map((s, i) => ({ ...s, text: script.scenes[i].text }))
+        : vg.parseScriptIntoScenes(script, style)
+    );
+
+    if (draft) {
+      await this.pool.query(
+        "UPDATE videos SET status='draft', script=$2 WHERE id=$1 AND status <> 'cancelled'",
+        [videoId, JSON.stringify(script)]
+      );
+      return { draft: true };
+    }
+
+    // 3) Check the image prompts before paying for images
+    await this.stage(videoId, outputs, "moderation", () =>
+      this.moderateScenes(videoId, userId, scenes)
+    );
+
+    // 4) Images
+    const images = await this.stage(videoId, outputs, "images", () =>
+      source
+        ? source.images.map((img, i) => ({ ...img, text: scenes[i].text }))
+        : vg.generateImages(scenes, style, {
+        aspectRatios,
+        framing: imageFraming,
+        done: outputs[partialKey("images")] || {},
+        onImage: (index, image) => this.saveImage(videoId, index, image),
+        onProgress: ({ current, total }) =>
+          this.report("images", "progress", { current, total }),
+      })
+    );
+
+    // 5) Voiceover, measured per scene
+    const voiceover = await this.stage(videoId, outputs, "voiceover", () =>
+      vg.generateVoiceover(script, { voiceId: voice, settings: voiceSettings, language })
+    );
+
+    // 6) Background music track, if any
+    const track = await this.stage(videoId, outputs, "music", () => {
+      if (source) return source.music ?? null;
+      return music ? selectTrack(this.pool, { music, script, seed: videoId }) : null;
     });
 
-    // 5) Persist results
+    // 7) Brand kit, snapshotted so later kit edits don't change this video
+    const brand = await this.stage(videoId, outputs, "brand", () =>
+      source ? source.brand ?? null : this.loadBrand(brandKitId)
+    );
+
+    // 8) Render. A local render's file is only on the worker that made it, so
+    // a job resumed after a restart or on another worker renders again.
+    if (
+      outputs.render !== undefined &&
+      outputs.upload === undefined &&
+      !(await vg.renderOutputExists(outputs.render, { renderer }))
+    ) {
+      console.log(`♻️  render output for video ${videoId} is gone, rendering again`);
+      await this.resetStages(videoId, ["render"]);
+      delete outputs.render;
+    }
+
+    if (handOffRender && outputs.render === undefined) {
+      const webhooks = vg.renderProvider(renderer).webhooks;
+      const webhookUrl = webhooks && renderWebhookUrl(videoId, webhooks);
+      if (webhookUrl) {
+        return this.handOffRender(videoId, {
+          images,
+          voiceover,
+          duration,
+          music: track,
+          brand,
+          renderer,
+          aspectRatio,
+          webhookUrl,
+        });
+      }
+    }
+
+    const renderUrl = await this.stage(videoId, outputs, "render", () =>
+      vg.assembleVideo(images, voiceover, duration, {
+        music: track,
+        brand,
+        renderer,
+        aspectRatio,
+        onProgress: ({ percent }) => this.report("render", "progress", { percent }),
+        // Remember the render so a cancel request can stop it
+        onSubmitted: (renderId) =>
+          this.pool.query("UPDATE videos SET render_id=$2 WHERE id=$1", [videoId, renderId]),
+      })
+    );
+
+    // 9) Upload final video
+    const videoUrl = await this.stage(videoId, outputs, "upload", () =>
+      vg.uploadFinalVideo(renderUrl, { renderer })
+    );
+
+    // 10) The other aspect ratios, rendered and uploaded one after another
+    const renditions = await this.stage(videoId, outputs, "renditions", async () => {
+      const urls = {};
+      for (const ratio of extraRatios) {
+        const url = await vg.assembleVideo(images, voiceover, duration, {
+          music: track,
+          brand,
+          renderer,
+          aspectRatio: ratio,
+          onProgress: ({ percent }) =>
+            this.report("renditions", "progress", { aspectRatio: ratio, percent }),
+          onSubmitted: (renderId) =>
+            this.pool.query("UPDATE videos SET render_id=$2 WHERE id=$1", [videoId, renderId]),
+        });
+        urls[ratio] = await vg.uploadFinalVideo(url, { renderer });
+      }
+      return urls;
+    });
+
+    // 11) Persist results, unless the video was cancelled during the last stage
+    const done = await this.pool.query(
+      `UPDATE videos
+       SET status='completed', script=$2, video_url=$3, thumbnail_url=$4, renditions=$5
+       WHERE id=$1 AND status <> 'cancelled'`,
+      [
+        videoId,
+        JSON.stringify(script),
+        videoUrl,
+        images?.[0]?.imageUrl || null,
+        JSON.stringify({ [aspectRatio]: videoUrl, ...renditions }),
+      ]
+    );
+    if (!done.rowCount) throw new PipelineCancelledError(videoId);
+
+    return { videoUrl };
+  }
+
+  /**
+   * Replace one scene's image and/or narration and drop the render
+   * checkpoints, so the next run() re-renders. Every other scene's image and
+   * voice segment is reused.
+   * @param {Object} opts
+   * @param {number} opts.sceneIndex - 0-based
+   * @param {boolean} [opts.image] - re-roll the image with the same prompt
+   * @param {string} [opts.imagePrompt] - new image prompt (implies a new image)
+   * @param {string} [opts.narration] - new narration text
+   * @param {boolean} [opts.rewriteNarration] - have the LLM rewrite the narration
+   * @param {string[]} [opts.aspectRatios] - the video's output ratios, for the new image
+   * @param {string} [opts.imageFraming]
+   * @param {string} [opts.language] - narration language of a localized version
+   */
+  async regenerateScene({
+    videoId,
+    sceneIndex,
+    image,
+    imagePrompt,
+    narration,
+    rewriteNarration,
+    voice,
+    voiceSettings,
+    aspectRatios,
+    imageFraming,
+    language,
+  }) {
+    const outputs = await this.loadCheckpoints(videoId);
+    if (!outputs.script || !outputs.images || !outputs.voiceover?.segments) {
+      throw new Error(`Video ${videoId} has no finished scenes to regenerate`);
+    }
+
+    const clone = (v) => JSON.parse(JSON.stringify(v));
+    const script = clone(outputs.script);
+    const scenes = clone(outputs.scenes);
+    const images = clone(outputs.images);
+    let voiceover = outputs.voiceover;
+
+    if (!images[sceneIndex]) throw new Error(`Video ${videoId} has no scene ${sceneIndex + 1}`);
+
+    const vg = this.videoGenerator;
+    this.report("scene", "started", { scene: sceneIndex + 1 });
+
+    const text = rewriteNarration ? await vg.rewriteNarration(script, sceneIndex) : narration;
+    if (text) {
+      for (const list of [script.scenes, scenes, images]) {
+        if (list[sceneIndex]) list[sceneIndex].text = text;
+      }
+      script.fullText = fullTextOf(script);
+
+      // Only this scene's narration is synthesized again; the timeline is re-laid
+      // around its new length
+      const segment = await vg.generateVoiceSegment(sceneNarrations(script)[sceneIndex], sceneIndex, {
+        voiceId: voice,
+        settings: voiceSettings,
+        language,
+      });
+      voiceover = layoutSegments(
+        voiceover.segments.map((seg, i) => (i === sceneIndex ? segment : seg))
+      );
+    }
+
+    if (imagePrompt) {
+      scenes[sceneIndex].imagePrompt = imagePrompt;
+      images[sceneIndex].imagePrompt = imagePrompt;
+    }
+    if (image || imagePrompt) {
+      const { imageUrl, imageUrls } = await vg.generateSceneImages(images[sceneIndex], sceneIndex, {
+        aspectRatios,
+        framing: imageFraming,
+      });
+      images[sceneIndex].imageUrl = imageUrl;
+      if (imageUrls) images[sceneIndex].imageUrls = imageUrls;
+      else delete images[sceneIndex].imageUrls;
+    }
+
     await this.pool.query(
       `UPDATE videos
-       SET status='completed', script=$2, video_url=$3, thumbnail_url=$4
+       SET script=$2,
+           render_id=NULL,
+           render_pending_since=NULL,
+           stage_outputs = (COALESCE(stage_outputs, '{}'::jsonb) - $6::text[])
+             || jsonb_build_object('script', $2::jsonb, 'scenes', $3::jsonb, 'images', $4::jsonb, 'voiceover', $5::jsonb)
        WHERE id=$1`,
-      [videoId, JSON.stringify(script), videoUrl, images?.[0] || null]
+      [
+        videoId,
+        JSON.stringify(script),
+        JSON.stringify(scenes),
+        JSON.stringify(images),
+        JSON.stringify(voiceover),
+        ["render", "upload", "renditions"],
+      ]
     );
 
-    return { videoUrl };
+    this.report("scene", "done", { scene: sceneIndex + 1 });
+  }
+
+  /**
+   * Moderate every scene's image prompt, logging each decision
+   * @throws {ContentBlockedError} - when any prompt is blocked
+   */
+  async moderateScenes(videoId, userId, scenes) {
+    let blocked = null;
+    for (const scene of scenes) {
+      const decision = await moderate(scene.imagePrompt, { kind: "image_prompt" });
+      await logModeration(this.pool, { videoId, userId, text: scene.imagePrompt, decision });
+      if (!decision.allowed && !blocked) blocked = decision;
+    }
+
+    if (blocked) throw new ContentBlockedError("image_prompt", blocked.reason);
+    return { checked: scenes.length };
+  }
+
+  /**
+   * Resolved brand for a kit id, null for none (or a kit deleted since)
+   */
+  async loadBrand(brandKitId) {
+    if (!brandKitId) return null;
+    const r = await this.pool.query("SELECT settings FROM brand_kits WHERE id=$1", [brandKitId]);
+    return r.rowCount ? resolveBrand(r.rows[0].settings) : null;
+  }
+
+  /**
+   * Submit the render without waiting for it. A render already handed off
+   * (the job was retried after submitting) is not submitted again.
+   */
+  async handOffRender(videoId, { images, voiceover, duration, music, brand, renderer, aspectRatio, webhookUrl }) {
+    await this.assertNotCancelled(videoId);
+
+    const r = await this.pool.query(
+      "SELECT render_id FROM videos WHERE id=$1 AND render_pending_since IS NOT NULL",
+      [videoId]
+    );
+    if (!r.rowCount) {
+      this.report("render", "started");
+      const renderId = await this.videoGenerator.submitRender(images, voiceover, duration, {
+        music,
+        brand,
+        renderer,
+        aspectRatio,
+        webhookUrl,
+      });
+      await this.pool.query(
+        "UPDATE videos SET render_id=$2, render_pending_since=NOW() WHERE id=$1",
+        [videoId, renderId]
+      );
+    }
+
+    this.report("render", "submitted");
+    return { renderPending: true };
+  }
+
+  /**
+   * Checkpoint one scene's images while the others are still being made
+   */
+  async saveImage(videoId, index, image) {
+    await this.pool.query(
+      `UPDATE videos
+       SET stage_outputs = COALESCE(stage_outputs, '{}'::jsonb) || jsonb_build_object(
+         $2::text, COALESCE(stage_outputs->$2, '{}'::jsonb) || jsonb_build_object($3::text, $4::jsonb))
+       WHERE id=$1`,
+      [videoId, partialKey("images"), String(index), JSON.stringify(image)]
+    );
+  }
+
+  /**
+   * Return the checkpointed output for a stage, or run it and checkpoint it
+   */
+  async stage(videoId, outputs, name, fn) {
+    if (outputs[name] !== undefined) {
+      console.log(`⏭️  ${name} already done for video ${videoId}`);
+      this.report(name, "done", { cached: true });
+      return outputs[name];
+    }
+
+    await this.assertNotCancelled(videoId);
+    this.report(name, "started");
+    const result = await fn();
+    await this.pool.query(
+      `UPDATE videos
+       SET stage_outputs = (COALESCE(stage_outputs, '{}'::jsonb) - $4::text) || jsonb_build_object($2::text, $3::jsonb)
+       WHERE id=$1`,
+      [videoId, name, JSON.stringify(result ?? null), partialKey(name)]
+    );
+    outputs[name] = result;
+    console.log(`✅ ${name} done for video ${videoId}`);
+    this.report(name, "done");
+    return result;
+  }
+
+  report(stage, status, extra = {}) {
+    try {
+      this.onProgress({ stage, status, ...extra });
+    } catch (err) {
+      console.error("Progress callback error:", err.message);
+    }
+  }
+
+  /**
+   * Stop between stages once the video has been cancelled
+   */
+  async assertNotCancelled(videoId) {
+    const r = await this.pool.query("SELECT status FROM videos WHERE id=$1", [videoId]);
+    if (r.rows[0]?.status === "cancelled") throw new PipelineCancelledError(videoId);
+  }
+
+  async loadCheckpoints(videoId) {
+    const r = await this.pool.query("SELECT stage_outputs FROM videos WHERE id=$1", [videoId]);
+    return r.rows[0]?.stage_outputs || {};
+  }
+
+  /**
+   * Drop checkpoints so the given stages (and their dependents) run again
+   */
+  async resetStages(videoId, stages) {
+    const unknown = stages.filter((s) => !STAGES.includes(s));
+    if (unknown.length) throw new Error(`Unknown pipeline stage(s): ${unknown.join(", ")}`);
+
+    const drop = [...new Set(stages.flatMap(withDependents))];
+    await this.pool.query(
+      `UPDATE videos
+       SET stage_outputs = COALESCE(stage_outputs, '{}'::jsonb) - $2::text[] - $3::text[],
+           render_pending_since = CASE WHEN 'render' = ANY($2::text[]) THEN NULL ELSE render_pending_since END
+       WHERE id=$1`,
+      [videoId, drop, drop.map(partialKey)]
+    );
+    return drop;
   }
 }
 
+Pipeline.STAGES = STAGES;
+Pipeline.withDependents = withDependents;
+
 module.exports = Pipeline;
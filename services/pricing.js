@@ -0,0 +1,161 @@
+// services/pricing.js
+// Token prices for generation and how that price splits across pipeline stages.
+
+const STYLE_COSTS = { cinematic: 5, animated: 5, realistic: 5, minimal: 3 };
+const DURATION_COSTS = { 30: 3, 60: 5, 90: 7 };
+
+// Share of a video's price attributed to each pipeline stage (sums to 1).
+// Used by partial-failure refund policies.
+const STAGE_SHARES = {
+  script: 0.1,
+  scenes: 0.05,
+  moderation: 0,
+  images: 0.35,
+  voiceover: 0.15,
+  music: 0,
+  brand: 0,
+  render: 0.3,
+  upload: 0.05,
+  // Extra aspect ratios are priced on top (RENDITION_COSTS) and never refunded by stage
+  renditions: 0,
+};
+
+// Regenerating one scene of a finished video: a base price for the re-render
+// plus each asset that is generated again
+const SCENE_REGEN_COSTS = { render: 1, image: 1, narration: 1, rewrite: 1 };
+
+// Each aspect ratio beyond the first: its render, plus its own images when
+// images are generated per ratio instead of once with safe framing
+const RENDITION_COSTS = { render: 2, images: 2 };
+
+// Stages a localized version reuses from its parent instead of paying for again
+const LOCALIZE_REUSED_STAGES = ["scenes", "images"];
+
+// Stages a draft runs before the user approves the script
+const DRAFT_STAGES = ["script", "scenes"];
+
+/**
+ * Price a generation request
+ * @param {Object} opts
+ * @param {string[]} [opts.aspectRatios] - output ratios, one included in the base price
+ * @param {string} [opts.imageFraming] - "safe" or "per_ratio"
+ * @returns {number} - token cost, 0 when neither style nor duration is known
+ */
+function quoteGeneration({ visualStyle, duration, aspectRatios = [], imageFraming = "safe" }) {
+  const base = (STYLE_COSTS[visualStyle] || 0) + (DURATION_COSTS[Number(duration)] || 0);
+  if (!base) return 0;
+
+  const extra = Math.max(0, aspectRatios.length - 1);
+  const perRendition = RENDITION_COSTS.render + (imageFraming === "per_ratio" ? RENDITION_COSTS.images : 0);
+  return base + extra * perRendition;
+}
+
+/**
+ * Price one localized version of a video: a full generation at the video's
+ * settings, less the scene prompts and images it reuses
+ * @param {Object} video - videos row
+ * @returns {number}
+ */
+function quoteLocalization(video) {
+  const total = quoteGeneration({
+    visualStyle: video.style,
+    duration: video.duration,
+    aspectRatios: video.aspect_ratios || [],
+    imageFraming: video.image_framing || undefined,
+  });
+  if (!total) return 0;
+  return Math.max(1, total - costOfStages(total, LOCALIZE_REUSED_STAGES));
+}
+
+/**
+ * Tokens attributable to a set of stages out of a total price
+ * @param {number} total - what the video cost
+ * @param {string[]} stages - stage names
+ * @returns {number}
+ */
+function costOfStages(total, stages) {
+  const share = stages.reduce((sum, s) => sum + (STAGE_SHARES[s] || 0), 0);
+  return Math.min(total, Math.round(total * share));
+}
+
+/**
+ * Tokens of a charge the finished stages account for, which the
+ * completed_stages refund policy keeps. A localized version was only charged
+ * for the stages it doesn't reuse, so its charge is split across those.
+ * @param {number} charged - what the video was charged
+ * @param {string[]} completed - stages with a checkpoint
+ * @param {Object} [opts]
+ * @param {boolean} [opts.localized] - the video is a localized version
+ * @returns {number}
+ */
+function costOfCompletedStages(charged, completed, { localized = false } = {}) {
+  if (!localized) return costOfStages(charged, completed);
+
+  const paid = Object.keys(STAGE_SHARES).filter((s) => !LOCALIZE_REUSED_STAGES.includes(s));
+  const shareOf = (stages) => stages.reduce((sum, s) => sum + (STAGE_SHARES[s] || 0), 0);
+  const done = shareOf(paid.filter((s) => completed.includes(s)));
+  return Math.min(charged, Math.round((charged * done) / shareOf(paid)));
+}
+
+/**
+ * Split a generation price into what the draft (script + scene prompts) costs
+ * and what approving it (images, voice, render) costs
+ * @param {number} total - quoteGeneration() price
+ * @returns {{draft: number, approve: number}}
+ */
+function splitDraftPrice(total) {
+  const draft = Math.min(total, Math.max(1, costOfStages(total, DRAFT_STAGES)));
+  return { draft, approve: total - draft };
+}
+
+/**
+ * Price rerunning stages of a finished video: each stage's share of the
+ * video's base price, plus the extra aspect ratios when renditions rerun
+ * @param {Object} video - videos row
+ * @param {string[]} stages - every stage that runs again, dependents included
+ * @returns {number}
+ */
+function quoteRerun(video, stages) {
+  const base = quoteGeneration({ visualStyle: video.style, duration: video.duration });
+  if (!base) return 0;
+
+  // A localized version's scene prompts and images come from its parent
+  const paid = video.parent_video_id ? stages.filter((s) => !LOCALIZE_REUSED_STAGES.includes(s)) : stages;
+
+  const extra = Math.max(0, (video.aspect_ratios || []).length - 1);
+  const perRendition =
+    RENDITION_COSTS.render +
+    (video.image_framing === "per_ratio" && paid.includes("images") ? RENDITION_COSTS.images : 0);
+  const renditions = stages.includes("renditions") ? extra * perRendition : 0;
+
+  return Math.max(1, costOfStages(base, paid) + renditions);
+}
+
+/**
+ * Price a single-scene regeneration
+ * @param {Object} opts - { image, narration, rewrite } booleans
+ * @returns {number}
+ */
+function quoteSceneRegeneration({ image = false, narration = false, rewrite = false }) {
+  return (
+    SCENE_REGEN_COSTS.render +
+    (image ? SCENE_REGEN_COSTS.image : 0) +
+    (narration || rewrite ? SCENE_REGEN_COSTS.narration : 0) +
+    (rewrite ? SCENE_REGEN_COSTS.rewrite : 0)
+  );
+}
+
+module.exports = {
+  STYLE_COSTS,
+  DURATION_COSTS,
+  STAGE_SHARES,
+  RENDITION_COSTS,
+  DRAFT_STAGES,
+  quoteGeneration,
+  quoteLocalization,
+  costOfStages,
+  costOfCompletedStages,
+  splitDraftPrice,
+  quoteSceneRegeneration,
+  quoteRerun,
+};
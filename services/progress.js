@@ -0,0 +1,109 @@
+// services/progress.js
+// Stage-level generation progress, published by the worker over Redis pub/sub
+// and streamed to clients by GET /api/videos/:id/events.
+
+const IORedis = require("ioredis");
+
+const LAST_EVENT_TTL = 60 * 60; // seconds
+
+let publisher = null;
+let subscriber = null;
+const listeners = new Map(); // channel -> Set<fn>
+
+function channelFor(videoId) {
+  return `video:${videoId}:progress`;
+}
+
+function lastEventKey(videoId) {
+  return `video:${videoId}:progress:last`;
+}
+
+function getPublisher() {
+  if (!publisher) publisher = new IORedis(process.env.REDIS_URL, { maxRetriesPerRequest: null });
+  return publisher;
+}
+
+function getSubscriber() {
+  if (!subscriber) {
+    // A connection in subscriber mode can't run other commands, so it gets its own
+    subscriber = new IORedis(process.env.REDIS_URL, { maxRetriesPerRequest: null });
+    subscriber.on("message", (channel, message) => {
+      const fns = listeners.get(channel);
+      if (!fns) return;
+
+      let event;
+      try {
+        event = JSON.parse(message);
+      } catch (e) {
+        return;
+      }
+      fns.forEach((fn) => fn(event));
+    });
+  }
+  return subscriber;
+}
+
+/**
+ * Publish a progress event for a video. Never throws: progress is best-effort
+ * and must not fail a generation job.
+ * @param {string} videoId
+ * @param {Object} event - e.g. { stage: "images", status: "progress", current: 3, total: 5 }
+ */
+async function publishProgress(videoId, event) {
+  const payload = JSON.stringify({ videoId, ...event, at: new Date().toISOString() });
+  try {
+    const redis = getPublisher();
+    await redis.set(lastEventKey(videoId), payload, "EX", LAST_EVENT_TTL);
+    await redis.publish(channelFor(videoId), payload);
+  } catch (err) {
+    console.error(`Progress publish error (video ${videoId}):`, err.message);
+  }
+}
+
+/**
+ * Most recent progress event for a video, if any
+ * @returns {Promise<Object|null>}
+ */
+async function getLastProgress(videoId) {
+  const raw = await getPublisher().get(lastEventKey(videoId));
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Listen for a video's progress events
+ * @param {string} videoId
+ * @param {Function} fn - called with each event
+ * @returns {Promise<Function>} - unsubscribe
+ */
+async function subscribeProgress(videoId, fn) {
+  const channel = channelFor(videoId);
+  let fns = listeners.get(channel);
+  if (!fns) {
+    fns = new Set();
+    listeners.set(channel, fns);
+    await getSubscriber().subscribe(channel);
+  }
+  fns.add(fn);
+
+  return async () => {
+    fns.delete(fn);
+    if (!fns.size && listeners.get(channel) === fns) {
+      listeners.delete(channel);
+      await getSubscriber().unsubscribe(channel);
+    }
+  };
+}
+
+/**
+ * Progress callback bound to one video, for handing to the pipeline
+ */
+function progressReporter(videoId) {
+  return (event) => publishProgress(videoId, event);
+}
+
+module.exports = {
+  publishProgress,
+  getLastProgress,
+  subscribeProgress,
+  progressReporter,
+};
@@ -0,0 +1,45 @@
+// services/providers/image/stability.js
+const axios = require("axios");
+const FormData = require("form-data");
+
+const STABILITY_API_URL = "https://api.stability.ai/v2beta/stable-image/generate/sd3";
+
+class StabilityImage {
+  constructor({ apiKey = process.env.STABILITY_API_KEY } = {}) {
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Text-to-image with Stable Diffusion 3
+   * @param {Object} opts
+   * @param {string} opts.prompt
+   * @param {string} [opts.aspectRatio] - e.g. "9:16"
+   * @returns {Promise<{buffer: Buffer, mimeType: string}>}
+   */
+  async generate({ prompt, aspectRatio = "9:16" }) {
+    const formData = new FormData();
+    formData.append("prompt", prompt);
+    formData.append("output_format", "png");
+    formData.append("aspect_ratio", aspectRatio);
+
+    const response = await axios.post(STABILITY_API_URL, formData, {
+      headers: {
+        ...formData.getHeaders(),
+        Authorization: `Bearer ${this.apiKey}`,
+        Accept: "application/json",
+      },
+      validateStatus: undefined,
+    });
+
+    if (response.status !== 200) {
+      const err = new Error(`Stability API error: ${response.status} - ${JSON.stringify(response.data)}`);
+      // For isRetryable(): a rejected prompt won't pass on another attempt
+      err.status = response.status;
+      throw err;
+    }
+
+    return { buffer: Buffer.from(response.data.image, "base64"), mimeType: "image/png" };
+  }
+}
+
+module.exports = StabilityImage;
@@ -0,0 +1,133 @@
+// services/providers/index.js
+// One adapter per capability, selected by config:
+//
+//   PROVIDERS=fake            every capability uses its offline fake
+//   LLM_PROVIDER=anthropic    per-capability override (also IMAGE_PROVIDER,
+//   TTS_PROVIDER, RENDER_PROVIDER, STORAGE_PROVIDER, MODERATION_PROVIDER,
+//   MAIL_PROVIDER, PAYMENTS_PROVIDER)
+//
+// Adapters are required lazily so fake mode runs without vendor SDKs or keys.
+//
+// Interfaces:
+//   llm.complete({ prompt, maxTokens, task })                -> string
+//   image.generate({ prompt, aspectRatio })                  -> { buffer, mimeType }
+//   tts.synthesize({ text, voiceId, settings, language })    -> { buffer, mimeType, duration?, alignment? }
+//   tts.listVoices()                                         -> [{ id, name, ... }]
+//   render.submit(composition, { webhookUrl? })              -> { id }
+//   render.webhooks                                          -> webhook route name, if it calls back
+//   render.getStatus(id)                                     -> { id, status, url, progress, error }
+//   render.cancel(id)
+//   render.discard(url)                                      (optional) free a local output once uploaded
+//   render.exists(url)                                       (optional) whether a local output is still there
+//   storage.upload(buffer, { kind, filename, mimeType })     -> url
+//   storage.uploadFromUrl(url, { kind })                     -> url
+//   moderation.check(text)                                   -> { flagged, categories }
+//   mail.send({ to, subject, text })
+//   payments.createCheckout({ pack, reference, successUrl, cancelUrl }) -> { id, url }
+//   payments.parseWebhook(rawBody, headers)                  -> { id, type, checkoutId?, paymentId? } | null
+
+const ADAPTERS = {
+  llm: {
+    anthropic: () => require("./llm/anthropic"),
+    fake: () => require("./llm/fake"),
+  },
+  image: {
+    stability: () => require("./image/stability"),
+    fake: () => require("./image/fake"),
+  },
+  tts: {
+    elevenlabs: () => require("./tts/elevenlabs"),
+    fake: () => require("./tts/fake"),
+  },
+  render: {
+    creatomate: () => require("./render/creatomate"),
+    ffmpeg: () => require("./render/ffmpeg"),
+    fake: () => require("./render/fake"),
+  },
+  storage: {
+    cloudinary: () => require("./storage/cloudinary"),
+    fake: () => require("./storage/fake"),
+  },
+  moderation: {
+    none: () => require("./moderation/none"),
+    openai: () => require("./moderation/openai"),
+    fake: () => require("./moderation/fake"),
+  },
+  mail: {
+    log: () => require("./mail/log"),
+    sendgrid: () => require("./mail/sendgrid"),
+    fake: () => require("./mail/fake"),
+  },
+  payments: {
+    stripe: () => require("./payments/stripe"),
+    fake: () => require("./payments/fake"),
+  },
+};
+
+const DEFAULTS = {
+  llm: "anthropic",
+  image: "stability",
+  tts: "elevenlabs",
+  render: "creatomate",
+  storage: "cloudinary",
+  moderation: "none",
+  mail: "log",
+  payments: "stripe",
+};
+
+const instances = new Map();
+
+/**
+ * Configured adapter name for a capability
+ * @param {string} capability - llm | image | tts | render | storage | moderation | mail | payments
+ * @returns {string}
+ */
+function providerName(capability) {
+  const override = process.env[`${capability.toUpperCase()}_PROVIDER`];
+  if (override) return override;
+  if (process.env.PROVIDERS === "fake") return "fake";
+  return DEFAULTS[capability];
+}
+
+/**
+ * Shared adapter instance for a capability
+ * @param {string} capability - llm | image | tts | render | storage | moderation | mail | payments
+ * @param {string} [name] - adapter name, defaults to providerName(capability)
+ */
+function getProvider(capability, name = providerName(capability)) {
+  const adapters = ADAPTERS[capability];
+  if (!adapters) throw new Error(`Unknown provider capability: ${capability}`);
+
+  const load = adapters[name];
+  if (!load) throw new Error(`Unknown ${capability} provider: ${name}`);
+
+  const key = `${capability}:${name}`;
+  if (!instances.has(key)) {
+    const Adapter = load();
+    instances.set(key, new Adapter());
+  }
+  return instances.get(key);
+}
+
+/**
+ * Registered adapter names for a capability
+ * @param {string} capability - llm | image | tts | render | storage | moderation | mail | payments
+ * @returns {string[]}
+ */
+function providerNames(capability) {
+  return Object.keys(ADAPTERS[capability] || {});
+}
+
+/**
+ * All configured adapters, keyed by capability
+ */
+function getProviders() {
+  return Object.fromEntries(Object.keys(ADAPTERS).map((c) => [c, getProvider(c)]));
+}
+
+module.exports = {
+  getProvider,
+  getProviders,
+  providerName,
+  providerNames,
+};
@@ -0,0 +1,31 @@
+// services/providers/llm/anthropic.js
+const Anthropic = require("@anthropic-ai/sdk");
+
+const DEFAULT_MODEL = "claude-sonnet-4-20250514";
+
+class AnthropicLLM {
+  constructor({ apiKey = process.env.ANTHROPIC_API_KEY, model } = {}) {
+    this.client = new Anthropic({ apiKey });
+    this.model = model || process.env.ANTHROPIC_MODEL || DEFAULT_MODEL;
+  }
+
+  /**
+   * Single-turn completion
+   * @param {Object} opts
+   * @param {string} opts.prompt
+   * @param {number} [opts.maxTokens]
+   * @param {Object} [opts.task] - what the prompt is for; only fakes use it
+   * @returns {Promise<string>} - response text
+   */
+  async complete({ prompt, maxTokens = 2000 }) {
+    const message = await this.client.messages.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      messages: [{ role: "user", content: prompt }],
+    });
+
+    return message.content[0].text;
+  }
+}
+
+module.exports = AnthropicLLM;
@@ -0,0 +1,49 @@
+// services/providers/llm/fake.js
+// Deterministic offline LLM. It can't read the prompt, so callers pass a
+// `task` hint ({ name, topic, sceneCount, scenes, text, hook, cta, language })
+// and it answers with JSON shaped for every script/scene prompt in the codebase.
+// Translations come back as the original text tagged with the language.
+
+const crypto = require("crypto");
+
+const SUBJECTS = ["a city skyline", "a mountain lake", "a busy workshop", "a quiet library", "a night market", "a desert road", "an ocean cliff"];
+const MOODS = ["at golden hour", "under neon lights", "in soft morning fog", "during a storm", "at blue hour"];
+
+function pick(list, seed, i) {
+  return list[(seed + i) % list.length];
+}
+
+class FakeLLM {
+  async complete({ prompt, task = {} }) {
+    const seed = crypto.createHash("sha256").update(String(prompt)).digest().readUInt32BE(0);
+    const topic = task.topic || "this topic";
+    const count = task.scenes?.length || task.sceneCount || 3;
+    const tag = (s) => (task.language ? `[${task.language}] ${s}` : s);
+
+    const scenes = Array.from({ length: count }, (_, i) => {
+      const text = tag(task.scenes?.[i]?.text || `Fact ${i + 1} about ${topic} that most people never notice.`);
+      return {
+        sceneNumber: i + 1,
+        text,
+        narration: text,
+        imagePrompt: `${pick(SUBJECTS, seed, i)} ${pick(MOODS, seed, i)}, no text`,
+        duration: 10,
+      };
+    });
+
+    const hook = tag(task.hook || `Here is something surprising about ${topic}.`);
+    const cta = tag(task.cta || "Follow for more!");
+
+    return JSON.stringify({
+      hook,
+      mood: "upbeat",
+      scenes,
+      cta,
+      // answer for single-text tasks such as a narration rewrite
+      text: task.text ? `${task.text} (take ${(seed % 9) + 2})` : hook,
+      narrationText: [hook, ...scenes.map((s) => s.narration), cta].join(" "),
+    });
+  }
+}
+
+module.exports = FakeLLM;
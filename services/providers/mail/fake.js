@@ -0,0 +1,14 @@
+// services/providers/mail/fake.js
+// Offline mailer: keeps every message in memory for inspection.
+
+class FakeMail {
+  constructor() {
+    this.sent = [];
+  }
+
+  async send(message) {
+    this.sent.push({ ...message, sentAt: new Date().toISOString() });
+  }
+}
+
+module.exports = FakeMail;
@@ -0,0 +1,11 @@
+// services/providers/mail/log.js
+// No mail service: messages are written to the server log, so invitation
+// links can be copied from there in development.
+
+class LogMail {
+  async send({ to, subject, text }) {
+    console.log(`[mail] to=${to} subject=${JSON.stringify(subject)}\n${text}`);
+  }
+}
+
+module.exports = LogMail;
@@ -0,0 +1,28 @@
+// services/providers/mail/sendgrid.js
+const axios = require("axios");
+
+class SendgridMail {
+  constructor({ apiKey = process.env.SENDGRID_API_KEY, from = process.env.MAIL_FROM } = {}) {
+    this.apiKey = apiKey;
+    this.from = from;
+  }
+
+  /**
+   * Send a plain-text email
+   * @param {Object} message - { to, subject, text }
+   */
+  async send({ to, subject, text }) {
+    await axios.post(
+      "https://api.sendgrid.com/v3/mail/send",
+      {
+        personalizations: [{ to: [{ email: to }] }],
+        from: { email: this.from },
+        subject,
+        content: [{ type: "text/plain", value: text }],
+      },
+      { headers: { Authorization: `Bearer ${this.apiKey}` } }
+    );
+  }
+}
+
+module.exports = SendgridMail;
@@ -0,0 +1,14 @@
+// services/providers/moderation/fake.js
+// Deterministic offline classifier: flags text containing the marker
+// "[unsafe]", so blocked paths can be exercised without a provider.
+
+const MARKER = "[unsafe]";
+
+class FakeModeration {
+  async check(text) {
+    const flagged = String(text).toLowerCase().includes(MARKER);
+    return { flagged, categories: flagged ? ["test"] : [] };
+  }
+}
+
+module.exports = FakeModeration;
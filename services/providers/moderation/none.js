@@ -0,0 +1,11 @@
+// services/providers/moderation/none.js
+// No external classifier: only the configured blocklists apply
+// (see services/moderation).
+
+class NoModeration {
+  async check() {
+    return { flagged: false, categories: [] };
+  }
+}
+
+module.exports = NoModeration;
@@ -0,0 +1,32 @@
+// services/providers/moderation/openai.js
+const axios = require("axios");
+
+const DEFAULT_MODEL = "omni-moderation-latest";
+
+class OpenAIModeration {
+  constructor({ apiKey = process.env.OPENAI_API_KEY, model } = {}) {
+    this.apiKey = apiKey;
+    this.model = model || process.env.OPENAI_MODERATION_MODEL || DEFAULT_MODEL;
+  }
+
+  /**
+   * Classify a piece of text
+   * @param {string} text
+   * @returns {Promise<{flagged: boolean, categories: string[]}>}
+   */
+  async check(text) {
+    const response = await axios.post(
+      "https://api.openai.com/v1/moderations",
+      { model: this.model, input: text },
+      { headers: { Authorization: `Bearer ${this.apiKey}` } }
+    );
+
+    const result = response.data.results[0];
+    return {
+      flagged: Boolean(result.flagged),
+      categories: Object.keys(result.categories || {}).filter((c) => result.categories[c]),
+    };
+  }
+}
+
+module.exports = OpenAIModeration;
@@ -0,0 +1,50 @@
+// services/providers/payments/fake.js
+// Local stand-in for the payment provider. Checkouts are recorded in memory
+// and never charge anyone; signedEvent() produces webhook requests signed the
+// way the real provider signs them, to POST to /api/webhooks/payments.
+
+const crypto = require("crypto");
+const { signPayload, verifyPayload } = require("./signature");
+
+const SIGNATURE_HEADER = "x-fake-signature";
+
+class FakePayments {
+  constructor({ webhookSecret = process.env.PAYMENTS_WEBHOOK_SECRET || "fake-payments-secret" } = {}) {
+    this.webhookSecret = webhookSecret;
+    this.checkouts = new Map();
+  }
+
+  async createCheckout({ pack, reference, successUrl, cancelUrl }) {
+    const id = `cs_fake_${crypto.randomBytes(8).toString("hex")}`;
+    this.checkouts.set(id, { id, pack, reference, successUrl, cancelUrl, paymentId: `pi_fake_${id.slice(8)}` });
+    return { id, url: `${successUrl}${successUrl.includes("?") ? "&" : "?"}checkout=${id}` };
+  }
+
+  /**
+   * A signed webhook request for a payment event
+   * @param {string} type - payment_succeeded | payment_refunded | payment_disputed
+   * @param {Object} data - { checkoutId?, paymentId? }; a checkout's paymentId is filled in
+   * @returns {{body: string, headers: Object}}
+   */
+  signedEvent(type, data = {}) {
+    const checkout = data.checkoutId && this.checkouts.get(data.checkoutId);
+    const event = {
+      id: `evt_fake_${crypto.randomBytes(8).toString("hex")}`,
+      type,
+      checkoutId: data.checkoutId,
+      paymentId: data.paymentId || checkout?.paymentId || `pi_fake_${data.checkoutId?.slice(8)}`,
+    };
+    const body = JSON.stringify(event);
+    return {
+      body,
+      headers: { "content-type": "application/json", [SIGNATURE_HEADER]: signPayload(this.webhookSecret, body) },
+    };
+  }
+
+  parseWebhook(rawBody, headers) {
+    if (!verifyPayload(this.webhookSecret, rawBody, headers[SIGNATURE_HEADER])) return null;
+    return JSON.parse(String(rawBody));
+  }
+}
+
+module.exports = FakePayments;
@@ -0,0 +1,72 @@
+// services/providers/payments/stripe.js
+const axios = require("axios");
+const { verifyPayload } = require("./signature");
+
+class StripePayments {
+  constructor({ apiKey = process.env.STRIPE_SECRET_KEY, webhookSecret = process.env.STRIPE_WEBHOOK_SECRET } = {}) {
+    this.apiKey = apiKey;
+    this.webhookSecret = webhookSecret;
+  }
+
+  /**
+   * Create a hosted Checkout Session for one token pack
+   * @param {Object} opts
+   * @param {Object} opts.pack - { id, name, priceCents, currency }
+   * @param {string} opts.reference - our purchase id, echoed back on the session
+   * @param {string} opts.successUrl
+   * @param {string} opts.cancelUrl
+   * @returns {Promise<{id: string, url: string}>}
+   */
+  async createCheckout({ pack, reference, successUrl, cancelUrl }) {
+    const form = new URLSearchParams({
+      mode: "payment",
+      client_reference_id: reference,
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      "line_items[0][quantity]": "1",
+      "line_items[0][price_data][currency]": pack.currency,
+      "line_items[0][price_data][unit_amount]": String(pack.priceCents),
+      "line_items[0][price_data][product_data][name]": pack.name,
+      "metadata[purchase_id]": reference,
+    });
+
+    const response = await axios.post("https://api.stripe.com/v1/checkout/sessions", form.toString(), {
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+    });
+    return { id: response.data.id, url: response.data.url };
+  }
+
+  /**
+   * Verify a webhook and translate it into a payment event
+   * @param {Buffer|string} rawBody - the request body exactly as received
+   * @param {Object} headers - request headers
+   * @returns {Object|null} - { id, type, checkoutId?, paymentId? }, null if the signature is bad
+   */
+  parseWebhook(rawBody, headers) {
+    if (!verifyPayload(this.webhookSecret, rawBody, headers["stripe-signature"])) return null;
+
+    const event = JSON.parse(String(rawBody));
+    const object = event.data?.object || {};
+
+    switch (event.type) {
+      case "checkout.session.completed":
+      case "checkout.session.async_payment_succeeded":
+        // Delayed payment methods complete the session before the money arrives
+        if (object.payment_status !== "paid") return { id: event.id, type: "ignored" };
+        return { id: event.id, type: "payment_succeeded", checkoutId: object.id, paymentId: object.payment_intent };
+      case "charge.refunded":
+        // Sent for partial refunds too; a pack is only taken back once it's refunded in full
+        if (object.refunded !== true) return { id: event.id, type: "ignored" };
+        return { id: event.id, type: "payment_refunded", paymentId: object.payment_intent };
+      case "charge.dispute.created":
+        return { id: event.id, type: "payment_disputed", paymentId: object.payment_intent };
+      default:
+        return { id: event.id, type: "ignored" };
+    }
+  }
+}
+
+module.exports = StripePayments;
@@ -0,0 +1,33 @@
+// services/providers/render/creatomate.js
+const { submitRender, getRenderStatus, cancelRender } = require("../../creatomate");
+
+class CreatomateRender {
+  constructor() {
+    // Finished renders are reported to POST /api/webhooks/creatomate
+    this.webhooks = "creatomate";
+  }
+
+  /**
+   * @param {Object} composition - RenderScript built by the video generator
+   * @param {Object} [opts]
+   * @param {string} [opts.webhookUrl] - callback for the finished render
+   * @returns {Promise<{id: string}>}
+   */
+  async submit(composition, { webhookUrl } = {}) {
+    return submitRender(composition, { webhookUrl });
+  }
+
+  /**
+   * @returns {Promise<{id, status, url, progress, error}>} - status is one of
+   *   Creatomate's (planned, waiting, rendering, succeeded, failed)
+   */
+  async getStatus(id) {
+    return getRenderStatus(id);
+  }
+
+  async cancel(id) {
+    return cancelRender(id);
+  }
+}
+
+module.exports = CreatomateRender;
@@ -0,0 +1,34 @@
+// services/providers/render/fake.js
+// Offline renderer: "renders" a composition by storing it as a JSON manifest,
+// so the rest of the pipeline (upload, persist) runs unchanged.
+
+const crypto = require("crypto");
+const FakeStorage = require("../storage/fake");
+
+class FakeRender {
+  constructor() {
+    this.storage = new FakeStorage();
+    this.renders = new Map();
+  }
+
+  async submit(composition) {
+    const body = Buffer.from(JSON.stringify(composition, null, 2));
+    const id = crypto.createHash("sha256").update(body).digest("hex").slice(0, 24);
+    const url = await this.storage.upload(body, { kind: "renders", filename: `${id}.json` });
+
+    this.renders.set(id, { id, status: "succeeded", url, progress: 1 });
+    return { id, status: "succeeded" };
+  }
+
+  async getStatus(id) {
+    return this.renders.get(id) || { id, status: "failed", error: "Unknown render" };
+  }
+
+  async cancel(id) {
+    const render = this.renders.get(id);
+    if (render && render.status !== "succeeded") render.status = "failed";
+    return { success: true, message: "Render cancelled" };
+  }
+}
+
+module.exports = FakeRender;
@@ -0,0 +1,363 @@
+// services/providers/render/ffmpeg.js
+// Local renderer: turns the same composition the Creatomate adapter submits
+// into an MP4 with FFmpeg. Image scenes get a Ken Burns zoom and fades,
+// captions are burned in with drawtext, logos and card images are overlaid,
+// and the audio clips are mixed at their offsets. The result is a file:// URL that the upload stage copies into
+// storage like any other render.
+//
+// Renders run in the background of the process that submitted them (the
+// worker); getStatus() reports progress parsed from FFmpeg's output. cancel()
+// only reaches renders started in the same process; elsewhere the pipeline's
+// cancellation check stops the job once the render stage returns.
+//
+// A render's work directory is deleted when it fails or is cancelled, and
+// otherwise by discard() once the upload stage has copied its output. Its
+// file:// URL only works on the worker that rendered it, so a job resumed
+// elsewhere checks exists() and renders again.
+
+const { spawn } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { fileURLToPath, pathToFileURL } = require("url");
+const axios = require("axios");
+const { wrapLines } = require("../../captions");
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const FADE_SECONDS = 0.5;
+const ZOOM_TO = 1.2; // Ken Burns end scale
+const CAPTION_CHARS_PER_LINE = 28;
+
+function percentOf(value, total, fallback) {
+  if (value === undefined || value === null) return fallback;
+  const s = String(value).trim();
+  if (s.endsWith("%")) return (parseFloat(s) / 100) * total;
+  return parseFloat(s);
+}
+
+function px(value, fallback) {
+  const n = parseFloat(String(value ?? ""));
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function ffColor(value, fallback) {
+  const hex = String(value || fallback).replace("#", "");
+  return `0x${hex}`;
+}
+
+// A filter option value, escaped for both levels FFmpeg parses: the option
+// list (quotes and ':' between options) and the filtergraph (',', ';', [ ])
+function filterValue(value) {
+  const option = String(value).replace(/[\\':]/g, "\\$&");
+  return option.replace(/[\\'[\],;]/g, "\\$&");
+}
+
+function num(n) {
+  return Number(n.toFixed(3));
+}
+
+/**
+ * FFmpeg volume expression for a volume property: a plain number, or
+ * keyframes ([{ time, value: "35%" }]) interpolated linearly
+ */
+function volumeExpr(volume) {
+  if (!Array.isArray(volume)) return String(volume ?? 1);
+
+  const frames = volume.map((k) => ({ time: k.time, value: percentOf(k.value, 1, 1) }));
+  let expr = String(num(frames[frames.length - 1].value));
+  for (let i = frames.length - 2; i >= 0; i--) {
+    const a = frames[i];
+    const b = frames[i + 1];
+    const span = b.time - a.time || 1;
+    const delta = num(b.value - a.value);
+    const ramp = delta ? `${delta > 0 ? "+" : "-"}${Math.abs(delta)}*(t-${a.time})/${num(span)}` : "";
+    expr = `if(lt(t,${b.time}),${num(a.value)}${ramp},${expr})`;
+  }
+  return `'${expr}':eval=frame`;
+}
+
+/**
+ * Build the FFmpeg invocation for a composition
+ * @param {Object} composition - RenderScript (width, height, frame_rate, duration, elements)
+ * @param {string[]} sources - local path for each element with a `source`, by element index
+ * @param {string} dir - working directory for caption text files
+ * @param {string} output - MP4 path
+ * @returns {{args: string[], files: Array<{path: string, content: string}>}}
+ */
+function buildArgs(composition, sources, dir, output) {
+  const W = composition.width;
+  const H = composition.height;
+  const fps = composition.frame_rate || 30;
+  const total = composition.duration;
+
+  const args = ["-y", "-hide_banner", "-f", "lavfi", "-i", `color=c=black:s=${W}x${H}:r=${fps}:d=${total}`];
+  const files = [];
+  const filters = [];
+  const audio = [];
+  let inputIndex = 1;
+  let canvas = "0:v";
+
+  composition.elements.forEach((el, i) => {
+    const start = el.time || 0;
+    const duration = el.duration || total - start;
+
+    if (el.type === "image") {
+      args.push("-loop", "1", "-framerate", String(fps), "-t", String(duration), "-i", sources[i]);
+      const frames = Math.max(1, Math.round(duration * fps));
+      const kenBurns = (el.animations || []).some((a) => a.type === "ken-burns" || a.type === "scale");
+      const fades = (el.animations || []).some((a) => a.fade || a.type === "fade" || a.type === "ken-burns");
+
+      // Full-frame scenes are cropped to cover the frame; "contain" images
+      // (logos, card images) keep their aspect ratio inside their width
+      const contained = el.fit === "contain";
+      const boxWidth = Math.round(percentOf(el.width, W, W));
+
+      const chain = contained
+        ? [`scale=${boxWidth}:-2`, `fps=${fps}`, `trim=duration=${duration}`, "setsar=1", "format=yuva420p"]
+        : [
+            // Upscale first so the zoom doesn't step between pixels
+            `scale=${W * 2}:${H * 2}:force_original_aspect_ratio=increase`,
+            `crop=${W * 2}:${H * 2}`,
+            kenBurns
+              ? `zoompan=z='1+${num(ZOOM_TO - 1)}*on/${frames}':x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':d=1:s=${W}x${H}:fps=${fps}`
+              : `scale=${W}:${H},fps=${fps}`,
+            `trim=duration=${duration}`,
+            "setsar=1",
+            "format=yuva420p",
+          ];
+      if (el.opacity !== undefined) chain.push(`colorchannelmixer=aa=${num(percentOf(el.opacity, 1, 1))}`);
+      if (fades) {
+        chain.push(
+          `fade=t=in:st=0:d=${FADE_SECONDS}:alpha=1`,
+          `fade=t=out:st=${num(Math.max(0, duration - FADE_SECONDS))}:d=${FADE_SECONDS}:alpha=1`
+        );
+      }
+      chain.push(`setpts=PTS-STARTPTS+${start}/TB`);
+
+      // x/y place the element's anchor point (its center unless x_anchor/y_anchor say otherwise)
+      const position = contained
+        ? `x='${num(percentOf(el.x, W, W / 2))}-${num(percentOf(el.x_anchor, 1, 0.5))}*w'` +
+          `:y='${num(percentOf(el.y, H, H / 2))}-${num(percentOf(el.y_anchor, 1, 0.5))}*h'`
+        : "0:0";
+
+      filters.push(`[${inputIndex}:v]${chain.join(",")}[img${i}]`);
+      filters.push(
+        `[${canvas}][img${i}]overlay=${position}:enable='between(t,${start},${num(start + duration)})':eof_action=pass[v${i}]`
+      );
+      canvas = `v${i}`;
+      inputIndex++;
+    }
+
+    // Shapes are only used as full-frame card backgrounds
+    if (el.type === "shape") {
+      filters.push(
+        `[${canvas}]drawbox=x=0:y=0:w=iw:h=ih:t=fill:color=${ffColor(el.fill_color, "#000000")}` +
+          `:enable='between(t,${start},${num(start + duration)})'[v${i}]`
+      );
+      canvas = `v${i}`;
+    }
+
+    if (el.type === "text") {
+      const textPath = path.join(dir, `caption_${i}.txt`);
+      files.push({ path: textPath, content: wrapLines(String(el.text), CAPTION_CHARS_PER_LINE).join("\n") });
+
+      const y = percentOf(el.y, H, H * 0.8);
+      const drawtext = [
+        `textfile=${filterValue(textPath)}`,
+        `fontsize=${px(el.font_size, 48)}`,
+        `fontcolor=${ffColor(el.fill_color, "#ffffff")}`,
+        `borderw=${px(el.stroke_width, 0)}`,
+        `bordercolor=${ffColor(el.stroke_color, "#000000")}`,
+        `line_spacing=8`,
+        "x=(w-text_w)/2",
+        `y=${num(y)}-text_h/2`,
+        `enable='between(t,${start},${num(start + duration)})'`,
+      ];
+      const fade = (el.animations || []).find((a) => a.type === "fade");
+      if (fade) {
+        const d = fade.duration || FADE_SECONDS;
+        drawtext.push(`alpha='min(1,(t-${start})/${d})'`);
+      }
+      const font = process.env.FFMPEG_FONT_FILE;
+      drawtext.unshift(font ? `fontfile=${filterValue(font)}` : `font=${filterValue(el.font_family || "Sans")}`);
+
+      filters.push(`[${canvas}]drawtext=${drawtext.join(":")}[v${i}]`);
+      canvas = `v${i}`;
+    }
+
+    if (el.type === "audio") {
+      if (el.loop) args.push("-stream_loop", "-1");
+      args.push("-i", sources[i]);
+      const delay = Math.round(start * 1000);
+      const chain = [];
+      if (el.duration) chain.push(`atrim=0:${el.duration}`, "asetpts=PTS-STARTPTS");
+      chain.push(`adelay=${delay}|${delay}`, `volume=${volumeExpr(el.volume)}`);
+      if (el.audio_fade_out) {
+        const fadeStart = num(Math.max(start, start + duration - el.audio_fade_out));
+        chain.push(`afade=t=out:st=${fadeStart}:d=${el.audio_fade_out}`);
+      }
+      filters.push(`[${inputIndex}:a]${chain.join(",")}[a${i}]`);
+      audio.push(`[a${i}]`);
+      inputIndex++;
+    }
+  });
+
+  filters.push(`[${canvas}]format=yuv420p[vout]`);
+  if (audio.length) {
+    filters.push(`${audio.join("")}amix=inputs=${audio.length}:duration=longest:normalize=0[aout]`);
+  }
+
+  args.push("-filter_complex", filters.join(";"), "-map", "[vout]");
+  if (audio.length) args.push("-map", "[aout]", "-c:a", "aac", "-b:a", "192k");
+  args.push(
+    "-c:v", "libx264",
+    "-preset", process.env.FFMPEG_PRESET || "veryfast",
+    "-pix_fmt", "yuv420p",
+    "-r", String(fps),
+    "-t", String(total),
+    "-movflags", "+faststart",
+    output
+  );
+
+  return { args, files };
+}
+
+class FfmpegRender {
+  constructor({ workDir = process.env.FFMPEG_WORK_DIR } = {}) {
+    this.workDir = workDir || path.join(os.tmpdir(), "shortsfusion-renders");
+    this.renders = new Map();
+  }
+
+  async submit(composition) {
+    const id = crypto.randomUUID();
+    const render = { id, status: "rendering", progress: 0, url: null, error: null, child: null };
+    this.renders.set(id, render);
+
+    this.run(render, composition).catch((err) => {
+      if (render.status === "rendering") {
+        render.status = "failed";
+        render.error = err.message;
+      }
+    });
+
+    return { id, status: render.status };
+  }
+
+  async getStatus(id) {
+    const render = this.renders.get(id);
+    if (!render) return { id, status: "failed", error: "Unknown render" };
+
+    const { status, url, progress, error } = render;
+    // Forget it once the outcome has been reported
+    if (status !== "rendering") this.renders.delete(id);
+    return { id, status, url, progress, error };
+  }
+
+  async cancel(id) {
+    const render = this.renders.get(id);
+    if (render && render.status === "rendering") {
+      render.status = "failed";
+      render.error = "Render cancelled";
+      if (render.child) render.child.kill("SIGKILL");
+    }
+    return { success: true, message: "Render cancelled" };
+  }
+
+  /**
+   * Whether a finished render's output is still on this machine. It isn't
+   * after a restart or on another worker, and it's gone once discarded.
+   * @param {string} url - the render's file:// URL from getStatus()
+   * @returns {Promise<boolean>}
+   */
+  async exists(url) {
+    if (!url || !url.startsWith("file://")) return true;
+    return fs.access(fileURLToPath(url)).then(
+      () => true,
+      () => false
+    );
+  }
+
+  /**
+   * Delete a finished render's files once its output has been copied into storage
+   * @param {string} url - the render's file:// URL from getStatus()
+   */
+  async discard(url) {
+    if (!url || !url.startsWith("file://")) return;
+    const dir = path.dirname(fileURLToPath(url));
+    if (path.dirname(dir) !== path.resolve(this.workDir)) return; // not one of ours
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  async run(render, composition) {
+    const dir = path.join(this.workDir, render.id);
+    const output = path.join(dir, "output.mp4");
+    try {
+      await fs.mkdir(dir, { recursive: true });
+
+      const sources = await Promise.all(
+        composition.elements.map((el, i) => (el.source ? this.fetchSource(el.source, dir, i) : null))
+      );
+
+      const { args, files } = buildArgs(composition, sources, dir, output);
+      await Promise.all(files.map((f) => fs.writeFile(f.path, f.content)));
+
+      await this.exec(render, args, composition.duration);
+    } catch (err) {
+      await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+      throw err;
+    }
+
+    if (render.status !== "rendering") {
+      // cancelled meanwhile
+      await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+      return;
+    }
+    render.url = pathToFileURL(output).href;
+    render.progress = 1;
+    render.status = "succeeded";
+  }
+
+  /**
+   * Local path for an element source, downloading remote files into dir
+   */
+  async fetchSource(source, dir, index) {
+    if (source.startsWith("file://")) return fileURLToPath(source);
+    if (!/^https?:\/\//.test(source)) return source;
+
+    const response = await axios.get(source, { responseType: "arraybuffer" });
+    const target = path.join(dir, `input_${index}${path.extname(new URL(source).pathname)}`);
+    await fs.writeFile(target, Buffer.from(response.data));
+    return target;
+  }
+
+  exec(render, args, total) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(FFMPEG_PATH, args, { stdio: ["ignore", "ignore", "pipe"] });
+      render.child = child;
+
+      let tail = "";
+      child.stderr.on("data", (chunk) => {
+        const text = chunk.toString();
+        tail = (tail + text).slice(-2000);
+
+        const match = /time=(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(text);
+        if (match && total) {
+          const seconds = Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+          render.progress = Math.min(0.99, seconds / total);
+        }
+      });
+
+      child.on("error", reject);
+      child.on("close", (code) => {
+        render.child = null;
+        if (code === 0) return resolve();
+        reject(new Error(`ffmpeg exited with code ${code}: ${tail.trim().split("\n").pop()}`));
+      });
+    });
+  }
+}
+
+FfmpegRender.buildArgs = buildArgs;
+
+module.exports = FfmpegRender;
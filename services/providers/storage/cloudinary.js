@@ -0,0 +1,51 @@
+// services/providers/storage/cloudinary.js
+const { fileURLToPath } = require("url");
+const cloudinary = require("cloudinary").v2;
+
+// Cloudinary stores audio under the "video" resource type
+const RESOURCE_TYPES = { image: "image", audio: "video", video: "video" };
+const FOLDERS = { image: "images", audio: "audio", video: "videos" };
+
+class CloudinaryStorage {
+  constructor() {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+    });
+  }
+
+  /**
+   * Upload a buffer
+   * @param {Buffer} buffer
+   * @param {Object} opts
+   * @param {string} opts.kind - image | audio | video
+   * @param {string} opts.mimeType
+   * @returns {Promise<string>} - public URL
+   */
+  async upload(buffer, { kind, mimeType }) {
+    const result = await cloudinary.uploader.upload(
+      `data:${mimeType};base64,${buffer.toString("base64")}`,
+      {
+        folder: `shortsfusion/${FOLDERS[kind] || kind}`,
+        resource_type: RESOURCE_TYPES[kind] || "auto",
+      }
+    );
+    return result.secure_url;
+  }
+
+  /**
+   * Copy a remote (or file://, from a local render) file into storage
+   * @returns {Promise<string>} - public URL
+   */
+  async uploadFromUrl(url, { kind }) {
+    const source = url.startsWith("file://") ? fileURLToPath(url) : url;
+    const result = await cloudinary.uploader.upload(source, {
+      folder: `shortsfusion/${FOLDERS[kind] || kind}`,
+      resource_type: RESOURCE_TYPES[kind] || "auto",
+    });
+    return result.secure_url;
+  }
+}
+
+module.exports = CloudinaryStorage;
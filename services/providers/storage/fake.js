@@ -0,0 +1,50 @@
+// services/providers/storage/fake.js
+// Offline storage: files land in FAKE_STORAGE_DIR (default: <tmp>/shortsfusion)
+// and are addressed with file:// URLs.
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { fileURLToPath, pathToFileURL } = require("url");
+
+const EXTENSIONS = { "image/png": ".png", "audio/mpeg": ".mp3", "audio/wav": ".wav", "video/mp4": ".mp4" };
+
+class FakeStorage {
+  constructor({ dir = process.env.FAKE_STORAGE_DIR } = {}) {
+    this.dir = dir || path.join(os.tmpdir(), "shortsfusion");
+  }
+
+  /**
+   * @param {Buffer} buffer
+   * @param {Object} opts
+   * @param {string} opts.kind - image | audio | video | ...
+   * @param {string} [opts.filename]
+   * @param {string} [opts.mimeType]
+   * @returns {Promise<string>} - file:// URL
+   */
+  async upload(buffer, { kind, filename = "file", mimeType }) {
+    let name = path.basename(filename);
+    if (!path.extname(name) && EXTENSIONS[mimeType]) name += EXTENSIONS[mimeType];
+
+    // Content-addressed, so the same input always maps to the same URL
+    const digest = crypto.createHash("sha256").update(buffer).digest("hex").slice(0, 16);
+    const folder = path.join(this.dir, kind);
+    const target = path.join(folder, `${digest}-${name}`);
+
+    await fs.mkdir(folder, { recursive: true });
+    await fs.writeFile(target, buffer);
+    return pathToFileURL(target).href;
+  }
+
+  async uploadFromUrl(url, { kind, filename }) {
+    // Only local files can be fetched offline; anything else is kept as-is
+    if (!url.startsWith("file://")) return url;
+
+    const source = fileURLToPath(url);
+    const buffer = await fs.readFile(source);
+    return this.upload(buffer, { kind, filename: filename || path.basename(source) });
+  }
+}
+
+module.exports = FakeStorage;
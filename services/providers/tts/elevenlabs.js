@@ -0,0 +1,66 @@
+// services/providers/tts/elevenlabs.js
+const axios = require("axios");
+const { findVoice, DEFAULT_VOICE } = require("../../voices");
+const { SOURCE_LANGUAGE } = require("../../languages");
+
+const ELEVENLABS_API_URL = "https://api.elevenlabs.io/v1";
+
+class ElevenLabsTTS {
+  constructor({ apiKey = process.env.ELEVENLABS_API_KEY, model, multilingualModel } = {}) {
+    this.apiKey = apiKey;
+    this.model = model || process.env.ELEVENLABS_MODEL || "eleven_turbo_v2";
+    // Catalog voices speak other languages on this model, so a localized
+    // version keeps the original narrator
+    this.multilingualModel =
+      multilingualModel || process.env.ELEVENLABS_MULTILINGUAL_MODEL || "eleven_multilingual_v2";
+  }
+
+  /**
+   * Text-to-speech with character timestamps
+   * @param {Object} opts
+   * @param {string} opts.text
+   * @param {string} [opts.voiceId] - catalog voice id (services/voices) or raw ElevenLabs voice id
+   * @param {Object} [opts.settings] - voice_settings overrides (stability, speed, ...)
+   * @param {string} [opts.language] - language code of the text, English by default
+   * @returns {Promise<{buffer: Buffer, mimeType: string, alignment: Object}>}
+   */
+  async synthesize({ text, voiceId = DEFAULT_VOICE, settings = {}, language = SOURCE_LANGUAGE }) {
+    const voice = findVoice(voiceId)?.elevenlabsId || voiceId;
+    const model = language === SOURCE_LANGUAGE ? this.model : this.multilingualModel;
+
+    const response = await axios.post(
+      `${ELEVENLABS_API_URL}/text-to-speech/${voice}/with-timestamps`,
+      {
+        text,
+        model_id: model,
+        voice_settings: {
+          stability: 0.5,
+          similarity_boost: 0.75,
+          ...settings,
+        },
+      },
+      {
+        headers: {
+          "xi-api-key": this.apiKey,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    return {
+      buffer: Buffer.from(response.data.audio_base64, "base64"),
+      mimeType: "audio/mpeg",
+      // { characters, character_start_times_seconds, character_end_times_seconds }
+      alignment: response.data.alignment,
+    };
+  }
+
+  async listVoices() {
+    const response = await axios.get(`${ELEVENLABS_API_URL}/voices`, {
+      headers: { "xi-api-key": this.apiKey },
+    });
+    return response.data.voices;
+  }
+}
+
+module.exports = ElevenLabsTTS;
@@ -0,0 +1,55 @@
+// services/providers/tts/fake.js
+// Deterministic offline speech: silent 16-bit mono WAV lasting as long as the
+// text would take to read at ~150 words per minute, with an even alignment.
+
+const WORDS_PER_SECOND = 2.5;
+const SAMPLE_RATE = 8000;
+
+function silentWav(seconds) {
+  const dataSize = Math.round(seconds * SAMPLE_RATE) * 2;
+  const buf = Buffer.alloc(44 + dataSize);
+  buf.write("RIFF", 0);
+  buf.writeUInt32LE(36 + dataSize, 4);
+  buf.write("WAVE", 8);
+  buf.write("fmt ", 12);
+  buf.writeUInt32LE(16, 16); // PCM header size
+  buf.writeUInt16LE(1, 20); // PCM
+  buf.writeUInt16LE(1, 22); // mono
+  buf.writeUInt32LE(SAMPLE_RATE, 24);
+  buf.writeUInt32LE(SAMPLE_RATE * 2, 28); // byte rate
+  buf.writeUInt16LE(2, 32); // block align
+  buf.writeUInt16LE(16, 34); // bits per sample
+  buf.write("data", 36);
+  buf.writeUInt32LE(dataSize, 40);
+  return buf;
+}
+
+// Spread the characters evenly over the clip, like a real alignment
+function evenAlignment(text, seconds) {
+  const characters = [...String(text)];
+  const step = seconds / Math.max(1, characters.length);
+  return {
+    characters,
+    character_start_times_seconds: characters.map((_, i) => i * step),
+    character_end_times_seconds: characters.map((_, i) => (i + 1) * step),
+  };
+}
+
+class FakeTTS {
+  async synthesize({ text }) {
+    const words = String(text).trim().split(/\s+/).filter(Boolean).length;
+    const seconds = Math.max(1, words / WORDS_PER_SECOND);
+    return {
+      buffer: silentWav(seconds),
+      mimeType: "audio/wav",
+      duration: seconds,
+      alignment: evenAlignment(text, seconds),
+    };
+  }
+
+  async listVoices() {
+    return [{ voice_id: "fake", name: "Fake Voice" }];
+  }
+}
+
+module.exports = FakeTTS;
@@ -0,0 +1,45 @@
+// services/renderWebhooks.js
+// Signed callback URLs for render providers that report completion by
+// webhook. The signature is an HMAC of the video id, so a callback can only
+// ever settle the video it was issued for.
+
+const crypto = require("crypto");
+
+function sign(videoId) {
+  return crypto
+    .createHmac("sha256", process.env.RENDER_WEBHOOK_SECRET)
+    .update(String(videoId))
+    .digest("hex");
+}
+
+/**
+ * Callback URL for a video's render, or null when webhooks aren't configured
+ * (PUBLIC_API_URL and RENDER_WEBHOOK_SECRET), in which case renders are polled
+ * @param {string} videoId
+ * @param {string} [provider] - webhook route name, e.g. "creatomate"
+ * @returns {string|null}
+ */
+function renderWebhookUrl(videoId, provider = "creatomate") {
+  const base = process.env.PUBLIC_API_URL;
+  if (!base || !process.env.RENDER_WEBHOOK_SECRET) return null;
+
+  const params = new URLSearchParams({ video_id: videoId, signature: sign(videoId) });
+  return `${base.replace(/\/+$/, "")}/api/webhooks/${provider}?${params}`;
+}
+
+/**
+ * Check a callback's signature
+ * @returns {boolean}
+ */
+function verifyRenderWebhook(videoId, signature) {
+  if (!process.env.RENDER_WEBHOOK_SECRET || !videoId || typeof signature !== "string") return false;
+
+  const expected = Buffer.from(sign(videoId), "hex");
+  const given = Buffer.from(signature, "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+  renderWebhookUrl,
+  verifyRenderWebhook,
+};
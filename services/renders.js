@@ -0,0 +1,129 @@
+// services/renders.js
+// Settling renders that were handed off to the provider instead of polled.
+// The worker submits the render with a webhook URL and finishes its job;
+// whichever comes first, the provider's webhook or the periodic sweep,
+// checkpoints the render and queues the job again to upload and finish.
+
+const { getProvider } = require("./providers");
+const { publishProgress } = require("./progress");
+const { refundVideo } = require("./tokens");
+const { enqueueGeneration, videoJobId } = require("../queue");
+
+// Pending renders older than this are checked by the sweep (seconds)
+const SWEEP_AFTER = Number(process.env.RENDER_SWEEP_AFTER_SECONDS) || 120;
+// A handed-off render still unfinished after this long fails the video (seconds)
+const PENDING_TIMEOUT = Number(process.env.RENDER_PENDING_TIMEOUT_SECONDS) || 3600;
+
+/**
+ * Bring a handed-off render to its outcome: checkpoint and resume the video
+ * when it succeeded, fail and refund it when it failed or timed out. Safe to
+ * call repeatedly; the provider is always asked for the render's status, so
+ * a webhook body is never trusted on its own.
+ * @param {Object} pool - pg pool
+ * @param {string} videoId
+ * @param {Object} [opts]
+ * @param {string} [opts.renderId] - render the caller is reporting on; ignored if it isn't the video's current render
+ * @returns {Promise<{settled: boolean, status?: string}>}
+ */
+async function settleRender(pool, videoId, { renderId } = {}) {
+  const v = await pool.query(
+    `SELECT *, EXTRACT(EPOCH FROM NOW() - render_pending_since)::int AS pending_seconds
+     FROM videos WHERE id=$1`,
+    [videoId]
+  );
+  const video = v.rows[0];
+  if (!video || video.status !== "processing" || !video.render_pending_since || !video.render_id) {
+    return { settled: false };
+  }
+  if (renderId && renderId !== video.render_id) return { settled: false };
+
+  // A checkpointed render only needs its resume job (a previous settle
+  // stopped before queueing it)
+  if (video.stage_outputs?.render === undefined) {
+    const render = await getProvider("render", video.renderer || undefined).getStatus(video.render_id);
+
+    if (render.status === "failed") {
+      await failRender(pool, video, `Video render failed${render.error ? `: ${render.error}` : ""}`);
+      return { settled: true, status: "failed" };
+    }
+
+    if (render.status !== "succeeded") {
+      if (video.pending_seconds > PENDING_TIMEOUT) {
+        await getProvider("render", video.renderer || undefined)
+          .cancel(video.render_id)
+          .catch((err) => console.error(`Cancel render ${video.render_id} error:`, err.message));
+        await failRender(pool, video, "Video render timeout");
+        return { settled: true, status: "failed" };
+      }
+      return { settled: false, status: render.status };
+    }
+
+    const r = await pool.query(
+      `UPDATE videos
+       SET stage_outputs = COALESCE(stage_outputs, '{}'::jsonb) || jsonb_build_object('render', $3::jsonb)
+       WHERE id=$1 AND render_id=$2 AND status='processing'
+       RETURNING id`,
+      [videoId, video.render_id, JSON.stringify(render.url)]
+    );
+    if (!r.rowCount) return { settled: false };
+    await publishProgress(videoId, { stage: "render", status: "done" });
+  }
+
+  // Resume: every stage up to the render is checkpointed, so the job goes
+  // straight to the upload. The job that handed the render off may not have
+  // been removed yet, so the resume has an id of its own (one per render, so
+  // a webhook and the sweep settling together still queue it once).
+  await enqueueGeneration(video, { jobId: `${videoJobId(video.id)}-resume-${video.render_id}` });
+  await pool.query(
+    "UPDATE videos SET render_pending_since=NULL WHERE id=$1 AND render_id=$2",
+    [videoId, video.render_id]
+  );
+  return { settled: true, status: "succeeded" };
+}
+
+async function failRender(pool, video, reason) {
+  const r = await pool.query(
+    `UPDATE videos SET status='failed', error_reason=$3, render_pending_since=NULL
+     WHERE id=$1 AND render_id=$2 AND status='processing'
+     RETURNING id`,
+    [video.id, video.render_id, reason.slice(0, 1000)]
+  );
+  if (!r.rowCount) return;
+
+  await publishProgress(video.id, { status: "failed", error: reason });
+
+  const refunded = await refundVideo(pool, video.id);
+  if (refunded) console.log(`💸 Refunded ${refunded} tokens for video ${video.id}`);
+}
+
+/**
+ * Settle handed-off renders whose webhook hasn't arrived
+ * @param {Object} pool - pg pool
+ * @param {Object} [opts]
+ * @param {number} [opts.limit] - most videos to check in one sweep
+ * @returns {Promise<number>} - renders settled
+ */
+async function sweepRenders(pool, { limit = 50 } = {}) {
+  const r = await pool.query(
+    `SELECT id FROM videos
+     WHERE status='processing' AND render_pending_since < NOW() - make_interval(secs => $1)
+     ORDER BY render_pending_since
+     LIMIT $2`,
+    [SWEEP_AFTER, limit]
+  );
+
+  let settled = 0;
+  for (const { id } of r.rows) {
+    try {
+      if ((await settleRender(pool, id)).settled) settled++;
+    } catch (err) {
+      console.error(`Render sweep failed for video ${id}:`, err.message);
+    }
+  }
+  return settled;
+}
+
+module.exports = {
+  settleRender,
+  sweepRenders,
+};
@@ -0,0 +1,196 @@
+// services/scriptSchema.js
+// Shapes the LLM has to answer with. Each schema is a plain description
+// checked by validate(); the `check*` functions add the rules a shape can't
+// express (scene counts, total duration) and return a list of problems,
+// empty when the answer is usable.
+
+const { EDIT_LIMITS } = require("./scripts");
+const { MOODS } = require("./music");
+
+// Sum of scene durations may stray this far from the requested length (fraction)
+const DURATION_TOLERANCE = 0.5;
+
+const text = (maxLength) => ({ type: "string", minLength: 1, maxLength });
+const seconds = { type: "number", min: 1, max: 60 };
+
+const SCRIPT = {
+  type: "object",
+  required: ["hook", "scenes", "cta"],
+  properties: {
+    hook: text(EDIT_LIMITS.hook),
+    cta: text(EDIT_LIMITS.cta),
+    mood: { type: "string", enum: MOODS },
+    scenes: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["text", "duration"],
+        properties: { text: text(EDIT_LIMITS.text), duration: seconds },
+      },
+    },
+  },
+};
+
+const SCENES = {
+  type: "object",
+  required: ["scenes"],
+  properties: {
+    scenes: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["text", "imagePrompt"],
+        properties: {
+          sceneNumber: { type: "number" },
+          text: text(EDIT_LIMITS.text),
+          imagePrompt: text(EDIT_LIMITS.imagePrompt),
+          duration: seconds,
+        },
+      },
+    },
+  },
+};
+
+const STORYBOARD = {
+  type: "object",
+  required: ["narrationText", "scenes"],
+  properties: {
+    narrationText: text(5000),
+    scenes: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["text", "narration", "imagePrompt"],
+        properties: {
+          sceneNumber: { type: "number" },
+          text: text(EDIT_LIMITS.text),
+          narration: text(EDIT_LIMITS.text),
+          imagePrompt: text(EDIT_LIMITS.imagePrompt),
+        },
+      },
+    },
+  },
+};
+
+const REWRITE = {
+  type: "object",
+  required: ["text"],
+  properties: { text: text(EDIT_LIMITS.text) },
+};
+
+const TRANSLATION = {
+  type: "object",
+  required: ["hook", "scenes", "cta"],
+  properties: {
+    hook: text(EDIT_LIMITS.hook),
+    cta: text(EDIT_LIMITS.cta),
+    scenes: {
+      type: "array",
+      items: { type: "object", required: ["text"], properties: { text: text(EDIT_LIMITS.text) } },
+    },
+  },
+};
+
+/**
+ * Check a value against a schema
+ * @returns {string[]} - problems, each prefixed with its path
+ */
+function validate(schema, value, path = "response") {
+  switch (schema.type) {
+    case "object": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) return [`${path} must be an object`];
+      const errors = [];
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) errors.push(`${path}.${key} is missing`);
+      }
+      for (const [key, sub] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined && value[key] !== null) errors.push(...validate(sub, value[key], `${path}.${key}`));
+      }
+      return errors;
+    }
+
+    case "array": {
+      if (!Array.isArray(value)) return [`${path} must be an array`];
+      return value.flatMap((item, i) => validate(schema.items, item, `${path}[${i}]`));
+    }
+
+    case "string": {
+      if (typeof value !== "string") return [`${path} must be a string`];
+      if (schema.enum && !schema.enum.includes(value)) return [`${path} must be one of: ${schema.enum.join(", ")}`];
+      const length = value.trim().length;
+      if (length < (schema.minLength || 0)) return [`${path} must not be empty`];
+      if (schema.maxLength && length > schema.maxLength) {
+        return [`${path} must be at most ${schema.maxLength} characters (got ${length})`];
+      }
+      return [];
+    }
+
+    case "number": {
+      if (typeof value !== "number" || !Number.isFinite(value)) return [`${path} must be a number`];
+      if (schema.min !== undefined && value < schema.min) return [`${path} must be at least ${schema.min}`];
+      if (schema.max !== undefined && value > schema.max) return [`${path} must be at most ${schema.max}`];
+      return [];
+    }
+
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+}
+
+function checkCount(data, sceneCount) {
+  const got = Array.isArray(data?.scenes) ? data.scenes.length : 0;
+  return got === sceneCount ? [] : [`response.scenes must have exactly ${sceneCount} scenes (got ${got})`];
+}
+
+/**
+ * Problems with a generated script
+ * @param {Object} data - parsed LLM answer
+ * @param {Object} expected - { sceneCount, duration } requested
+ */
+function checkScript(data, { sceneCount, duration }) {
+  const errors = [...validate(SCRIPT, data), ...checkCount(data, sceneCount)];
+  if (errors.length) return errors;
+
+  const total = data.scenes.reduce((sum, s) => sum + s.duration, 0);
+  if (Math.abs(total - duration) > duration * DURATION_TOLERANCE) {
+    errors.push(`scene durations add up to ${total} seconds; they should add up to about ${duration}`);
+  }
+  return errors;
+}
+
+/**
+ * Problems with scene image prompts; one scene per script scene
+ */
+function checkScenes(data, { sceneCount }) {
+  return [...validate(SCENES, data), ...checkCount(data, sceneCount)];
+}
+
+/**
+ * Problems with a storyboard (script and image prompts in one answer)
+ */
+function checkStoryboard(data, { sceneCount }) {
+  return [...validate(STORYBOARD, data), ...checkCount(data, sceneCount)];
+}
+
+/**
+ * Problems with a single rewritten narration
+ */
+function checkRewrite(data) {
+  return validate(REWRITE, data);
+}
+
+/**
+ * Problems with a translated script; one scene per original scene
+ */
+function checkTranslation(data, { sceneCount }) {
+  return [...validate(TRANSLATION, data), ...checkCount(data, sceneCount)];
+}
+
+module.exports = {
+  validate,
+  checkScript,
+  checkScenes,
+  checkStoryboard,
+  checkRewrite,
+  checkTranslation,
+};
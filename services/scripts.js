@@ -0,0 +1,75 @@
+// services/scripts.js
+// Helpers for the script and scenes checkpoints in videos.stage_outputs.
+
+const EDIT_LIMITS = { hook: 300, cta: 200, text: 500, imagePrompt: 1000 };
+
+/**
+ * Narration as one string: hook, scene texts, CTA
+ */
+function fullTextOf(script) {
+  return [script.hook, ...script.scenes.map((s) => s.text), script.cta]
+    .filter(Boolean)
+    .join(" ");
+}
+
+function checkText(value, field) {
+  if (typeof value !== "string" || !value.trim()) return `${field} must be a non-empty string`;
+  if (value.length > EDIT_LIMITS[field]) return `${field} must be at most ${EDIT_LIMITS[field]} characters`;
+  return null;
+}
+
+/**
+ * Apply user edits to a draft's script and scene prompts
+ * @param {Object} current - { script, scenes } checkpoints
+ * @param {Object} edits - { hook?, cta?, scenes?: Array<{ text?, imagePrompt? } | null> };
+ *   `scenes` must have one entry per existing scene, null to leave a scene alone
+ * @returns {{script: Object, scenes: Array, error: string|null}}
+ */
+function applyScriptEdits({ script, scenes }, edits) {
+  const next = {
+    script: { ...script, scenes: script.scenes.map((s) => ({ ...s })) },
+    scenes: scenes.map((s) => ({ ...s })),
+    error: null,
+  };
+  const fail = (error) => ({ script, scenes, error });
+
+  for (const field of ["hook", "cta"]) {
+    if (edits[field] === undefined) continue;
+    const error = checkText(edits[field], field);
+    if (error) return fail(error);
+    next.script[field] = edits[field].trim();
+  }
+
+  if (edits.scenes !== undefined) {
+    if (!Array.isArray(edits.scenes) || edits.scenes.length !== scenes.length) {
+      return fail(`scenes must be an array of ${scenes.length} entries`);
+    }
+
+    for (const [i, edit] of edits.scenes.entries()) {
+      if (edit === null) continue;
+      if (typeof edit !== "object") return fail(`scenes[${i}] must be an object or null`);
+
+      if (edit.text !== undefined) {
+        const error = checkText(edit.text, "text");
+        if (error) return fail(`scenes[${i}].${error}`);
+        next.scenes[i].text = edit.text.trim();
+        if (next.script.scenes[i]) next.script.scenes[i].text = edit.text.trim();
+      }
+
+      if (edit.imagePrompt !== undefined) {
+        const error = checkText(edit.imagePrompt, "imagePrompt");
+        if (error) return fail(`scenes[${i}].${error}`);
+        next.scenes[i].imagePrompt = edit.imagePrompt.trim();
+      }
+    }
+  }
+
+  next.script.fullText = fullTextOf(next.script);
+  return next;
+}
+
+module.exports = {
+  EDIT_LIMITS,
+  fullTextOf,
+  applyScriptEdits,
+};
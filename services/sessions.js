@@ -0,0 +1,161 @@
+// services/sessions.js
+// Sign-in sessions. Each sign-in starts a session that hands out short-lived
+// access JWTs (carrying the session id as `sid`) and a refresh token that is
+// rotated on every use. Refresh tokens are stored as sha256 hashes. Presenting
+// a refresh token that was already rotated means it leaked, so the whole
+// session is revoked. requireAuth rejects access tokens of revoked sessions.
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign({ userId: user.id, email: user.email, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  });
+}
+
+/**
+ * Store a new refresh token for a session
+ * @returns {Promise<string>} - the token; only its hash is kept
+ */
+async function issueRefreshToken(db, sessionId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await db.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+    [sessionId, hashToken(token), REFRESH_TOKEN_TTL_DAYS]
+  );
+  return token;
+}
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user - { id, email }
+ * @param {Object} [opts] - { userAgent }
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresIn: number}>}
+ */
+async function createSession(db, user, { userAgent = null } = {}) {
+  const s = await db.query(
+    "INSERT INTO auth_sessions (user_id, user_agent) VALUES ($1, $2) RETURNING id",
+    [String(user.id), userAgent ? String(userAgent).slice(0, 500) : null]
+  );
+  const sessionId = s.rows[0].id;
+
+  return {
+    accessToken: signAccessToken(user, sessionId),
+    refreshToken: await issueRefreshToken(db, sessionId),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+}
+
+/**
+ * Trade a refresh token for a new access token and refresh token
+ * @param {Object} pool - pg pool
+ * @returns {Promise<{tokens: Object|null, error: string|null}>} - error is
+ *   "invalid", "expired", "revoked" or "reused"
+ */
+async function rotateRefreshToken(pool, refreshToken) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const r = await client.query(
+      `SELECT t.id, t.session_id, t.used_at, t.expires_at <= NOW() AS expired,
+              s.revoked_at, s.user_id, u.email
+       FROM refresh_tokens t
+       JOIN auth_sessions s ON s.id = t.session_id
+       LEFT JOIN users u ON u.id::text = s.user_id
+       WHERE t.token_hash = $1
+       FOR UPDATE OF t, s`,
+      [hashToken(refreshToken)]
+    );
+    const row = r.rows[0];
+
+    let error = null;
+    if (!row) error = "invalid";
+    else if (row.revoked_at) error = "revoked";
+    else if (row.used_at) error = "reused";
+    else if (row.expired || !row.email) error = "expired";
+
+    if (error === "reused") {
+      // An old token came back: whoever holds the current one may be an attacker
+      await client.query(
+        "UPDATE auth_sessions SET revoked_at = NOW(), revoke_reason = 'refresh_token_reuse' WHERE id = $1",
+        [row.session_id]
+      );
+      await client.query("COMMIT");
+      console.warn(`🔐 Refresh token reuse, revoked session ${row.session_id}`);
+      return { tokens: null, error };
+    }
+    if (error) {
+      await client.query("ROLLBACK");
+      return { tokens: null, error };
+    }
+
+    await client.query("UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1", [row.id]);
+    await client.query("UPDATE auth_sessions SET last_used_at = NOW() WHERE id = $1", [row.session_id]);
+    const next = await issueRefreshToken(client, row.session_id);
+
+    await client.query("COMMIT");
+    return {
+      tokens: {
+        accessToken: signAccessToken({ id: row.user_id, email: row.email }, row.session_id),
+        refreshToken: next,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      },
+      error: null,
+    };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revoke one of a user's sessions
+ * @returns {Promise<boolean>} - false if it was already revoked or isn't theirs
+ */
+async function revokeSession(db, sessionId, userId, reason = "logout") {
+  const r = await db.query(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoke_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sessionId, String(userId), reason]
+  );
+  return r.rowCount > 0;
+}
+
+/**
+ * Revoke every session of a user ("sign out all devices")
+ * @returns {Promise<number>} - sessions revoked
+ */
+async function revokeAllSessions(db, userId, reason = "logout_all") {
+  const r = await db.query(
+    "UPDATE auth_sessions SET revoked_at = NOW(), revoke_reason = $2 WHERE user_id = $1 AND revoked_at IS NULL",
+    [String(userId), reason]
+  );
+  return r.rowCount;
+}
+
+async function isSessionActive(db, sessionId) {
+  const r = await db.query("SELECT revoked_at FROM auth_sessions WHERE id = $1", [sessionId]);
+  return Boolean(r.rowCount) && !r.rows[0].revoked_at;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+};
@@ -0,0 +1,129 @@
+// services/timing.js
+// Narration-driven scene timing. The voiceover is synthesized as one segment
+// per scene and each segment is measured (from TTS timestamps when the
+// provider returns them), so images and captions follow the narration
+// instead of equal duration / scenes.length slices.
+
+// Pause after each scene's narration before the next one starts (seconds)
+const SCENE_GAP = 0.3;
+// Reading speed used when a provider gives no duration (words per second)
+const WORDS_PER_SECOND = 2.5;
+
+/**
+ * Narration text for each scene: the hook opens the first scene and the CTA
+ * closes the last one.
+ * @param {Object} script - { hook, scenes: [{ text }], cta }
+ * @returns {string[]}
+ */
+function sceneNarrations(script) {
+  const texts = script.scenes.map((s) => s.text);
+  if (!texts.length) return [];
+
+  if (script.hook) texts[0] = `${script.hook} ${texts[0]}`;
+  if (script.cta) texts[texts.length - 1] = `${texts[texts.length - 1]} ${script.cta}`;
+  return texts;
+}
+
+/**
+ * Word timings from a character alignment
+ * @param {Object} alignment - { characters, character_start_times_seconds, character_end_times_seconds }
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+function wordsFromAlignment(alignment) {
+  if (!alignment?.characters?.length) return [];
+
+  const {
+    characters,
+    character_start_times_seconds: starts,
+    character_end_times_seconds: ends,
+  } = alignment;
+
+  const words = [];
+  let current = null;
+  characters.forEach((ch, i) => {
+    if (/\s/.test(ch)) {
+      if (current) words.push(current);
+      current = null;
+      return;
+    }
+    if (!current) current = { text: "", start: starts[i], end: ends[i] };
+    current.text += ch;
+    current.end = ends[i];
+  });
+  if (current) words.push(current);
+  return words;
+}
+
+/**
+ * Seconds of speech in a TTS result, measured when possible
+ * @param {Object} result - { duration?, alignment? } from tts.synthesize
+ * @param {string} text - what was synthesized, for the estimate fallback
+ */
+function measureSpeech(result, text) {
+  if (typeof result.duration === "number") return result.duration;
+
+  const ends = result.alignment?.character_end_times_seconds;
+  if (ends?.length) return ends[ends.length - 1];
+
+  const words = String(text).trim().split(/\s+/).filter(Boolean).length;
+  return words / WORDS_PER_SECOND;
+}
+
+/**
+ * Place measured segments back to back
+ * @param {Array<{duration: number}>} segments
+ * @returns {{segments: Array, duration: number}} - segments with `start` set
+ */
+function layoutSegments(segments) {
+  let cursor = 0;
+  const placed = segments.map((seg) => {
+    const out = { ...seg, start: round(cursor) };
+    cursor += seg.duration + SCENE_GAP;
+    return out;
+  });
+
+  return { segments: placed, duration: round(Math.max(0, cursor - SCENE_GAP)) };
+}
+
+/**
+ * When each scene is on screen
+ * @param {number} sceneCount
+ * @param {Object|string} voiceover - voiceover stage output ({ segments, duration }),
+ *   or a plain URL from before per-scene segments existed
+ * @param {number} fallbackDuration - used when there is nothing to measure
+ * @returns {{scenes: Array<{start: number, duration: number}>, duration: number}}
+ */
+function sceneTimeline(sceneCount, voiceover, fallbackDuration) {
+  const segments = voiceover?.segments;
+
+  if (segments?.length === sceneCount) {
+    const scenes = segments.map((seg, i) => {
+      const next = segments[i + 1];
+      // Each image holds until the next scene's narration starts
+      const end = next ? next.start : voiceover.duration;
+      return { start: seg.start, duration: round(end - seg.start) };
+    });
+    return { scenes, duration: voiceover.duration };
+  }
+
+  // Unmeasured (or mismatched) voiceover: stretch equal slices over whatever length we know
+  const total = voiceover?.duration || fallbackDuration;
+  const slice = total / sceneCount;
+  return {
+    scenes: Array.from({ length: sceneCount }, (_, i) => ({ start: round(i * slice), duration: round(slice) })),
+    duration: total,
+  };
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+module.exports = {
+  SCENE_GAP,
+  sceneNarrations,
+  wordsFromAlignment,
+  measureSpeech,
+  layoutSegments,
+  sceneTimeline,
+};
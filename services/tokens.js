@@ -0,0 +1,158 @@
+// services/tokens.js
+// Token balances and their changes. Every change is written to token_ledger
+// under an idempotency key, so replaying the same event (a re-fired BullMQ
+// "failed" handler, a double cancel) never moves a balance twice.
+//
+// A balance is either a user's own (users.tokens) or a workspace's shared one
+// (workspaces.tokens). Ledger rows name the acting user and, for workspace
+// balances, the workspace.
+
+const { costOfCompletedStages } = require("./pricing");
+
+const REFUND_POLICIES = ["full", "completed_stages", "none"];
+
+/**
+ * Active partial-failure policy (REFUND_POLICY env)
+ *  - full:             refund everything the video was charged
+ *  - completed_stages: keep the share of stages that finished, refund the rest
+ *  - none:             never refund
+ */
+function refundPolicy() {
+  const policy = process.env.REFUND_POLICY || "full";
+  return REFUND_POLICIES.includes(policy) ? policy : "full";
+}
+
+/**
+ * Lock and read the balance a charge draws from
+ * @param {Object} client - pg client inside the charging transaction
+ * @param {Object} payer - { userId, workspaceId }; a workspace id means its shared balance
+ * @returns {Promise<number|null>} - null when the user or workspace doesn't exist
+ */
+async function lockBalance(client, { userId, workspaceId = null }) {
+  const r = workspaceId
+    ? await client.query("SELECT tokens FROM workspaces WHERE id = $1 FOR UPDATE", [workspaceId])
+    : await client.query("SELECT tokens FROM users WHERE id = $1 FOR UPDATE", [userId]);
+  return r.rowCount ? r.rows[0].tokens ?? 0 : null;
+}
+
+/**
+ * Move a balance and record it in the ledger. Nothing moves when the
+ * idempotency key was already used.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} entry - { userId, workspaceId?, delta, reason, videoId?, idempotencyKey }
+ * @returns {Promise<boolean>} - whether the balance changed
+ */
+async function recordTokens(client, { userId, workspaceId = null, delta, reason, videoId = null, idempotencyKey }) {
+  const l = await client.query(
+    `INSERT INTO token_ledger (user_id, workspace_id, delta, reason, video_id, idempotency_key)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (idempotency_key) DO NOTHING
+     RETURNING id`,
+    [userId, workspaceId, delta, reason, videoId, idempotencyKey]
+  );
+  if (!l.rowCount) return false;
+
+  if (workspaceId) {
+    await client.query("UPDATE workspaces SET tokens = tokens + $1 WHERE id = $2", [delta, workspaceId]);
+  } else {
+    await client.query("UPDATE users SET tokens = tokens + $1 WHERE id = $2", [delta, userId]);
+  }
+  return true;
+}
+
+/**
+ * Credit back a video's charge according to a refund policy
+ * @param {Object} pool - pg pool
+ * @param {string} videoId
+ * @param {Object} [opts]
+ * @param {string} [opts.policy] - one of REFUND_POLICIES, defaults to refundPolicy()
+ * @param {string[]} [opts.chargeReasons] - ledger reasons that count as the charge
+ * @param {string[]} [opts.chargeKeys] - only count charges with these idempotency keys
+ * @param {string} [opts.idempotencyKey] - defaults to refund:<videoId>
+ * @returns {Promise<number>} - tokens credited, 0 if nothing was (or already had been) refunded
+ */
+async function refundVideo(
+  pool,
+  videoId,
+  {
+    policy = refundPolicy(),
+    chargeReasons = ["GENERATE_VIDEO"],
+    chargeKeys = null,
+    idempotencyKey = `refund:${videoId}`,
+  } = {}
+) {
+  if (!REFUND_POLICIES.includes(policy)) throw new Error(`Unknown refund policy: ${policy}`);
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const v = await client.query(
+      "SELECT user_id, workspace_id, stage_outputs, parent_video_id FROM videos WHERE id=$1 FOR UPDATE",
+      [videoId]
+    );
+    if (!v.rowCount) {
+      await client.query("ROLLBACK");
+      return 0;
+    }
+    const {
+      user_id: userId,
+      workspace_id: workspaceId,
+      stage_outputs: stageOutputs,
+      parent_video_id: parentVideoId,
+    } = v.rows[0];
+
+    const c = await client.query(
+      `SELECT COALESCE(-SUM(delta), 0)::int AS charged
+       FROM token_ledger
+       WHERE video_id=$1 AND delta < 0 AND reason = ANY($2::text[])
+         AND ($3::text[] IS NULL OR idempotency_key = ANY($3::text[]))`,
+      [videoId, chargeReasons, chargeKeys]
+    );
+    const charged = c.rows[0].charged;
+
+    let amount = 0;
+    if (policy === "full") amount = charged;
+    if (policy === "completed_stages") {
+      const completed = Object.keys(stageOutputs || {});
+      amount = charged - costOfCompletedStages(charged, completed, { localized: Boolean(parentVideoId) });
+    }
+
+    if (amount <= 0) {
+      await client.query("ROLLBACK");
+      return 0;
+    }
+
+    // Back to whichever balance paid: the workspace's for workspace videos
+    const credited = await recordTokens(client, {
+      userId,
+      workspaceId,
+      delta: amount,
+      reason: "REFUND",
+      videoId,
+      idempotencyKey,
+    });
+
+    if (!credited) {
+      // Already refunded
+      await client.query("ROLLBACK");
+      return 0;
+    }
+
+    await client.query("COMMIT");
+    return amount;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  REFUND_POLICIES,
+  refundPolicy,
+  lockBalance,
+  recordTokens,
+  refundVideo,
+};
@@ -1,25 +1,31 @@
 // services/videoGenerator.js
 // AI Video Generation Service
 
-const Anthropic = require('@anthropic-ai/sdk');
-const axios = require('axios');
-const FormData = require('form-data');
 const Pipeline = require("./pipeline");
-
+const { getProvider } = require("./providers");
+const { buildComposition } = require("./composition");
+const { sceneNarrations, measureSpeech, wordsFromAlignment, layoutSegments } = require("./timing");
+const { fullTextOf } = require("./scripts");
+const { completeJson } = require("./llmJson");
+const { checkScript, checkScenes, checkRewrite, checkTranslation } = require("./scriptSchema");
+const { MOODS } = require("./music");
+const { DEFAULT_ASPECT_RATIO, SAFE_FRAMING_RATIO, SAFE_FRAMING_PROMPT } = require("./aspectRatios");
+const { LANGUAGES } = require("./languages");
+
+// Renders are polled every 5 seconds for up to RENDER_TIMEOUT_SECONDS
+const RENDER_POLL_ATTEMPTS = Math.ceil((Number(process.env.RENDER_TIMEOUT_SECONDS) || 300) / 5);
 
 class VideoGenerator {
-  constructor() {
-    // Initialize AI clients
-    this.anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
-
-    this.stabilityApiKey = process.env.STABILITY_API_KEY;
-    this.elevenLabsApiKey = process.env.ELEVENLABS_API_KEY;
-    this.creatomateApiKey = process.env.CREATOMATE_API_KEY;
-    this.cloudinaryCloudName = process.env.CLOUDINARY_CLOUD_NAME;
-    this.cloudinaryApiKey = process.env.CLOUDINARY_API_KEY;
-    this.cloudinaryApiSecret = process.env.CLOUDINARY_API_SECRET;
+  /**
+   * @param {Object} [providers] - adapters to use instead of the configured
+   *   ones (see services/providers)
+   */
+  constructor(providers = {}) {
+    this.llm = providers.llm || getProvider('llm');
+    this.image = providers.image || getProvider('image');
+    this.tts = providers.tts || getProvider('tts');
+    this.render = providers.render || getProvider('render');
+    this.storage = providers.storage || getProvider('storage');
   }
 
   /**
@@ -42,22 +48,22 @@ class VideoGenerator {
       console.log('✅ Images generated');
 
       // Step 4: Generate voiceover
-      const voiceoverUrl = await this.generateVoiceover(script.fullText);
+      const voiceover = await this.generateVoiceover(script);
       console.log('✅ Voiceover generated');
 
-      // Step 5: Assemble video with Creatomate
-      const videoUrl = await this.assembleVideo(imagesWithScenes, voiceoverUrl, duration);
+      // Step 5: Assemble video
+      const videoUrl = await this.assembleVideo(imagesWithScenes, voiceover, duration);
       console.log('✅ Video assembled');
 
-      // Step 6: Upload to Cloudinary
-      const finalVideoUrl = await this.uploadToCloudinary(videoUrl);
+      // Step 6: Upload to storage
+      const finalVideoUrl = await this.uploadFinalVideo(videoUrl);
       console.log('✅ Video uploaded');
 
       return {
         videoUrl: finalVideoUrl,
         script: script.fullText,
         scenes: scenes.length,
-        duration
+        duration: voiceover.duration
       };
 
     } catch (error) {
@@ -67,7 +73,7 @@ class VideoGenerator {
   }
 
   /**
-   * Step 1: Generate script using Claude
+   * Step 1: Generate script with the LLM
    */
   async generateScript(topic, duration) {
     const scenesCount = duration === 30 ? 3 : duration === 60 ? 5 : 7;
@@ -81,10 +87,12 @@ Requirements:
 - Include a call-to-action at the end
 - Format as natural speech for voiceover
 - Keep it conversational and energetic
+- Pick the background music mood that fits best: ${MOODS.join(', ')}
 
 Format your response as JSON:
 {
   "hook": "Opening hook (first 3 seconds)",
+  "mood": "one of the moods above",
   "scenes": [
     {
       "text": "Scene dialogue",
@@ -94,35 +102,15 @@ Format your response as JSON:
   "cta": "Call to action"
 }`;
 
-    const message = await this.anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
-    });
-
-    const responseText = message.content[0].text;
-    
-    // Parse JSON from response
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('Failed to parse script JSON');
-    }
-
-    const scriptData = JSON.parse(jsonMatch[0]);
-    
-    // Combine all text
-    const fullText = [
-      scriptData.hook,
-      ...scriptData.scenes.map(s => s.text),
-      scriptData.cta
-    ].join(' ');
+    const scriptData = await completeJson(
+      this.llm,
+      { prompt, maxTokens: 2000, task: { name: 'script', topic, sceneCount: scenesCount } },
+      (data) => checkScript(data, { sceneCount: scenesCount, duration })
+    );
 
     return {
       ...scriptData,
-      fullText
+      fullText: fullTextOf(scriptData)
     };
   }
 
@@ -162,109 +150,110 @@ Format as JSON:
   ]
 }`;
 
-    const message = await this.anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
-    });
-
-    const responseText = message.content[0].text;
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    
-    if (!jsonMatch) {
-      throw new Error('Failed to parse scenes JSON');
-    }
-
-    const scenesData = JSON.parse(jsonMatch[0]);
+    const scenesData = await completeJson(
+      this.llm,
+      { prompt, maxTokens: 2000, task: { name: 'scenes', scenes: script.scenes } },
+      (data) => checkScenes(data, { sceneCount: script.scenes.length })
+    );
     return scenesData.scenes;
   }
 
   /**
-   * Step 3: Generate images with Stability AI
+   * Step 3: Generate an image for each scene
+   * @param {Object} [opts]
+   * @param {string[]} [opts.aspectRatios] - output ratios, the first one is the primary
+   * @param {string} [opts.framing] - "safe" or "per_ratio", see services/aspectRatios
+   * @param {Object} [opts.done] - scene index -> images finished by an earlier attempt
+   * @param {Function} [opts.onImage] - (index, images) after each scene's images are made
    */
-  async generateImages(scenes, visualStyle) {
+  async generateImages(scenes, visualStyle, { onProgress, onImage, done = {}, aspectRatios, framing } = {}) {
+    let finished = 0;
+    const reportDone = () => onProgress?.({ current: ++finished, total: scenes.length });
+
     const imagePromises = scenes.map(async (scene, index) => {
-      try {
-        const response = await axios.post(
-          'https://api.stability.ai/v1/generation/stable-diffusion-xl-1024-v1-0/text-to-image',
-          {
-            text_prompts: [
-              {
-                text: scene.imagePrompt,
-                weight: 1
-              }
-            ],
-            cfg_scale: 7,
-            height: 1024,
-            width: 576, // 9:16 aspect ratio for vertical video
-            samples: 1,
-            steps: 30,
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${this.stabilityApiKey}`,
-            }
-          }
-        );
-
-        const imageBase64 = response.data.artifacts[0].base64;
-        const imageBuffer = Buffer.from(imageBase64, 'base64');
-
-        // Upload to Cloudinary
-        const imageUrl = await this.uploadImageToCloudinary(imageBuffer, `scene_${index}`);
-
-        return {
-          ...scene,
-          imageUrl
-        };
+      if (done[index]) {
+        reportDone();
+        return { ...scene, ...done[index] };
+      }
 
+      // A failure fails the stage; scenes already saved through onImage
+      // aren't made again when it's retried
+      let images;
+      try {
+        images = await this.generateSceneImages(scene, index, { aspectRatios, framing });
       } catch (error) {
         console.error(`Error generating image for scene ${index}:`, error.message);
-        // Use placeholder if generation fails
-        return {
-          ...scene,
-          imageUrl: 'https://via.placeholder.com/576x1024/667eea/ffffff?text=Scene+' + (index + 1)
-        };
+        throw error;
       }
+
+      await onImage?.(index, images);
+      reportDone();
+
+      return {
+        ...scene,
+        ...images
+      };
     });
 
     return await Promise.all(imagePromises);
   }
 
   /**
-   * Step 4: Generate voiceover with ElevenLabs
+   * Images for one scene in every output ratio. A single ratio, or safe
+   * framing, makes one image; per-ratio framing makes one image per ratio.
+   * @returns {Promise<Object>} - { imageUrl, imageUrls? } where imageUrls maps ratio -> URL
+   */
+  async generateSceneImages(scene, index, { aspectRatios = [DEFAULT_ASPECT_RATIO], framing = 'safe' } = {}) {
+    if (aspectRatios.length === 1) {
+      return { imageUrl: await this.generateSceneImage(scene, index, aspectRatios[0]) };
+    }
+
+    if (framing !== 'per_ratio') {
+      // Square with the subject centred survives cropping to any of the ratios
+      const framed = { ...scene, imagePrompt: `${scene.imagePrompt}, ${SAFE_FRAMING_PROMPT}` };
+      return { imageUrl: await this.generateSceneImage(framed, index, SAFE_FRAMING_RATIO) };
+    }
+
+    const urls = await Promise.all(aspectRatios.map((ratio) => this.generateSceneImage(scene, index, ratio)));
+    return {
+      imageUrl: urls[0],
+      imageUrls: Object.fromEntries(aspectRatios.map((ratio, i) => [ratio, urls[i]]))
+    };
+  }
+
+  /**
+   * Generate and store the image for one scene
+   * @param {string} [aspectRatio] - defaults to vertical video
+   * @returns {Promise<string>} - image URL
+   */
+  async generateSceneImage(scene, index, aspectRatio = DEFAULT_ASPECT_RATIO) {
+    const { buffer, mimeType } = await this.image.generate({
+      prompt: scene.imagePrompt,
+      aspectRatio
+    });
+
+    return this.storage.upload(buffer, {
+      kind: 'image',
+      filename: `scene_${index}.png`,
+      mimeType
+    });
+  }
+
+  /**
+   * Step 4: Generate voiceover, one measured segment per scene
+   * @param {Object} [opts]
+   * @param {string} [opts.language] - narration language, for localized versions
+   * @returns {Promise<Object>} - { duration, segments: [{ text, url, start, duration, words }] }
    */
-  async generateVoiceover(text) {
+  async generateVoiceover(script, { voiceId, settings, language } = {}) {
     try {
-      const response = await axios.post(
-        'https://api.elevenlabs.io/v1/text-to-speech/21m00Tcm4TlvDq8ikWAM', // Rachel voice
-        {
-          text: text,
-          model_id: 'eleven_monolingual_v1',
-          voice_settings: {
-            stability: 0.5,
-            similarity_boost: 0.75
-          }
-        },
-        {
-          headers: {
-            'Accept': 'audio/mpeg',
-            'Content-Type': 'application/json',
-            'xi-api-key': this.elevenLabsApiKey
-          },
-          responseType: 'arraybuffer'
-        }
-      );
+      const narrations = sceneNarrations(script);
 
-      // Upload audio to Cloudinary
-      const audioBuffer = Buffer.from(response.data);
-      const audioUrl = await this.uploadAudioToCloudinary(audioBuffer);
+      const segments = await Promise.all(narrations.map((text, index) =>
+        this.generateVoiceSegment(text, index, { voiceId, settings, language })
+      ));
 
-      return audioUrl;
+      return layoutSegments(segments);
 
     } catch (error) {
       console.error('Error generating voiceover:', error.message);
@@ -273,104 +262,111 @@ Format as JSON:
   }
 
   /**
-   * Step 5: Assemble video with Creatomate
+   * Synthesize, store and measure one scene's narration
+   * @returns {Promise<Object>} - { text, url, duration, words } (not yet placed on the timeline)
+   */
+  async generateVoiceSegment(text, index, { voiceId, settings, language } = {}) {
+    const result = await this.tts.synthesize({ text, voiceId, settings, language });
+
+    const url = await this.storage.upload(result.buffer, {
+      kind: 'audio',
+      filename: `voiceover_${index}`,
+      mimeType: result.mimeType
+    });
+
+    return {
+      text,
+      url,
+      duration: measureSpeech(result, text),
+      words: wordsFromAlignment(result.alignment)
+    };
+  }
+
+  /**
+   * Rewrite one scene's narration, keeping the rest of the script as context
+   * @returns {Promise<string>} - new scene text
+   */
+  async rewriteNarration(script, index) {
+    const prompt = `You are editing a YouTube Shorts script. Rewrite ONLY scene ${index + 1} so it is punchier and flows with the scenes around it. Keep roughly the same length.
+
+Hook: ${script.hook}
+${script.scenes.map((s, i) => `Scene ${i + 1}: ${s.text}`).join('\n')}
+CTA: ${script.cta}
+
+Format your response as JSON:
+{
+  "text": "new narration for scene ${index + 1}"
+}`;
+
+    const { text } = await completeJson(
+      this.llm,
+      { prompt, maxTokens: 500, task: { name: 'rewrite', text: script.scenes[index].text } },
+      checkRewrite
+    );
+    return text.trim();
+  }
+
+  /**
+   * Translate a finished script for a localized version. Scene count,
+   * durations and mood are kept so the original images still fit.
+   * @param {string} language - code from services/languages
+   * @returns {Promise<Object>} - script in the same shape, with `language` set
+   */
+  async translateScript(script, language) {
+    const prompt = `Translate this YouTube Shorts script into ${LANGUAGES[language]}. Keep the tone, keep each scene roughly the same length when spoken, and translate every scene separately. Do not add or drop scenes.
+
+Hook: ${script.hook}
+${script.scenes.map((s, i) => `Scene ${i + 1}: ${s.text}`).join('\n')}
+CTA: ${script.cta}
+
+Format your response as JSON:
+{
+  "hook": "translated hook",
+  "scenes": [
+    { "text": "translated scene 1" }
+  ],
+  "cta": "translated call to action"
+}`;
+
+    const translated = await completeJson(
+      this.llm,
+      {
+        prompt,
+        maxTokens: 2000,
+        task: { name: 'translate', language, hook: script.hook, scenes: script.scenes, cta: script.cta }
+      },
+      (data) => checkTranslation(data, { sceneCount: script.scenes.length })
+    );
+
+    const out = {
+      ...script,
+      language,
+      hook: translated.hook.trim(),
+      cta: translated.cta.trim(),
+      scenes: script.scenes.map((s, i) => ({ ...s, text: translated.scenes[i].text.trim() }))
+    };
+    out.fullText = fullTextOf(out);
+    return out;
+  }
+
+  /**
+   * Step 5: Assemble video with the render provider
+   * @param {Object} [opts]
+   * @param {string} [opts.renderer] - render adapter for this job, defaults to the configured one
+   * @param {Object} [opts.music] - background track (music stage output)
+   * @param {Object} [opts.brand] - brand kit (brand stage output)
+   * @param {string} [opts.aspectRatio] - output ratio, defaults to 9:16
    */
-  async assembleVideo(scenes, voiceoverUrl, duration) {
+  async assembleVideo(scenes, voiceover, duration, { onProgress, onSubmitted, renderer, music, brand, aspectRatio } = {}) {
     try {
-      // Calculate timing for each scene
-      const sceneDuration = duration / scenes.length;
-
-      const elements = [];
-
-      // Add background music (optional)
-      // elements.push({
-      //   type: 'audio',
-      //   source: 'background-music-url',
-      //   volume: 0.2,
-      //   duration: duration
-      // });
-
-      // Add voiceover
-      elements.push({
-        type: 'audio',
-        source: voiceoverUrl,
-        volume: 1.0,
-        duration: duration
-      });
-
-      // Add image scenes
-      scenes.forEach((scene, index) => {
-        const startTime = index * sceneDuration;
-        
-        elements.push({
-          type: 'image',
-          source: scene.imageUrl,
-          x: '50%',
-          y: '50%',
-          width: '100%',
-          height: '100%',
-          fit: 'cover',
-          time: startTime,
-          duration: sceneDuration,
-          animations: [
-            {
-              type: 'ken-burns',
-              fade: true
-            }
-          ]
-        });
-
-        // Add text overlay
-        elements.push({
-          type: 'text',
-          text: scene.text,
-          x: '50%',
-          y: '80%',
-          width: '90%',
-          height: 'auto',
-          font_family: 'Montserrat',
-          font_size: '48 px',
-          font_weight: '700',
-          text_align: 'center',
-          fill_color: '#ffffff',
-          stroke_color: '#000000',
-          stroke_width: '4 px',
-          time: startTime,
-          duration: sceneDuration,
-          animations: [
-            {
-              type: 'fade',
-              duration: 0.5
-            }
-          ]
-        });
-      });
-
-      // Create video with Creatomate
-      const response = await axios.post(
-        'https://api.creatomate.com/v1/renders',
-        {
-          template_id: null, // We're building from scratch
-          modifications: {
-            'width': 1080,
-            'height': 1920, // 9:16 aspect ratio
-            'duration': duration,
-            'frame_rate': 30,
-            'elements': elements
-          }
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.creatomateApiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const composition = buildComposition({ scenes, voiceover, duration, music, brand, aspectRatio });
+      const render = this.renderProvider(renderer);
 
-      const renderId = response.data.id;
+      const { id: renderId } = await render.submit(composition);
+      if (onSubmitted) await onSubmitted(renderId);
 
       // Poll for completion
-      const videoUrl = await this.pollCreatomateRender(renderId);
+      const videoUrl = await this.pollRender(renderId, RENDER_POLL_ATTEMPTS, { onProgress, render });
 
       return videoUrl;
 
@@ -381,26 +377,40 @@ Format as JSON:
   }
 
   /**
-   * Poll Creatomate render status
+   * Step 5 without the wait: submit the render and let the provider call
+   * webhookUrl when it finishes
+   * @returns {Promise<string>} - render id
+   */
+  async submitRender(scenes, voiceover, duration, { renderer, webhookUrl, music, brand, aspectRatio }) {
+    const composition = buildComposition({ scenes, voiceover, duration, music, brand, aspectRatio });
+    const { id } = await this.renderProvider(renderer).submit(composition, { webhookUrl });
+    return id;
+  }
+
+  /**
+   * Render adapter for a job, the configured one unless it names another
+   */
+  renderProvider(renderer) {
+    return renderer ? getProvider('render', renderer) : this.render;
+  }
+
+  /**
+   * Poll render status
    */
-  async pollCreatomateRender(renderId, maxAttempts = 60) {
+  async pollRender(renderId, maxAttempts = RENDER_POLL_ATTEMPTS, { onProgress, render: provider = this.render } = {}) {
     for (let i = 0; i < maxAttempts; i++) {
       try {
-        const response = await axios.get(
-          `https://api.creatomate.com/v1/renders/${renderId}`,
-          {
-            headers: {
-              'Authorization': `Bearer ${this.creatomateApiKey}`
-            }
-          }
-        );
-
-        const status = response.data.status;
-
-        if (status === 'succeeded') {
-          return response.data.url;
-        } else if (status === 'failed') {
-          throw new Error('Video render failed');
+        const render = await provider.getStatus(renderId);
+
+        if (typeof render.progress === 'number') {
+          // Progress is reported as a 0..1 fraction
+          onProgress?.({ percent: Math.round(render.progress * 100) });
+        }
+
+        if (render.status === 'succeeded') {
+          return render.url;
+        } else if (render.status === 'failed') {
+          throw new Error('Video render failed' + (render.error ? `: ${render.error}` : ''));
         }
 
         // Wait 5 seconds before next poll
@@ -416,65 +426,69 @@ Format as JSON:
   }
 
   /**
-   * Upload image to Cloudinary
+   * Whether a checkpointed render can still be uploaded. Renderers that keep
+   * their output on local disk say so; hosted renders are always there.
+   * @returns {Promise<boolean>}
    */
-  async uploadImageToCloudinary(imageBuffer, filename) {
-    const formData = new FormData();
-    formData.append('file', imageBuffer, { filename: `${filename}.png` });
-    formData.append('upload_preset', 'vidsora_images');
-
-    const response = await axios.post(
-      `https://api.cloudinary.com/v1_1/${this.cloudinaryCloudName}/image/upload`,
-      formData,
-      {
-        headers: formData.getHeaders()
-      }
-    );
-
-    return response.data.secure_url;
+  async renderOutputExists(videoUrl, { renderer } = {}) {
+    const render = this.renderProvider(renderer);
+    return render.exists ? render.exists(videoUrl) : true;
   }
 
   /**
-   * Upload audio to Cloudinary
+   * Step 6: Copy the rendered video into storage
+   * @param {Object} [opts]
+   * @param {string} [opts.renderer] - render adapter that made it, see renderProvider()
    */
-  async uploadAudioToCloudinary(audioBuffer) {
-    const formData = new FormData();
-    formData.append('file', audioBuffer, { filename: 'voiceover.mp3' });
-    formData.append('upload_preset', 'vidsora_audio');
-    formData.append('resource_type', 'video');
-
-    const response = await axios.post(
-      `https://api.cloudinary.com/v1_1/${this.cloudinaryCloudName}/video/upload`,
-      formData,
-      {
-        headers: formData.getHeaders()
-      }
-    );
+  async uploadFinalVideo(videoUrl, { renderer } = {}) {
+    const url = await this.storage.uploadFromUrl(videoUrl, { kind: 'video' });
+
+    // Renderers that keep their output on local disk can let it go now
+    const render = this.renderProvider(renderer);
+    if (render.discard) {
+      await render.discard(videoUrl).catch((error) =>
+        console.error(`Error discarding render output ${videoUrl}:`, error.message)
+      );
+    }
 
-    return response.data.secure_url;
+    return url;
   }
 
-  /**
-   * Upload final video to Cloudinary
-   */
-  async uploadToCloudinary(videoUrl) {
-    const response = await axios.post(
-      `https://api.cloudinary.com/v1_1/${this.cloudinaryCloudName}/video/upload`,
-      {
-        file: videoUrl,
-        upload_preset: 'vidsora_videos'
-      }
-    );
-
-    return response.data.secure_url;
+  // ENTRY POINT FOR QUEUE WORKER: replace one scene, then re-render with generateFromVideoRow
+  async regenerateSceneFromVideoRow(videoRow, { pool, onProgress, ...options }) {
+    const pipeline = new Pipeline({ videoGenerator: this, pool, onProgress });
+
+    return pipeline.regenerateScene({
+      videoId: videoRow.id,
+      voice: videoRow.voice || undefined,
+      voiceSettings: videoRow.voice_settings || {},
+      aspectRatios: videoRow.aspect_ratios?.length ? videoRow.aspect_ratios : undefined,
+      imageFraming: videoRow.image_framing || undefined,
+      language: videoRow.language || undefined,
+      ...options,
+    });
   }
 
   // ENTRY POINT FOR QUEUE WORKER
-  async generateFromVideoRow(videoRow, { pool }) {
-    const Pipeline = require("./pipeline");
-    const pipeline = new Pipeline({ videoGenerator: this, pool });
+  async generateFromVideoRow(videoRow, { pool, force = [], onProgress, draft = false, handOffRender = false }) {
+    const pipeline = new Pipeline({ videoGenerator: this, pool, onProgress });
 
-    const { id, user_id, topic, style, duration } = videoRow;
+    const {
+      id,
+      user_id,
+      topic,
+      style,
+      duration,
+      voice,
+      voice_settings,
+      renderer,
+      music,
+      brand_kit_id,
+      aspect_ratios,
+      image_framing,
+      parent_video_id,
+      language,
+    } = videoRow;
 
     return pipeline.run({
       videoId: id,
@@ -482,6 +496,18 @@ Format as JSON:
       topic,
       style,
       duration: Number(duration) || 60,
+      voice: voice || undefined,
+      voiceSettings: voice_settings || {},
+      renderer: renderer || undefined,
+      music: music || undefined,
+      brandKitId: brand_kit_id || undefined,
+      aspectRatios: aspect_ratios?.length ? aspect_ratios : undefined,
+      imageFraming: image_framing || undefined,
+      parentVideoId: parent_video_id || undefined,
+      language: language || undefined,
+      force,
+      draft,
+      handOffRender,
     });
   }
 }
@@ -0,0 +1,68 @@
+// services/voices.js
+// Narration voice catalog and voice settings validation.
+
+const VOICES = [
+  { id: "rachel", name: "Rachel", gender: "female", accent: "american", description: "Calm, clear narration", elevenlabsId: "21m00Tcm4TlvDq8ikWAM" },
+  { id: "adam", name: "Adam", gender: "male", accent: "american", description: "Deep, confident narration", elevenlabsId: "pNInz6obpgDQGcFmaJgB" },
+  { id: "sam", name: "Sam", gender: "male", accent: "american", description: "Raspy, energetic", elevenlabsId: "yoZ06aMxZJJ28mfd3POQ" },
+  { id: "sarah", name: "Sarah", gender: "female", accent: "american", description: "Soft, friendly", elevenlabsId: "EXAVITQu4vr4xnSDxMaL" },
+  { id: "jessica", name: "Jessica", gender: "female", accent: "american", description: "Expressive, upbeat", elevenlabsId: "cgSgspJ2msm6clMCkdW9" },
+  { id: "chris", name: "Chris", gender: "male", accent: "british", description: "Casual British", elevenlabsId: "iP95p4xoKVk53GoZ742B" },
+];
+
+// Older preset names still accepted anywhere a voice id is
+const ALIASES = {
+  default: "rachel",
+  "male-1": "adam",
+  "male-2": "sam",
+  "female-1": "sarah",
+  "female-2": "jessica",
+  british: "chris",
+};
+
+const DEFAULT_VOICE = "rachel";
+
+// Allowed voice setting ranges
+const SETTING_RANGES = {
+  stability: [0, 1],
+  speed: [0.7, 1.2],
+};
+
+/**
+ * Catalog entry for a voice id or alias
+ * @returns {Object|undefined}
+ */
+function findVoice(id) {
+  const key = ALIASES[id] || id;
+  return VOICES.find((v) => v.id === key);
+}
+
+/**
+ * Validate voice settings from a request body
+ * @param {Object} [settings] - { stability, speed }
+ * @returns {{settings: Object, error: string|null}}
+ */
+function parseVoiceSettings(settings) {
+  if (settings === undefined || settings === null) return { settings: {}, error: null };
+  if (typeof settings !== "object") return { settings: {}, error: "voiceSettings must be an object" };
+
+  const out = {};
+  for (const [key, value] of Object.entries(settings)) {
+    const range = SETTING_RANGES[key];
+    if (!range) return { settings: {}, error: `Unknown voice setting: ${key}` };
+
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < range[0] || n > range[1]) {
+      return { settings: {}, error: `${key} must be between ${range[0]} and ${range[1]}` };
+    }
+    out[key] = n;
+  }
+  return { settings: out, error: null };
+}
+
+module.exports = {
+  VOICES,
+  DEFAULT_VOICE,
+  findVoice,
+  parseVoiceSettings,
+};
@@ -0,0 +1,135 @@
+// services/workspaces.js
+// Team workspaces: members with roles, email invitations, and a shared token
+// balance that generation inside the workspace draws from.
+
+const crypto = require("crypto");
+
+// Lowest to highest; each role can do everything the ones before it can
+const ROLES = ["viewer", "editor", "admin", "owner"];
+
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS) || 7;
+const MAX_NAME_LENGTH = 100;
+
+function roleAtLeast(role, minRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
+/**
+ * A user's role in a workspace, null if they aren't a member
+ */
+async function memberRole(db, workspaceId, userId) {
+  const r = await db.query(
+    "SELECT role FROM workspace_members WHERE workspace_id = $1 AND user_id = $2",
+    [workspaceId, String(userId)]
+  );
+  return r.rows[0]?.role || null;
+}
+
+function parseWorkspaceName(name) {
+  if (typeof name !== "string" || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return { name: null, error: `name must be 1-${MAX_NAME_LENGTH} characters` };
+  }
+  return { name: name.trim(), error: null };
+}
+
+/**
+ * Whether `actorRole` may give (or take away) `role`. Admins manage editors
+ * and viewers; only owners manage admins and other owners.
+ */
+function canAssignRole(actorRole, role) {
+  if (!ROLES.includes(role)) return false;
+  if (actorRole === "owner") return true;
+  return actorRole === "admin" && !roleAtLeast(role, "admin");
+}
+
+/**
+ * Create a workspace with its creator as owner
+ * @param {Object} client - pg client inside a transaction
+ */
+async function createWorkspace(client, userId, name) {
+  const w = await client.query(
+    "INSERT INTO workspaces (name, created_by) VALUES ($1, $2) RETURNING *",
+    [name, String(userId)]
+  );
+  await client.query(
+    "INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, 'owner')",
+    [w.rows[0].id, String(userId)]
+  );
+  return w.rows[0];
+}
+
+/**
+ * Store an invitation
+ * @returns {Promise<{row: Object, token: string}>} - token goes in the email, only its hash is kept
+ */
+async function createInvitation(db, { workspaceId, email, role, invitedBy }) {
+  const token = crypto.randomBytes(24).toString("base64url");
+  const r = await db.query(
+    `INSERT INTO workspace_invitations (workspace_id, email, role, token_hash, invited_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+     RETURNING id, workspace_id, email, role, invited_by, created_at, expires_at`,
+    [workspaceId, email.toLowerCase(), role, hashToken(token), String(invitedBy), INVITATION_TTL_DAYS]
+  );
+  return { row: r.rows[0], token };
+}
+
+/**
+ * Join a workspace through an invitation sent to the user's email
+ * @param {Object} pool - pg pool
+ * @param {Object} user - { id, email }
+ * @returns {Promise<{workspaceId: string|null, role: string|null, error: string|null}>}
+ */
+async function acceptInvitation(pool, token, user) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const r = await client.query(
+      `SELECT id, workspace_id, email, role FROM workspace_invitations
+       WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+    const invitation = r.rows[0];
+    if (!invitation) {
+      await client.query("ROLLBACK");
+      return { workspaceId: null, role: null, error: "Invitation is invalid or has expired" };
+    }
+    if (invitation.email !== String(user.email || "").toLowerCase()) {
+      await client.query("ROLLBACK");
+      return { workspaceId: null, role: null, error: "Invitation was sent to a different email" };
+    }
+
+    // Joining never lowers the role of someone who is already a member
+    await client.query(
+      `INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, $3)
+       ON CONFLICT (workspace_id, user_id) DO NOTHING`,
+      [invitation.workspace_id, String(user.id), invitation.role]
+    );
+    await client.query("UPDATE workspace_invitations SET accepted_at = NOW() WHERE id = $1", [invitation.id]);
+    await client.query("COMMIT");
+
+    const role = await memberRole(pool, invitation.workspace_id, user.id);
+    return { workspaceId: invitation.workspace_id, role, error: null };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+module.exports = {
+  ROLES,
+  roleAtLeast,
+  memberRole,
+  parseWorkspaceName,
+  canAssignRole,
+  createWorkspace,
+  createInvitation,
+  acceptInvitation,
+};
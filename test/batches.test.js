@@ -0,0 +1,124 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  startDb,
+  loadQueue,
+  stubProgress,
+  testAuth,
+  serve,
+  createUser,
+  createWorkspace,
+  balanceOf,
+  workspaceBalanceOf,
+} = require("./helpers");
+
+let db;
+let queue;
+let app;
+let refundVideo;
+
+before(async () => {
+  db = await startDb();
+  queue = loadQueue();
+  stubProgress();
+  ({ refundVideo } = require("../services/tokens"));
+  const makeVideoRouter = require("../routes/video");
+  const { makeBatchesRouter } = require("../routes/batches");
+  app = await serve({
+    "/api/videos": makeVideoRouter(db.pool, testAuth, null),
+    "/api/batches": makeBatchesRouter(db.pool, testAuth),
+  });
+});
+
+after(async () => {
+  await app.close();
+  await db.stop();
+});
+
+beforeEach(() => queue.videoQueue.reset());
+
+// minimal + 30s costs 6 each
+const rows = (n) => Array.from({ length: n }, (_, i) => ({ topic: `Topic ${i + 1}`, visualStyle: "minimal", duration: 30 }));
+
+test("a batch charges every row and queues every video", async () => {
+  const user = await createUser(db.pool, { tokens: 20 });
+
+  const res = await app.request("POST", "/api/videos/batch", { user: user.id, body: { rows: rows(3) } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.tokensUsed, 18);
+  assert.equal(await balanceOf(db.pool, user.id), 2);
+  assert.equal(queue.videoQueue.added.length, 3);
+});
+
+test("a video that can't be queued is failed and refunded, the rest go ahead", async () => {
+  const user = await createUser(db.pool, { tokens: 20 });
+  // Only the second video's add() fails
+  queue.videoQueue.failures.push(undefined, new Error("Redis connection lost"));
+
+  const res = await app.request("POST", "/api/videos/batch", { user: user.id, body: { rows: rows(3) } });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.videos.map((v) => v.status), ["queued", "failed", "queued"]);
+  assert.equal(res.body.tokensUsed, 12);
+  assert.equal(await balanceOf(db.pool, user.id), 8);
+
+  const failed = await db.pool.query("SELECT status, error_reason FROM videos WHERE id = $1", [res.body.videos[1].id]);
+  assert.equal(failed.rows[0].status, "failed");
+  assert.match(failed.rows[0].error_reason, /Could not be queued/);
+});
+
+test("a batch that can't be queued at all is refunded in full", async () => {
+  const user = await createUser(db.pool, { tokens: 20 });
+  for (let i = 0; i < 2; i++) queue.videoQueue.failNextAdd();
+
+  const res = await app.request("POST", "/api/videos/batch", { user: user.id, body: { rows: rows(2) } });
+
+  assert.equal(res.status, 503);
+  assert.equal(res.body.tokensUsed, 0);
+  assert.equal(await balanceOf(db.pool, user.id), 20);
+});
+
+test("a batch's tokens used leave out what its videos were refunded", async () => {
+  const user = await createUser(db.pool, { tokens: 20 });
+  queue.videoQueue.failures.push(undefined, new Error("Redis connection lost"));
+  const created = await app.request("POST", "/api/videos/batch", { user: user.id, body: { rows: rows(3) } });
+  // A queued video that fails later is refunded by the worker
+  await refundVideo(db.pool, created.body.videos[0].id, { policy: "full" });
+
+  const res = await app.request("GET", `/api/batches/${created.body.batch.id}`, { user: user.id });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.batch.tokensUsed, 6);
+  assert.equal(await balanceOf(db.pool, user.id), 14);
+});
+
+test("workspace members see a batch paid from the workspace", async () => {
+  const owner = await createUser(db.pool);
+  const viewer = await createUser(db.pool);
+  const outsider = await createUser(db.pool);
+  const workspace = await createWorkspace(db.pool, {
+    tokens: 20,
+    members: [
+      [owner, "owner"],
+      [viewer, "viewer"],
+    ],
+  });
+
+  const created = await app.request("POST", "/api/videos/batch", {
+    user: owner.id,
+    workspace: workspace.id,
+    body: { rows: rows(2) },
+  });
+  assert.equal(created.status, 200);
+  assert.equal(await workspaceBalanceOf(db.pool, workspace.id), 8);
+  const url = `/api/batches/${created.body.batch.id}`;
+
+  const seen = await app.request("GET", url, { user: viewer.id, workspace: workspace.id });
+  assert.equal(seen.status, 200);
+  assert.equal(seen.body.batch.total, 2);
+
+  // Outside the workspace it isn't anyone's personal batch
+  assert.equal((await app.request("GET", url, { user: owner.id })).status, 404);
+  assert.equal((await app.request("GET", url, { user: outsider.id, workspace: workspace.id })).status, 404);
+});
@@ -0,0 +1,164 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  startDb,
+  loadQueue,
+  stubProgress,
+  testAuth,
+  serve,
+  createUser,
+  createWorkspace,
+  balanceOf,
+  workspaceBalanceOf,
+  ledgerOf,
+} = require("./helpers");
+
+let db;
+let app;
+let payments;
+
+before(async () => {
+  db = await startDb();
+  loadQueue();
+  stubProgress();
+  payments = require("../services/providers").getProvider("payments", "fake");
+  const { makeBillingRouter } = require("../routes/billing");
+  const { makeWebhooksRouter } = require("../routes/webhooks");
+  app = await serve({
+    "/api/billing": makeBillingRouter(db.pool, testAuth),
+    "/api/webhooks": makeWebhooksRouter(db.pool),
+  });
+});
+
+after(async () => {
+  await app.close();
+  await db.stop();
+});
+
+// Start a checkout and return the purchase with the provider's checkout id
+async function checkout(user, packId, { workspace } = {}) {
+  const res = await app.request("POST", "/api/billing/checkout", { user: user.id, workspace, body: { packId } });
+  assert.equal(res.status, 201);
+  return { purchase: res.body.purchase, checkoutId: new URL(res.body.checkoutUrl).searchParams.get("checkout") };
+}
+
+// Deliver a webhook exactly as the provider would send it
+function deliver({ body, headers }) {
+  return app.request("POST", "/api/webhooks/payments", { body, headers });
+}
+
+async function purchaseOf(id) {
+  const r = await db.pool.query("SELECT * FROM token_purchases WHERE id = $1", [id]);
+  return r.rows[0];
+}
+
+test("a paid checkout credits the pack once, however often the event arrives", async () => {
+  const user = await createUser(db.pool, { tokens: 5 });
+  const { purchase, checkoutId } = await checkout(user, "starter");
+  assert.equal(purchase.status, "pending");
+  assert.equal(await balanceOf(db.pool, user.id), 5);
+
+  const paid = payments.signedEvent("payment_succeeded", { checkoutId });
+  const first = await deliver(paid);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.changed, true);
+
+  // The same event redelivered, and a second event for the same payment
+  const again = await deliver(paid);
+  const duplicate = await deliver(payments.signedEvent("payment_succeeded", { checkoutId }));
+  assert.equal(again.body.changed, false);
+  assert.equal(duplicate.body.changed, false);
+
+  assert.equal(await balanceOf(db.pool, user.id), 105);
+  assert.equal((await purchaseOf(purchase.id)).status, "paid");
+  const credits = await ledgerOf(db.pool, "user_id = $1 AND reason = 'PURCHASE'", [String(user.id)]);
+  assert.deepEqual(
+    credits.map((e) => [e.delta, e.idempotency_key]),
+    [[100, `purchase:${purchase.id}`]]
+  );
+});
+
+test("a refund takes the pack back once, even if it was spent", async () => {
+  const user = await createUser(db.pool);
+  const { purchase, checkoutId } = await checkout(user, "starter");
+  await deliver(payments.signedEvent("payment_succeeded", { checkoutId }));
+  await db.pool.query("UPDATE users SET tokens = tokens - 30 WHERE id = $1", [user.id]);
+
+  const refund = payments.signedEvent("payment_refunded", { checkoutId });
+  assert.equal((await deliver(refund)).body.status, "reversed");
+  assert.equal((await deliver(refund)).body.changed, false);
+
+  assert.equal(await balanceOf(db.pool, user.id), -30);
+  const row = await purchaseOf(purchase.id);
+  assert.equal(row.status, "reversed");
+  assert.equal(row.reversal_reason, "refund");
+  const reversals = await ledgerOf(db.pool, "user_id = $1 AND reason = 'PURCHASE_REVERSAL'", [String(user.id)]);
+  assert.deepEqual(
+    reversals.map((e) => e.delta),
+    [-100]
+  );
+
+  // A late payment event doesn't credit the reversed purchase again
+  await deliver(payments.signedEvent("payment_succeeded", { checkoutId }));
+  assert.equal(await balanceOf(db.pool, user.id), -30);
+});
+
+test("a refund that arrives before the payment event means the pack is never credited", async () => {
+  const user = await createUser(db.pool, { tokens: 5 });
+  const { purchase, checkoutId } = await checkout(user, "starter");
+
+  const refund = payments.signedEvent("payment_refunded", { checkoutId });
+  assert.equal((await deliver(refund)).body.changed, true);
+  assert.equal((await deliver(refund)).body.changed, false);
+  assert.equal((await purchaseOf(purchase.id)).status, "pending");
+
+  const paid = await deliver(payments.signedEvent("payment_succeeded", { checkoutId }));
+  assert.equal(paid.body.status, "reversed");
+  // Nor does the payment event redelivered, or the refund again
+  await deliver(payments.signedEvent("payment_succeeded", { checkoutId }));
+  assert.equal((await deliver(refund)).body.changed, false);
+
+  assert.equal(await balanceOf(db.pool, user.id), 5);
+  const row = await purchaseOf(purchase.id);
+  assert.equal(row.status, "reversed");
+  assert.equal(row.reversal_reason, "refund");
+  assert.deepEqual(await ledgerOf(db.pool, "user_id = $1", [String(user.id)]), []);
+});
+
+test("a workspace purchase credits and reverses the workspace's balance", async () => {
+  const admin = await createUser(db.pool, { tokens: 7 });
+  const editor = await createUser(db.pool);
+  const w = await createWorkspace(db.pool, { members: [[admin, "admin"], [editor, "editor"]] });
+
+  const denied = await app.request("POST", "/api/billing/checkout", {
+    user: editor.id,
+    workspace: w.id,
+    body: { packId: "creator" },
+  });
+  assert.equal(denied.status, 403);
+
+  const { checkoutId } = await checkout(admin, "creator", { workspace: w.id });
+  await deliver(payments.signedEvent("payment_succeeded", { checkoutId }));
+  assert.equal(await workspaceBalanceOf(db.pool, w.id), 500);
+  assert.equal(await balanceOf(db.pool, admin.id), 7);
+
+  const dispute = await deliver(payments.signedEvent("payment_disputed", { checkoutId }));
+  assert.equal(dispute.body.status, "reversed");
+  assert.equal(await workspaceBalanceOf(db.pool, w.id), 0);
+});
+
+test("webhooks with a bad signature or for unknown payments change nothing", async () => {
+  const user = await createUser(db.pool);
+  const { checkoutId } = await checkout(user, "starter");
+
+  const forged = payments.signedEvent("payment_succeeded", { checkoutId });
+  forged.headers["x-fake-signature"] = "t=1,v1=forged";
+  assert.equal((await deliver(forged)).status, 401);
+
+  const unknown = await deliver(payments.signedEvent("payment_succeeded", { checkoutId: "cs_fake_unknown" }));
+  assert.equal(unknown.status, 200);
+  assert.equal(unknown.body.changed, false);
+
+  assert.equal(await balanceOf(db.pool, user.id), 0);
+});
@@ -0,0 +1,15 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseBrandKit } = require("../services/brandKits");
+
+test("a brand kit's font is a plain font name", () => {
+  for (const fontFamily of ["Montserrat", "Open Sans", "Noto_Sans-Bold"]) {
+    assert.equal(parseBrandKit({ name: "Kit", fontFamily }).error, null);
+  }
+
+  // Each of these would end the drawtext font option or the ASS style field
+  for (const fontFamily of ["Sans':fontfile=/etc/passwd", "Sans,drawbox", "Sans;[0:v]", "Sans\\", "Sans:x=0"]) {
+    assert.match(parseBrandKit({ name: "Kit", fontFamily }).error, /^fontFamily may only contain/);
+  }
+});
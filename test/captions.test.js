@@ -0,0 +1,23 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { renderCaptions } = require("../services/captions");
+
+const dialogue = (body) => body.split("\n").filter((l) => l.startsWith("Dialogue:"));
+
+test("ASS captions keep braces and backslashes in the script as text", () => {
+  const cues = [{ start: 0, end: 2, lines: ["Use {\\b1} for bold", "C:\\new folder"] }];
+
+  const [event] = dialogue(renderCaptions(cues, "ass").body);
+  const text = event.split(",,0,0,0,,")[1];
+
+  assert.equal(text, "Use \\{\\\u2060b1\\} for bold\\NC:\\\u2060new folder");
+  assert.doesNotMatch(text.replace(/\\[{}]/g, ""), /[{}]/);
+});
+
+test("SRT and WebVTT captions are written as they are", () => {
+  const cues = [{ start: 0, end: 2, lines: ["Use {braces}"] }];
+
+  assert.match(renderCaptions(cues, "srt").body, /^Use \{braces\}$/m);
+  assert.match(renderCaptions(cues, "vtt").body, /^Use \{braces\}$/m);
+});
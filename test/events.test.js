@@ -0,0 +1,91 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startDb, loadQueue, stubProgress, testAuth, serve, createUser } = require("./helpers");
+
+let db;
+let progress;
+let app;
+
+before(async () => {
+  db = await startDb();
+  loadQueue();
+  progress = stubProgress();
+  const makeVideoRouter = require("../routes/video");
+  app = await serve({ "/api/videos": makeVideoRouter(db.pool, testAuth, null) });
+});
+
+after(async () => {
+  await app.close();
+  await db.stop();
+});
+
+async function insertVideo(user, status) {
+  const r = await db.pool.query(
+    "INSERT INTO videos (user_id, topic, style, duration, status) VALUES ($1, 'Tides', 'minimal', 30, $2) RETURNING *",
+    [user.id, status]
+  );
+  return r.rows[0];
+}
+
+async function eventually(check) {
+  for (let i = 0; i < 100; i++) {
+    if (await check()) return true;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return false;
+}
+
+function openStream(video, user) {
+  const controller = new AbortController();
+  const response = fetch(`${app.base}/api/videos/${video.id}/events`, {
+    headers: { "x-test-user": String(user.id) },
+    signal: controller.signal,
+  });
+  return { response, abort: () => controller.abort() };
+}
+
+test("a client that leaves while subscribing doesn't leave a listener behind", async () => {
+  const user = await createUser(db.pool);
+  const video = await insertVideo(user, "processing");
+
+  const release = progress.holdSubscribe();
+  const subscribed = progress.subscriptions;
+  const stream = openStream(video, user);
+  await stream.response;
+  stream.abort();
+  // Let the server see the disconnect before the subscription completes
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  release();
+
+  assert.ok(await eventually(() => progress.subscriptions === subscribed + 1));
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(progress.listenerCount(video.id), 0);
+});
+
+test("an open stream unsubscribes when the client leaves", async () => {
+  const user = await createUser(db.pool);
+  const video = await insertVideo(user, "processing");
+
+  const stream = openStream(video, user);
+  await stream.response;
+  assert.ok(await eventually(() => progress.listenerCount(video.id) === 1));
+
+  stream.abort();
+  assert.ok(await eventually(() => progress.listenerCount(video.id) === 0));
+});
+
+test("a stream opened after approving a draft doesn't end on the old draft event", async () => {
+  const user = await createUser(db.pool, { tokens: 20 });
+  const video = await insertVideo(user, "draft");
+  await progress.publishProgress(video.id, { status: "draft" });
+
+  const approved = await app.request("POST", `/api/videos/${video.id}/approve`, { user: user.id });
+  assert.equal(approved.status, 200);
+
+  const stream = openStream(video, user);
+  await stream.response;
+  assert.ok(await eventually(() => progress.listenerCount(video.id) === 1));
+  assert.equal((await progress.getLastProgress(video.id)).status, "queued");
+  stream.abort();
+});
@@ -0,0 +1,188 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const ADMIN_ID = 424242;
+process.env.ADMIN_USER_IDS = String(ADMIN_ID);
+
+const { startDb, testAuth, serve, createUser, balanceOf, ledgerOf } = require("./helpers");
+
+let db;
+let app;
+let reconcileBalances;
+// Accounts from before migration 017
+let legacy;
+
+before(async () => {
+  db = await startDb({ upTo: "016" });
+
+  // 50 tokens granted without a ledger entry, then a 6-token video
+  const spender = await createUser(db.pool, { tokens: 44 });
+  await db.pool.query("UPDATE users SET created_at = '2024-01-01T00:00:00Z' WHERE id = $1", [spender.id]);
+  const v = await db.pool.query(
+    `INSERT INTO videos (user_id, topic, status, created_at)
+     VALUES ($1, 'Old video', 'completed', '2024-03-01T00:00:00Z') RETURNING id`,
+    [spender.id]
+  );
+  await db.pool.query(
+    `INSERT INTO token_ledger (user_id, delta, reason, video_id, idempotency_key)
+     VALUES ($1, -6, 'GENERATE_VIDEO', $2, $3)`,
+    [String(spender.id), String(v.rows[0].id), `gen:${v.rows[0].id}`]
+  );
+  const untouched = await createUser(db.pool, { tokens: 0 });
+  legacy = { spender, untouched, videoId: String(v.rows[0].id) };
+
+  await db.migrate();
+
+  ({ reconcileBalances } = require("../services/ledger"));
+  const { makeTokensRouter } = require("../routes/tokens");
+  app = await serve({ "/api/tokens": makeTokensRouter(db.pool, testAuth) });
+});
+
+after(async () => {
+  await app.close();
+  await db.stop();
+});
+
+async function record(user, delta, { reason = "GENERATE_VIDEO", createdAt = null } = {}) {
+  await db.pool.query(
+    `INSERT INTO token_ledger (user_id, delta, reason, idempotency_key, created_at)
+     VALUES ($1, $2, $3, $4, COALESCE($5, NOW()))`,
+    [String(user.id), delta, reason, `test:${Math.random().toString(36).slice(2)}`, createdAt]
+  );
+  await db.pool.query("UPDATE users SET tokens = tokens + $2 WHERE id = $1", [user.id, delta]);
+}
+
+test("migration 017 dates old entries from their video and opens unexplained balances", async () => {
+  const { spender, untouched, videoId } = legacy;
+
+  const [charge] = await ledgerOf(db.pool, "video_id = $1", [videoId]);
+  assert.equal(charge.created_at.toISOString(), "2024-03-01T00:00:00.000Z");
+
+  const [opening] = await ledgerOf(db.pool, "user_id = $1 AND reason = 'OPENING_BALANCE'", [String(spender.id)]);
+  assert.equal(opening.delta, 50);
+  assert.equal(opening.created_at.toISOString(), "2024-01-01T00:00:00.000Z");
+  assert.equal(await balanceOf(db.pool, spender.id), 44);
+
+  assert.deepEqual(await ledgerOf(db.pool, "user_id = $1", [String(untouched.id)]), []);
+
+  const res = await app.request("GET", "/api/tokens/summary", { user: spender.id });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.summary.inSync, true);
+  assert.equal(res.body.summary.ledgerBalance, 44);
+});
+
+test("applying migration 017 again leaves the ledger alone", async () => {
+  const before = await ledgerOf(db.pool, "TRUE", []);
+  await db.pool.query(fs.readFileSync(path.join(__dirname, "..", "migrations", "017_ledger_history.sql"), "utf8"));
+  assert.deepEqual(await ledgerOf(db.pool, "TRUE", []), before);
+});
+
+test("ledger pages walk every entry newest first without repeats", async () => {
+  const user = await createUser(db.pool, { tokens: 0 });
+  // Two pairs share a timestamp, so pages have to break ties by id
+  const at = [
+    "2025-01-01T00:00:00Z",
+    "2025-01-02T00:00:00Z",
+    "2025-01-02T00:00:00Z",
+    "2025-01-03T00:00:00Z",
+    "2025-01-03T00:00:00Z",
+  ];
+  for (const [i, createdAt] of at.entries()) await record(user, i + 1, { reason: "PURCHASE", createdAt });
+
+  const seen = [];
+  let cursor = null;
+  do {
+    const res = await app.request("GET", `/api/tokens/ledger?limit=2${cursor ? `&cursor=${cursor}` : ""}`, {
+      user: user.id,
+    });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.entries.length <= 2);
+    seen.push(...res.body.entries);
+    cursor = res.body.nextCursor;
+  } while (cursor);
+
+  assert.equal(seen.length, 5);
+  assert.equal(new Set(seen.map((e) => e.id)).size, 5);
+  const times = seen.map((e) => Date.parse(e.createdAt));
+  assert.deepEqual(times, [...times].sort((a, b) => b - a));
+});
+
+test("ledger pages keep entries apart that are microseconds apart", async () => {
+  const user = await createUser(db.pool, { tokens: 0 });
+  // All in the same millisecond, which is all a JS Date keeps
+  const at = ["2025-02-01T00:00:00.000001Z", "2025-02-01T00:00:00.000002Z", "2025-02-01T00:00:00.000003Z"];
+  for (const [i, createdAt] of at.entries()) await record(user, i + 1, { reason: "PURCHASE", createdAt });
+
+  const seen = [];
+  let cursor = null;
+  do {
+    const res = await app.request("GET", `/api/tokens/ledger?limit=1${cursor ? `&cursor=${cursor}` : ""}`, {
+      user: user.id,
+    });
+    assert.equal(res.status, 200);
+    seen.push(...res.body.entries);
+    cursor = res.body.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(
+    seen.map((e) => e.delta),
+    [3, 2, 1]
+  );
+});
+
+test("the ledger rejects a bad cursor and filters by reason", async () => {
+  const user = await createUser(db.pool, { tokens: 0 });
+  await record(user, 10, { reason: "PURCHASE" });
+  await record(user, -6);
+
+  const bad = await app.request("GET", "/api/tokens/ledger?cursor=nope", { user: user.id });
+  assert.equal(bad.status, 400);
+
+  const res = await app.request("GET", "/api/tokens/ledger?reason=generate_video", { user: user.id });
+  assert.deepEqual(
+    res.body.entries.map((e) => [e.reason, e.delta]),
+    [["GENERATE_VIDEO", -6]]
+  );
+});
+
+test("reconciliation reports drift and adjust_ledger explains it without moving the balance", async () => {
+  const user = await createUser(db.pool, { tokens: 0 });
+  await record(user, 10, { reason: "PURCHASE" });
+  await db.pool.query("UPDATE users SET tokens = 13 WHERE id = $1", [user.id]);
+
+  const summary = await app.request("GET", "/api/tokens/summary", { user: user.id });
+  assert.equal(summary.body.summary.inSync, false);
+
+  const denied = await app.request("POST", "/api/tokens/reconcile", { user: user.id, body: { mode: "report" } });
+  assert.equal(denied.status, 403);
+
+  const report = await app.request("POST", "/api/tokens/reconcile", { user: ADMIN_ID, body: { mode: "report" } });
+  assert.equal(report.status, 200);
+  assert.deepEqual(
+    report.body.drift.map((d) => [d.account, d.drift, d.repaired]),
+    [[{ userId: String(user.id) }, 3, false]]
+  );
+
+  const adjusted = await app.request("POST", "/api/tokens/reconcile", {
+    user: ADMIN_ID,
+    body: { mode: "adjust_ledger" },
+  });
+  assert.equal(adjusted.body.drift[0].repaired, true);
+  assert.equal(await balanceOf(db.pool, user.id), 13);
+  const [entry] = await ledgerOf(db.pool, "user_id = $1 AND reason = 'RECONCILIATION'", [String(user.id)]);
+  assert.equal(entry.delta, 3);
+
+  assert.deepEqual(await reconcileBalances(db.pool), []);
+});
+
+test("reset_balance sets the cached balance to the ledger sum", async () => {
+  const user = await createUser(db.pool, { tokens: 0 });
+  await record(user, 10, { reason: "PURCHASE" });
+  await db.pool.query("UPDATE users SET tokens = 4 WHERE id = $1", [user.id]);
+
+  const [drift] = await reconcileBalances(db.pool, { mode: "reset_balance" });
+  assert.equal(drift.drift, -6);
+  assert.equal(await balanceOf(db.pool, user.id), 10);
+});
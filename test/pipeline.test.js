@@ -0,0 +1,303 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startDb, loadQueue, stubProgress, testAuth, serve, createUser, balanceOf } = require("./helpers");
+
+let db;
+let queue;
+let app;
+let VideoGenerator;
+let getProvider;
+
+before(async () => {
+  db = await startDb();
+  queue = loadQueue();
+  stubProgress();
+  VideoGenerator = require("../services/videoGenerator");
+  ({ getProvider } = require("../services/providers"));
+  const makeVideoRouter = require("../routes/video");
+  app = await serve({ "/api/videos": makeVideoRouter(db.pool, testAuth, null) });
+});
+
+after(async () => {
+  await app.close();
+  await db.stop();
+});
+
+beforeEach(() => queue.videoQueue.reset());
+
+// Fake image provider that counts what it's asked for
+function countingImages() {
+  const fake = getProvider("image", "fake");
+  const prompts = [];
+  return {
+    prompts,
+    generate: async (opts) => {
+      prompts.push(opts.prompt);
+      return fake.generate(opts);
+    },
+  };
+}
+
+async function insertVideo(user, { status = "queued", stageOutputs = {} } = {}) {
+  const r = await db.pool.query(
+    `INSERT INTO videos (user_id, topic, style, duration, status, stage_outputs)
+     VALUES ($1, 'Octopus camouflage', 'cinematic', 30, $2, $3) RETURNING *`,
+    [user.id, status, JSON.stringify(stageOutputs)]
+  );
+  return r.rows[0];
+}
+
+async function outputsOf(videoId) {
+  const r = await db.pool.query("SELECT status, video_url, stage_outputs FROM videos WHERE id = $1", [videoId]);
+  return r.rows[0];
+}
+
+async function rowOf(videoId) {
+  const r = await db.pool.query("SELECT * FROM videos WHERE id = $1", [videoId]);
+  return r.rows[0];
+}
+
+test("a run completes and leaves no partial image checkpoint", async () => {
+  const user = await createUser(db.pool);
+  const video = await insertVideo(user);
+
+  const { videoUrl } = await new VideoGenerator().generateFromVideoRow(video, { pool: db.pool });
+
+  const row = await outputsOf(video.id);
+  assert.equal(row.status, "completed");
+  assert.equal(row.video_url, videoUrl);
+  assert.ok(Array.isArray(row.stage_outputs.images));
+  assert.equal(row.stage_outputs.images_partial, undefined);
+});
+
+test("a retried images stage only makes the images still missing", async () => {
+  const user = await createUser(db.pool);
+  const first = await insertVideo(user);
+  const vg = new VideoGenerator();
+  await vg.generateFromVideoRow(first, { pool: db.pool, draft: true });
+
+  // An earlier attempt finished scene 1's image before it was interrupted
+  const { stage_outputs: drafted } = await outputsOf(first.id);
+  const saved = { imageUrl: "https://images.test/scene-1.png" };
+  const video = await insertVideo(user, {
+    stageOutputs: { script: drafted.script, scenes: drafted.scenes, images_partial: { 0: saved } },
+  });
+
+  const images = countingImages();
+  await new VideoGenerator({ image: images }).generateFromVideoRow(video, { pool: db.pool });
+
+  const { stage_outputs: outputs } = await outputsOf(video.id);
+  assert.equal(images.prompts.length, drafted.scenes.length - 1);
+  assert.ok(!images.prompts.includes(drafted.scenes[0].imagePrompt));
+  assert.equal(outputs.images[0].imageUrl, saved.imageUrl);
+  assert.equal(outputs.images_partial, undefined);
+});
+
+test("each scene's images are checkpointed as they finish", async () => {
+  const user = await createUser(db.pool);
+  const video = await insertVideo(user);
+  const vg = new VideoGenerator();
+  await vg.generateFromVideoRow(video, { pool: db.pool, draft: true });
+  const { stage_outputs: drafted } = await outputsOf(video.id);
+
+  // The worker dies right after scene 1's images are saved
+  const crashing = new VideoGenerator();
+  const generateImages = crashing.generateImages.bind(crashing);
+  crashing.generateImages = (scenes, style, opts) =>
+    generateImages(scenes, style, {
+      ...opts,
+      onImage: async (index, image) => {
+        await opts.onImage(index, image);
+        if (index === 0) throw new Error("worker lost");
+      },
+    });
+
+  await db.pool.query("UPDATE videos SET status = 'processing' WHERE id = $1", [video.id]);
+  await assert.rejects(crashing.generateFromVideoRow(await rowOf(video.id), { pool: db.pool }), /worker lost/);
+
+  const { stage_outputs: outputs } = await outputsOf(video.id);
+  assert.equal(outputs.images, undefined);
+  assert.ok(outputs.images_partial["0"].imageUrl);
+});
+
+test("a video cancelled during the last stage is not marked completed", async () => {
+  const user = await createUser(db.pool);
+  const video = await insertVideo(user);
+
+  const vg = new VideoGenerator();
+  const upload = vg.uploadFinalVideo.bind(vg);
+  vg.uploadFinalVideo = async (url) => {
+    await db.pool.query("UPDATE videos SET status = 'cancelled' WHERE id = $1", [video.id]);
+    return upload(url);
+  };
+
+  const { PipelineCancelledError } = require("../services/errors");
+  await assert.rejects(vg.generateFromVideoRow(video, { pool: db.pool }), PipelineCancelledError);
+
+  const row = await outputsOf(video.id);
+  assert.equal(row.status, "cancelled");
+  assert.equal(row.video_url, null);
+});
+
+test("rerun charges the stages' share and queues them with their dependents", async () => {
+  const user = await createUser(db.pool, { tokens: 50 });
+  const video = await insertVideo(user, { status: "completed", stageOutputs: { script: {}, images: [] } });
+  await db.pool.query("UPDATE videos SET video_url = 'https://videos.test/v.mp4' WHERE id = $1", [video.id]);
+
+  const res = await app.request("POST", `/api/videos/${video.id}/rerun`, {
+    user: user.id,
+    body: { stages: ["voiceover"] },
+  });
+
+  // cinematic 30s costs 8: voiceover .15 + render .3 + upload .05 = .5
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.stages, ["voiceover", "render", "upload", "renditions"]);
+  assert.equal(res.body.tokensUsed, 4);
+  assert.equal(await balanceOf(db.pool, user.id), 46);
+
+  const [job] = queue.videoQueue.added;
+  assert.equal(job.name, "rerun_stages");
+  assert.deepEqual(job.data.forceStages, ["voiceover"]);
+  assert.match(job.data.ledgerKey, new RegExp(`^rerun:${video.id}:`));
+  assert.equal((await outputsOf(video.id)).status, "queued");
+});
+
+test("rerun rejects unknown stages and unfinished videos", async () => {
+  const user = await createUser(db.pool, { tokens: 50 });
+  const video = await insertVideo(user, { status: "processing" });
+
+  const bad = await app.request("POST", `/api/videos/${video.id}/rerun`, {
+    user: user.id,
+    body: { stages: ["thumbnails"] },
+  });
+  assert.equal(bad.status, 400);
+
+  const busy = await app.request("POST", `/api/videos/${video.id}/rerun`, {
+    user: user.id,
+    body: { stages: ["images"] },
+  });
+  assert.equal(busy.status, 409);
+  assert.equal(await balanceOf(db.pool, user.id), 50);
+});
+
+test("rerun returns the charge when the job can't be queued", async () => {
+  const user = await createUser(db.pool, { tokens: 50 });
+  const video = await insertVideo(user, { status: "completed" });
+  queue.videoQueue.failNextAdd();
+
+  const res = await app.request("POST", `/api/videos/${video.id}/rerun`, {
+    user: user.id,
+    body: { stages: ["render"] },
+  });
+
+  assert.equal(res.status, 503);
+  assert.equal(await balanceOf(db.pool, user.id), 50);
+  assert.equal((await outputsOf(video.id)).status, "completed");
+});
+
+test("forced stages drop their checkpoints, partial ones included", async () => {
+  const user = await createUser(db.pool);
+  const video = await insertVideo(user, {
+    status: "completed",
+    stageOutputs: { script: {}, scenes: [], images: [], images_partial: { 0: {} }, voiceover: {}, render: "r" },
+  });
+
+  const Pipeline = require("../services/pipeline");
+  const dropped = await new Pipeline({ pool: db.pool }).resetStages(video.id, ["images"]);
+
+  assert.deepEqual(dropped, ["images", "render", "upload", "renditions"]);
+  const { stage_outputs: outputs } = await outputsOf(video.id);
+  assert.deepEqual(Object.keys(outputs).sort(), ["scenes", "script", "voiceover"]);
+});
+
+test("a failed image fails the stage instead of leaving a placeholder", async () => {
+  const user = await createUser(db.pool);
+  const video = await insertVideo(user);
+  await new VideoGenerator().generateFromVideoRow(video, { pool: db.pool, draft: true });
+  const { stage_outputs: drafted } = await outputsOf(video.id);
+
+  const fake = getProvider("image", "fake");
+  const failing = {
+    generate: async (opts) => {
+      if (opts.prompt !== drafted.scenes[1].imagePrompt) return fake.generate(opts);
+      // Let the other scenes finish first
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      throw new Error("image provider down");
+    },
+  };
+
+  await db.pool.query("UPDATE videos SET status = 'processing' WHERE id = $1", [video.id]);
+  await assert.rejects(
+    new VideoGenerator({ image: failing }).generateFromVideoRow(await rowOf(video.id), { pool: db.pool }),
+    /image provider down/
+  );
+
+  const { stage_outputs: outputs } = await outputsOf(video.id);
+  assert.equal(outputs.images, undefined);
+  const saved = Object.keys(outputs.images_partial).map(Number);
+  assert.deepEqual(
+    saved.sort((a, b) => a - b),
+    drafted.scenes.map((_, i) => i).filter((i) => i !== 1)
+  );
+});
+
+// The fake renderer, counting renders and reporting whether a finished
+// render's output is still there the way local renderers do
+function localRenderer({ exists }) {
+  const render = getProvider("render", "fake");
+  const submit = render.submit.bind(render);
+  const submitted = [];
+  render.submit = async (composition) => {
+    submitted.push(composition);
+    return submit(composition);
+  };
+  render.exists = async () => exists;
+  return {
+    submitted,
+    restore: () => {
+      delete render.submit;
+      delete render.exists;
+    },
+  };
+}
+
+// A video resumed at upload, with its render checkpoint
+async function resumedAtUpload(user) {
+  const first = await insertVideo(user);
+  await new VideoGenerator().generateFromVideoRow(first, { pool: db.pool });
+  const { stage_outputs: outputs } = await outputsOf(first.id);
+  delete outputs.upload;
+  delete outputs.renditions;
+  return insertVideo(user, { stageOutputs: outputs });
+}
+
+test("a render whose output is gone from this worker is rendered again", async () => {
+  const user = await createUser(db.pool);
+  const video = await resumedAtUpload(user);
+
+  const render = localRenderer({ exists: false });
+  try {
+    await new VideoGenerator().generateFromVideoRow(video, { pool: db.pool });
+  } finally {
+    render.restore();
+  }
+
+  assert.equal(render.submitted.length, 1);
+  assert.equal((await outputsOf(video.id)).status, "completed");
+});
+
+test("a render whose output is still there is uploaded without rendering again", async () => {
+  const user = await createUser(db.pool);
+  const video = await resumedAtUpload(user);
+
+  const render = localRenderer({ exists: true });
+  try {
+    await new VideoGenerator().generateFromVideoRow(video, { pool: db.pool });
+  } finally {
+    render.restore();
+  }
+
+  assert.equal(render.submitted.length, 0);
+  assert.equal((await outputsOf(video.id)).status, "completed");
+});
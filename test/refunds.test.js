@@ -0,0 +1,129 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startDb, loadQueue, stubProgress, testAuth, serve, createUser, balanceOf, ledgerOf } = require("./helpers");
+
+let db;
+let queue;
+let tokens;
+let app;
+
+before(async () => {
+  db = await startDb();
+  queue = loadQueue();
+  stubProgress();
+  tokens = require("../services/tokens");
+  const makeVideoRouter = require("../routes/video");
+  app = await serve({ "/api/videos": makeVideoRouter(db.pool, testAuth, null) });
+});
+
+after(async () => {
+  await app.close();
+  await db.stop();
+});
+
+beforeEach(() => queue.videoQueue.reset());
+
+// A video charged `cost` tokens, as POST /generate leaves it
+async function chargedVideo(user, cost, { status = "processing", stageOutputs = {} } = {}) {
+  const v = await db.pool.query(
+    `INSERT INTO videos (user_id, topic, style, duration, status, stage_outputs)
+     VALUES ($1, 'Refund test', 'cinematic', 30, $2, $3) RETURNING *`,
+    [user.id, status, JSON.stringify(stageOutputs)]
+  );
+  const video = v.rows[0];
+  await db.pool.query(
+    `INSERT INTO token_ledger (user_id, delta, reason, video_id, idempotency_key)
+     VALUES ($1, $2, 'GENERATE_VIDEO', $3, $4)`,
+    [String(user.id), -cost, String(video.id), `gen:${video.id}`]
+  );
+  return video;
+}
+
+test("a full refund credits the whole charge once", async () => {
+  const user = await createUser(db.pool, { tokens: 0 });
+  const video = await chargedVideo(user, 20);
+
+  assert.equal(await tokens.refundVideo(db.pool, video.id, { policy: "full" }), 20);
+  assert.equal(await tokens.refundVideo(db.pool, video.id, { policy: "full" }), 0);
+
+  assert.equal(await balanceOf(db.pool, user.id), 20);
+  const refunds = await ledgerOf(db.pool, "video_id = $1 AND reason = 'REFUND'", [String(video.id)]);
+  assert.equal(refunds.length, 1);
+  assert.equal(refunds[0].idempotency_key, `refund:${video.id}`);
+});
+
+test("completed_stages keeps the share of stages that finished", async () => {
+  const user = await createUser(db.pool, { tokens: 0 });
+  // script (10%) and images (35%) are done
+  const video = await chargedVideo(user, 100, { stageOutputs: { script: {}, images: [] } });
+
+  assert.equal(await tokens.refundVideo(db.pool, video.id, { policy: "completed_stages" }), 55);
+  assert.equal(await balanceOf(db.pool, user.id), 55);
+});
+
+test("completed_stages doesn't keep a localized version's share of stages it reused", async () => {
+  const user = await createUser(db.pool, { tokens: 0 });
+  // scenes and images were copied from the parent and never charged, so the
+  // charge is the other 60% of the price and the finished script a sixth of it
+  const video = await chargedVideo(user, 60, { stageOutputs: { script: {}, scenes: [], images: [] } });
+  await db.pool.query("UPDATE videos SET parent_video_id = '1' WHERE id = $1", [video.id]);
+
+  assert.equal(await tokens.refundVideo(db.pool, video.id, { policy: "completed_stages" }), 50);
+  assert.equal(await balanceOf(db.pool, user.id), 50);
+});
+
+test("the none policy refunds nothing", async () => {
+  const user = await createUser(db.pool, { tokens: 0 });
+  const video = await chargedVideo(user, 20);
+
+  assert.equal(await tokens.refundVideo(db.pool, video.id, { policy: "none" }), 0);
+  assert.equal(await balanceOf(db.pool, user.id), 0);
+});
+
+test("chargeKeys limits the refund to one charge", async () => {
+  const user = await createUser(db.pool, { tokens: 0 });
+  const video = await chargedVideo(user, 20, { status: "completed" });
+  await db.pool.query(
+    `INSERT INTO token_ledger (user_id, delta, reason, video_id, idempotency_key)
+     VALUES ($1, -3, 'REGENERATE_SCENE', $2, 'regen:key')`,
+    [String(user.id), String(video.id)]
+  );
+
+  const refunded = await tokens.refundVideo(db.pool, video.id, {
+    chargeReasons: ["REGENERATE_SCENE"],
+    chargeKeys: ["regen:key"],
+    idempotencyKey: "refund:regen:key",
+  });
+  assert.equal(refunded, 3);
+  assert.equal(await balanceOf(db.pool, user.id), 3);
+});
+
+test("a workspace video is refunded to the workspace", async () => {
+  const user = await createUser(db.pool, { tokens: 0 });
+  const w = await db.pool.query(
+    "INSERT INTO workspaces (name, created_by, tokens) VALUES ('Refunds', $1, 0) RETURNING id",
+    [String(user.id)]
+  );
+  const video = await chargedVideo(user, 20);
+  await db.pool.query("UPDATE videos SET workspace_id = $2 WHERE id = $1", [video.id, w.rows[0].id]);
+
+  assert.equal(await tokens.refundVideo(db.pool, video.id, { policy: "full" }), 20);
+
+  const ws = await db.pool.query("SELECT tokens FROM workspaces WHERE id = $1", [w.rows[0].id]);
+  assert.equal(ws.rows[0].tokens, 20);
+  assert.equal(await balanceOf(db.pool, user.id), 0);
+});
+
+test("cancelling a queued video refunds the stages that never ran", async () => {
+  const user = await createUser(db.pool, { tokens: 0 });
+  const video = await chargedVideo(user, 100, { status: "queued", stageOutputs: { script: {} } });
+  await queue.enqueueGeneration(video);
+
+  const res = await app.request("POST", `/api/videos/${video.id}/cancel`, { user: user.id });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.tokensRefunded, 90);
+  assert.equal(await balanceOf(db.pool, user.id), 90);
+  assert.equal(await queue.videoQueue.getJob(queue.videoJobId(video.id)), null);
+});
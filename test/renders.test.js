@@ -0,0 +1,65 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startDb, loadQueue, stubProgress, createUser } = require("./helpers");
+
+let db;
+let queue;
+let renders;
+let getProvider;
+
+before(async () => {
+  db = await startDb();
+  queue = loadQueue();
+  stubProgress();
+  renders = require("../services/renders");
+  ({ getProvider } = require("../services/providers"));
+});
+
+after(async () => {
+  await db.stop();
+});
+
+beforeEach(() => queue.videoQueue.reset());
+
+// A video whose render was handed off by its (still queued) generation job
+async function handedOff(user) {
+  const { id: renderId } = await getProvider("render", "fake").submit({ elements: [], duration: 30, n: Math.random() });
+  const r = await db.pool.query(
+    `INSERT INTO videos (user_id, topic, style, duration, status, render_id, render_pending_since)
+     VALUES ($1, 'Glaciers', 'minimal', 30, 'processing', $2, NOW()) RETURNING *`,
+    [user.id, renderId]
+  );
+  const video = r.rows[0];
+  await queue.enqueueGeneration(video);
+  return video;
+}
+
+test("a finished render queues the resume even while the first job is still there", async () => {
+  const user = await createUser(db.pool);
+  const video = await handedOff(user);
+
+  const result = await renders.settleRender(db.pool, video.id, { renderId: video.render_id });
+
+  assert.deepEqual(result, { settled: true, status: "succeeded" });
+  const resume = await queue.videoQueue.getJob(`video-${video.id}-resume-${video.render_id}`);
+  assert.ok(resume);
+  assert.equal(resume.name, "generate_video");
+
+  const row = (await db.pool.query("SELECT render_pending_since, stage_outputs FROM videos WHERE id = $1", [video.id])).rows[0];
+  assert.equal(row.render_pending_since, null);
+  assert.ok(row.stage_outputs.render);
+});
+
+test("settling the same render twice queues one resume", async () => {
+  const user = await createUser(db.pool);
+  const video = await handedOff(user);
+
+  await Promise.all([
+    renders.settleRender(db.pool, video.id, { renderId: video.render_id }),
+    renders.settleRender(db.pool, video.id),
+  ]);
+
+  const resumes = queue.videoQueue.added.filter((job) => job.id.includes("-resume-"));
+  assert.equal(resumes.length, 1);
+});
@@ -0,0 +1,272 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  startDb,
+  loadQueue,
+  stubProgress,
+  testAuth,
+  serve,
+  createUser,
+  createWorkspace,
+  balanceOf,
+  workspaceBalanceOf,
+  ledgerOf,
+} = require("./helpers");
+
+let db;
+let queue;
+let app;
+
+before(async () => {
+  db = await startDb();
+  queue = loadQueue();
+  stubProgress();
+  const makeVideoRouter = require("../routes/video");
+  app = await serve({ "/api/videos": makeVideoRouter(db.pool, testAuth, null) });
+});
+
+after(async () => {
+  await app.close();
+  await db.stop();
+});
+
+beforeEach(() => queue.videoQueue.reset());
+
+async function insertVideo(user, status, stageOutputs = {}) {
+  const r = await db.pool.query(
+    `INSERT INTO videos (user_id, topic, style, duration, status, stage_outputs)
+     VALUES ($1, 'Coral reefs', 'minimal', 30, $2, $3) RETURNING *`,
+    [user.id, status, JSON.stringify(stageOutputs)]
+  );
+  return r.rows[0];
+}
+
+async function moderationLogFor(videoId) {
+  const r = await db.pool.query("SELECT * FROM moderation_log WHERE video_id = $1", [String(videoId)]);
+  return r.rows;
+}
+
+test("someone else's script edit is not moderated or logged", async () => {
+  const owner = await createUser(db.pool);
+  const other = await createUser(db.pool);
+  const video = await insertVideo(owner, "draft");
+
+  const res = await app.request("PATCH", `/api/videos/${video.id}/script`, {
+    user: other.id,
+    body: { hook: "Something [unsafe]" },
+  });
+
+  assert.equal(res.status, 404);
+  assert.deepEqual(await moderationLogFor(video.id), []);
+});
+
+test("someone else's scene regeneration is not moderated or logged", async () => {
+  const owner = await createUser(db.pool);
+  const other = await createUser(db.pool, { tokens: 20 });
+  const video = await insertVideo(owner, "completed");
+
+  const res = await app.request("POST", `/api/videos/${video.id}/scenes/1/regenerate`, {
+    user: other.id,
+    body: { narration: "Something else entirely" },
+  });
+
+  assert.equal(res.status, 404);
+  assert.deepEqual(await moderationLogFor(video.id), []);
+});
+
+test("a scene regeneration that can't be queued puts the video back and refunds it", async () => {
+  const user = await createUser(db.pool, { tokens: 20 });
+  const video = await insertVideo(user, "completed", { images: [{ imageUrl: "https://images.test/1.png" }] });
+  queue.videoQueue.failNextAdd();
+
+  const res = await app.request("POST", `/api/videos/${video.id}/scenes/1/regenerate`, {
+    user: user.id,
+    body: { narration: "A calmer line for the first scene" },
+  });
+
+  assert.equal(res.status, 503);
+  assert.equal(await balanceOf(db.pool, user.id), 20);
+  const row = await db.pool.query("SELECT status FROM videos WHERE id = $1", [video.id]);
+  assert.equal(row.rows[0].status, "completed");
+  const refunds = await ledgerOf(db.pool, "video_id = $1 AND reason = 'REFUND'", [String(video.id)]);
+  assert.equal(refunds.length, 1);
+  assert.match(refunds[0].idempotency_key, /^refund:/);
+});
+
+test("the owner's script edit is still moderated", async () => {
+  const owner = await createUser(db.pool);
+  const video = await insertVideo(owner, "draft");
+
+  const res = await app.request("PATCH", `/api/videos/${video.id}/script`, {
+    user: owner.id,
+    body: { hook: "Something [unsafe]" },
+  });
+
+  assert.equal(res.status, 422);
+  assert.equal((await moderationLogFor(video.id)).length, 1);
+});
+
+// cinematic + 30s costs 8
+const GENERATE = { topic: "How bees dance", visualStyle: "cinematic", duration: 30 };
+
+test("generate charges the balance once and queues the video", async () => {
+  const user = await createUser(db.pool, { tokens: 10 });
+
+  const res = await app.request("POST", "/api/videos/generate", { user: user.id, body: GENERATE });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.tokensUsed, 8);
+  assert.equal(await balanceOf(db.pool, user.id), 2);
+  const ledger = await ledgerOf(db.pool, "video_id = $1", [String(res.body.video.id)]);
+  assert.deepEqual(ledger.map((l) => [l.reason, l.delta]), [["GENERATE_VIDEO", -8]]);
+  assert.ok(await queue.videoQueue.getJob(`video-${res.body.video.id}`));
+});
+
+test("generate refuses a balance that can't cover it", async () => {
+  const user = await createUser(db.pool, { tokens: 7 });
+
+  const res = await app.request("POST", "/api/videos/generate", { user: user.id, body: GENERATE });
+
+  assert.equal(res.status, 402);
+  assert.equal(res.body.required, 8);
+  assert.equal(await balanceOf(db.pool, user.id), 7);
+});
+
+test("a retried Idempotency-Key replays the first response without charging again", async () => {
+  const user = await createUser(db.pool, { tokens: 20 });
+  const headers = { "Idempotency-Key": "retry-me" };
+
+  const first = await app.request("POST", "/api/videos/generate", { user: user.id, body: GENERATE, headers });
+  const again = await app.request("POST", "/api/videos/generate", { user: user.id, body: GENERATE, headers });
+  const other = await app.request("POST", "/api/videos/generate", {
+    user: user.id,
+    body: { ...GENERATE, topic: "Something else" },
+    headers,
+  });
+
+  assert.equal(again.status, 200);
+  assert.deepEqual(again.body, first.body);
+  assert.equal(other.status, 409);
+  assert.equal(await balanceOf(db.pool, user.id), 12);
+  assert.equal(queue.videoQueue.added.length, 1);
+});
+
+test("a video that can't be queued is failed and refunded, and its key can be retried", async () => {
+  const user = await createUser(db.pool, { tokens: 10 });
+  const headers = { "Idempotency-Key": "enqueue-fails" };
+  queue.videoQueue.failNextAdd();
+
+  const failed = await app.request("POST", "/api/videos/generate", { user: user.id, body: GENERATE, headers });
+
+  assert.equal(failed.status, 503);
+  assert.equal(failed.body.tokensRefunded, 8);
+  assert.equal(await balanceOf(db.pool, user.id), 10);
+  const row = await db.pool.query("SELECT status FROM videos WHERE id = $1", [failed.body.video.id]);
+  assert.equal(row.rows[0].status, "failed");
+
+  const retried = await app.request("POST", "/api/videos/generate", { user: user.id, body: GENERATE, headers });
+
+  assert.equal(retried.status, 200);
+  assert.notEqual(retried.body.video.id, failed.body.video.id);
+  assert.equal(await balanceOf(db.pool, user.id), 2);
+});
+
+test("a key another request is still settling gets a 409, not someone else's video", async () => {
+  const user = await createUser(db.pool, { tokens: 20 });
+  const headers = { "Idempotency-Key": "in-flight" };
+  await app.request("POST", "/api/videos/generate", { user: user.id, body: GENERATE, headers });
+
+  // The first request hadn't stored its response when this one looked, and
+  // had released the key again by the time saving it conflicted
+  const idempotency = require("../services/idempotency");
+  const find = idempotency.findIdempotentResponse;
+  idempotency.findIdempotentResponse = async () => null;
+  delete require.cache[require.resolve("../routes/video")];
+  const racing = await serve({ "/api/videos": require("../routes/video")(db.pool, testAuth, null) });
+  idempotency.findIdempotentResponse = find;
+
+  try {
+    const res = await racing.request("POST", "/api/videos/generate", { user: user.id, body: GENERATE, headers });
+    assert.equal(res.status, 409);
+    assert.match(res.body.error, /still in progress/);
+    assert.equal(await balanceOf(db.pool, user.id), 12);
+  } finally {
+    await racing.close();
+  }
+});
+
+test("an approved draft that can't be queued is failed and both charges refunded", async () => {
+  const user = await createUser(db.pool, { tokens: 10 });
+  const video = await insertVideo(user, "draft", { script: {}, scenes: [] });
+  await db.pool.query(
+    `INSERT INTO token_ledger (user_id, delta, reason, video_id, idempotency_key)
+     VALUES ($1, -1, 'GENERATE_VIDEO', $2, $3)`,
+    [String(user.id), String(video.id), `gen:${video.id}`]
+  );
+  queue.videoQueue.failNextAdd();
+
+  const res = await app.request("POST", `/api/videos/${video.id}/approve`, { user: user.id });
+
+  // minimal + 30s costs 6: 1 for the draft, 5 to approve it
+  assert.equal(res.status, 503);
+  assert.deepEqual(res.body.video, { id: video.id, status: "failed" });
+  assert.equal(res.body.tokensRefunded, 6);
+  assert.equal(await balanceOf(db.pool, user.id), 11);
+  const row = await db.pool.query("SELECT status FROM videos WHERE id = $1", [video.id]);
+  assert.equal(row.rows[0].status, "failed");
+});
+
+test("a localized version that can't be queued is failed and refunded; the others go ahead", async () => {
+  const user = await createUser(db.pool, { tokens: 20 });
+  const video = await insertVideo(user, "completed", { script: {}, scenes: [], images: [] });
+  queue.videoQueue.failNextAdd();
+
+  const res = await app.request("POST", `/api/videos/${video.id}/localize`, {
+    user: user.id,
+    body: { languages: ["es", "fr"] },
+  });
+
+  // minimal + 30s costs 6, 4 without the reused scenes and images
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.videos.map((v) => [v.language, v.status]),
+    [
+      ["es", "failed"],
+      ["fr", "queued"],
+    ]
+  );
+  assert.equal(res.body.tokensUsed, 4);
+  assert.equal(await balanceOf(db.pool, user.id), 16);
+  assert.equal(queue.videoQueue.added.length, 1);
+});
+
+test("generating in a workspace charges the workspace, and viewers can't", async () => {
+  const editor = await createUser(db.pool, { tokens: 0 });
+  const viewer = await createUser(db.pool, { tokens: 50 });
+  const workspace = await createWorkspace(db.pool, {
+    tokens: 10,
+    members: [
+      [editor, "editor"],
+      [viewer, "viewer"],
+    ],
+  });
+
+  const made = await app.request("POST", "/api/videos/generate", {
+    user: editor.id,
+    workspace: workspace.id,
+    body: GENERATE,
+  });
+  const refused = await app.request("POST", "/api/videos/generate", {
+    user: viewer.id,
+    workspace: workspace.id,
+    body: GENERATE,
+  });
+
+  assert.equal(made.status, 200);
+  assert.equal(made.body.video.workspaceId, workspace.id);
+  assert.equal(await workspaceBalanceOf(db.pool, workspace.id), 2);
+  assert.equal(await balanceOf(db.pool, editor.id), 0);
+  assert.equal(refused.status, 403);
+  assert.equal(await balanceOf(db.pool, viewer.id), 50);
+});
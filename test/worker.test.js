@@ -0,0 +1,86 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startDb, loadQueue, loadWorker, stubProgress, createUser, balanceOf } = require("./helpers");
+
+let db;
+let queue;
+let worker;
+let images;
+
+before(async () => {
+  db = await startDb();
+  queue = loadQueue();
+  stubProgress();
+  worker = loadWorker(db.pool);
+  images = require("../services/providers").getProvider("image", "fake");
+});
+
+after(async () => {
+  await db.stop();
+});
+
+beforeEach(() => queue.videoQueue.reset());
+
+// A queued, charged video and its generation job
+async function queuedVideo(user, cost) {
+  const v = await db.pool.query(
+    `INSERT INTO videos (user_id, topic, style, duration, status)
+     VALUES ($1, 'Tide pools', 'minimal', 30, 'queued') RETURNING *`,
+    [user.id]
+  );
+  const video = v.rows[0];
+  await db.pool.query(
+    `INSERT INTO token_ledger (user_id, delta, reason, video_id, idempotency_key)
+     VALUES ($1, $2, 'GENERATE_VIDEO', $3, $4)`,
+    [String(user.id), -cost, String(video.id), `gen:${video.id}`]
+  );
+  return { video, job: await queue.enqueueGeneration(video) };
+}
+
+// Make the image provider throw err on every call while fn runs
+async function withFailingImages(err, fn) {
+  const generate = images.generate;
+  images.generate = async () => {
+    throw err;
+  };
+  try {
+    await fn();
+  } finally {
+    images.generate = generate;
+  }
+}
+
+async function statusOf(videoId) {
+  const r = await db.pool.query("SELECT status, error_reason FROM videos WHERE id = $1", [videoId]);
+  return r.rows[0];
+}
+
+test("an image provider's 4xx fails the job on its first attempt and refunds it", async () => {
+  const user = await createUser(db.pool);
+  const { video, job } = await queuedVideo(user, 6);
+
+  let outcome;
+  await withFailingImages(Object.assign(new Error("Invalid prompt"), { status: 400 }), async () => {
+    outcome = await worker.run(job);
+  });
+
+  assert.equal(outcome.state, "failed");
+  assert.equal(outcome.attempts, 1);
+  assert.equal((await statusOf(video.id)).status, "failed");
+  assert.equal(await balanceOf(db.pool, user.id), 6);
+});
+
+test("an image provider's 5xx is retried until the attempts run out", async () => {
+  const user = await createUser(db.pool);
+  const { video, job } = await queuedVideo(user, 6);
+
+  let outcome;
+  await withFailingImages(Object.assign(new Error("Service unavailable"), { status: 503 }), async () => {
+    outcome = await worker.run(job);
+  });
+
+  assert.equal(outcome.state, "failed");
+  assert.equal(outcome.attempts, job.opts.attempts);
+  assert.equal((await statusOf(video.id)).status, "failed");
+});
@@ -0,0 +1,151 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  startDb,
+  testAuth,
+  serve,
+  createUser,
+  createWorkspace,
+  balanceOf,
+  workspaceBalanceOf,
+  ledgerOf,
+} = require("./helpers");
+
+let db;
+let app;
+let mail;
+
+before(async () => {
+  db = await startDb();
+  mail = require("../services/providers").getProvider("mail", "fake");
+  const { makeWorkspacesRouter } = require("../routes/workspaces");
+  app = await serve({ "/api/workspaces": makeWorkspacesRouter(db.pool, testAuth) });
+});
+
+after(async () => {
+  await app.close();
+  await db.stop();
+});
+
+async function invitationsOf(workspaceId) {
+  const r = await db.pool.query("SELECT * FROM workspace_invitations WHERE workspace_id = $1", [workspaceId]);
+  return r.rows;
+}
+
+test("moving tokens into a workspace debits the member and credits the workspace", async () => {
+  const owner = await createUser(db.pool, { tokens: 30 });
+  const w = await createWorkspace(db.pool, { members: [[owner, "owner"]] });
+
+  const res = await app.request("POST", `/api/workspaces/${w.id}/tokens`, { user: owner.id, body: { amount: 20 } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.workspace.tokens, 20);
+  assert.equal(await balanceOf(db.pool, owner.id), 10);
+  assert.equal(await workspaceBalanceOf(db.pool, w.id), 20);
+  const entries = await ledgerOf(db.pool, "user_id = $1 AND reason = 'WORKSPACE_TRANSFER'", [String(owner.id)]);
+  assert.deepEqual(
+    entries.map((e) => [e.delta, e.workspace_id]),
+    [
+      [-20, null],
+      [20, w.id],
+    ]
+  );
+});
+
+test("a transfer needs the tokens and the admin role", async () => {
+  const owner = await createUser(db.pool, { tokens: 5 });
+  const editor = await createUser(db.pool, { tokens: 50 });
+  const w = await createWorkspace(db.pool, { members: [[owner, "owner"], [editor, "editor"]] });
+
+  const short = await app.request("POST", `/api/workspaces/${w.id}/tokens`, { user: owner.id, body: { amount: 6 } });
+  assert.equal(short.status, 402);
+
+  const denied = await app.request("POST", `/api/workspaces/${w.id}/tokens`, { user: editor.id, body: { amount: 6 } });
+  assert.equal(denied.status, 403);
+
+  assert.equal(await balanceOf(db.pool, owner.id), 5);
+  assert.equal(await balanceOf(db.pool, editor.id), 50);
+  assert.equal(await workspaceBalanceOf(db.pool, w.id), 0);
+});
+
+test("only a workspace with a zero balance can be deleted", async () => {
+  const owner = await createUser(db.pool);
+  const admin = await createUser(db.pool);
+
+  for (const tokens of [10, -10]) {
+    const w = await createWorkspace(db.pool, { tokens, members: [[owner, "owner"]] });
+    const res = await app.request("DELETE", `/api/workspaces/${w.id}`, { user: owner.id });
+    assert.equal(res.status, 409);
+    assert.equal(await workspaceBalanceOf(db.pool, w.id), tokens);
+  }
+
+  const w = await createWorkspace(db.pool, { members: [[owner, "owner"], [admin, "admin"]] });
+  const denied = await app.request("DELETE", `/api/workspaces/${w.id}`, { user: admin.id });
+  assert.equal(denied.status, 403);
+
+  const res = await app.request("DELETE", `/api/workspaces/${w.id}`, { user: owner.id });
+  assert.equal(res.status, 200);
+  const left = await db.pool.query("SELECT 1 FROM workspaces WHERE id = $1", [w.id]);
+  assert.equal(left.rowCount, 0);
+});
+
+test("a workspace with videos in progress can't be deleted", async () => {
+  const owner = await createUser(db.pool);
+  const w = await createWorkspace(db.pool, { members: [[owner, "owner"]] });
+  const v = await db.pool.query(
+    `INSERT INTO videos (user_id, workspace_id, topic, status) VALUES ($1, $2, 'Coral reefs', 'draft') RETURNING id`,
+    [owner.id, w.id]
+  );
+
+  const res = await app.request("DELETE", `/api/workspaces/${w.id}`, { user: owner.id });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.activeVideos, 1);
+
+  await db.pool.query("UPDATE videos SET status = 'cancelled' WHERE id = $1", [v.rows[0].id]);
+  const deleted = await app.request("DELETE", `/api/workspaces/${w.id}`, { user: owner.id });
+  assert.equal(deleted.status, 200);
+});
+
+test("an invitation is emailed and can be accepted by that address", async () => {
+  const owner = await createUser(db.pool);
+  const invitee = await createUser(db.pool);
+  const w = await createWorkspace(db.pool, { members: [[owner, "owner"]] });
+
+  const res = await app.request("POST", `/api/workspaces/${w.id}/invitations`, {
+    user: owner.id,
+    body: { email: invitee.email, role: "viewer" },
+  });
+  assert.equal(res.status, 201);
+
+  const message = mail.sent.find((m) => m.to === invitee.email);
+  const token = decodeURIComponent(message.text.match(/token=([^\s]+)/)[1]);
+  const accepted = await app.request("POST", "/api/workspaces/invitations/accept", {
+    user: invitee.id,
+    body: { token },
+  });
+  assert.equal(accepted.status, 200);
+  assert.deepEqual(accepted.body.workspace, { id: w.id, role: "viewer" });
+});
+
+test("an invitation whose email can't be sent is not left open", async () => {
+  const owner = await createUser(db.pool);
+  const w = await createWorkspace(db.pool, { members: [[owner, "owner"]] });
+
+  const send = mail.send;
+  mail.send = async () => {
+    throw new Error("mail relay down");
+  };
+  let res;
+  try {
+    res = await app.request("POST", `/api/workspaces/${w.id}/invitations`, {
+      user: owner.id,
+      body: { email: "someone@example.test" },
+    });
+  } finally {
+    mail.send = send;
+  }
+
+  assert.equal(res.status, 500);
+  assert.deepEqual(await invitationsOf(w.id), []);
+});
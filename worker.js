@@ -3,10 +3,16 @@ require("dotenv").config();
 
 const express = require("express");
 const { Pool } = require("pg");
-const { Worker } = require("bullmq");
+const { Worker, UnrecoverableError } = require("bullmq");
 const IORedis = require("ioredis");
 
 const VideoGenerator = require("./services/videoGenerator");
+const { refundVideo } = require("./services/tokens");
+const { publishProgress, progressReporter } = require("./services/progress");
+const { PipelineCancelledError, isRetryable } = require("./services/errors");
+const { sweepRenders } = require("./services/renders");
+const { reconcileBalances } = require("./services/ledger");
+const { videoQueue } = require("./queue");
 
 // ---- ENV checks
 if (!process.env.DATABASE_URL) console.warn("⚠️ DATABASE_URL missing");
@@ -26,12 +32,51 @@ const connection = new IORedis(process.env.REDIS_URL, {
 // ---- Video generator
 const videoGenerator = new VideoGenerator();
 
+// Jobs that redo part of a finished video, by the ledger reason of their
+// charge. The video keeps its previous output until they complete, and a
+// failure only returns their own charge.
+const REWORK_CHARGES = {
+  regenerate_scene: "REGENERATE_SCENE",
+  rerun_stages: "RERUN_STAGES",
+};
+
+// The scheduled reconciliation may report drift or explain it with
+// RECONCILIATION entries, never overwrite balances: reset_balance is for an
+// operator looking at the report (POST /api/tokens/reconcile)
+const UNATTENDED_RECONCILE_MODES = ["report", "adjust_ledger"];
+let reconcileMode = process.env.TOKEN_RECONCILE_MODE || "report";
+if (!UNATTENDED_RECONCILE_MODES.includes(reconcileMode)) {
+  console.warn(`⚠️ TOKEN_RECONCILE_MODE=${reconcileMode} is not allowed for scheduled runs; using report`);
+  reconcileMode = "report";
+}
+
+async function isCancelled(videoId) {
+  const r = await pool.query("SELECT status FROM videos WHERE id=$1", [videoId]);
+  return r.rows[0]?.status === "cancelled";
+}
+
 // ---- Worker
 const worker = new Worker(
   "videoQueue",
   async (job) => {
     console.log(`🧵 Job received: ${job.name} (${job.id})`, job.data);
 
+    if (job.name === "sweep_renders") {
+      const settled = await sweepRenders(pool);
+      return { ok: true, settled };
+    }
+
+    if (job.name === "reconcile_tokens") {
+      const drift = await reconcileBalances(pool, { mode: reconcileMode });
+      drift.forEach((d) =>
+        console.warn(
+          `⚖️ Balance drift ${JSON.stringify(d.account)}: cached=${d.balance} ledger=${d.ledgerBalance}` +
+            (d.repaired ? " (repaired)" : "")
+        )
+      );
+      return { ok: true, drifted: drift.length };
+    }
+
     const { videoId } = job.data;
     if (!videoId) throw new Error("Missing videoId in job.data");
 
@@ -40,21 +85,138 @@ const worker = new Worker(
     if (!v.rows.length) throw new Error(`Video not found: ${videoId}`);
 
     const videoRow = v.rows[0];
+    if (videoRow.status === "cancelled") {
+      console.log(`🛑 Skipping cancelled video ${videoId}`);
+      return { ok: false, cancelled: true };
+    }
 
     // Mark processing
-    await pool.query("UPDATE videos SET status='processing' WHERE id=$1", [videoId]);
-
-    // Run generation (your service method)
-    await videoGenerator.generateFromVideoRow(videoRow, { pool });
+    await pool.query(
+      "UPDATE videos SET status='processing' WHERE id=$1 AND status <> 'cancelled'",
+      [videoId]
+    );
+    await publishProgress(videoId, { status: "processing", attempt: job.attemptsMade + 1 });
+
+    // Run generation. Finished stages are checkpointed on the row, so a retry
+    // resumes where the last attempt stopped. Forced stages only apply to the
+    // first attempt, otherwise every retry would pay for them again.
+    const force = job.attemptsMade === 0 ? job.data.forceStages || [] : [];
+    let result;
+    try {
+      // Scene regeneration swaps one scene's assets first (once, even across
+      // retries), then the normal run below re-renders from the checkpoints
+      if (job.name === "regenerate_scene" && !job.data.sceneApplied) {
+        await videoGenerator.regenerateSceneFromVideoRow(videoRow, {
+          pool,
+          onProgress: progressReporter(videoId),
+          ...job.data.scene,
+        });
+        await job.updateData({ ...job.data, sceneApplied: true });
+      }
+
+      result = await videoGenerator.generateFromVideoRow(videoRow, {
+        pool,
+        force,
+        draft: Boolean(job.data.draft),
+        // A regeneration's or rerun's failure has to be settled against its
+        // own charge by the failed handler below, so it waits for its render here
+        handOffRender: !REWORK_CHARGES[job.name],
+        onProgress: progressReporter(videoId),
+      });
+    } catch (err) {
+      // A cancelled render surfaces as a Creatomate error, so check the row too
+      if (err instanceof PipelineCancelledError || (await isCancelled(videoId))) {
+        throw new UnrecoverableError(`Video ${videoId} was cancelled`);
+      }
+      // e.g. an LLM answer that failed validation even after repairs, or a
+      // provider rejecting the request outright: another attempt won't help
+      if (!isRetryable(err)) {
+        console.warn(`🚫 Not retrying ${job.id}: ${err.message}`);
+        throw new UnrecoverableError(err.message);
+      }
+      throw err;
+    }
+    if (result?.renderPending) {
+      // The render webhook (or the sweep) queues this video again when it finishes
+      console.log(`⏳ Render handed off: ${job.id} videoId=${videoId}`);
+      return { ok: true, renderPending: true };
+    }
+    await publishProgress(videoId, { status: result?.draft ? "draft" : "completed" });
 
     console.log(`✅ Job complete: ${job.id} videoId=${videoId}`);
     return { ok: true };
   },
-  { connection }
+  { connection, concurrency: Number(process.env.WORKER_CONCURRENCY) || 1 }
 );
 
+// Catch handed-off renders whose webhook never arrived
+videoQueue
+  .add("sweep_renders", {}, {
+    jobId: "sweep-renders",
+    repeat: { every: (Number(process.env.RENDER_SWEEP_INTERVAL_SECONDS) || 60) * 1000 },
+    removeOnComplete: true,
+    removeOnFail: true,
+  })
+  .catch((err) => console.error("Failed to schedule render sweep:", err));
+
+// Check cached token balances against the ledger
+videoQueue
+  .add("reconcile_tokens", {}, {
+    jobId: "reconcile-tokens",
+    repeat: { every: (Number(process.env.TOKEN_RECONCILE_INTERVAL_HOURS) || 24) * 3600 * 1000 },
+    removeOnComplete: true,
+    removeOnFail: true,
+  })
+  .catch((err) => console.error("Failed to schedule token reconciliation:", err));
+
 worker.on("completed", (job) => console.log(`✅ completed ${job.id}`));
-worker.on("failed", (job, err) => console.error(`❌ failed ${job?.id}`, err));
+worker.on("failed", async (job, err) => {
+  console.error(`❌ failed ${job?.id}`, err);
+
+  // Only act once BullMQ has given up on the job
+  if (!job) return;
+  const retrying =
+    !(err instanceof UnrecoverableError) && job.attemptsMade < (job.opts.attempts || 1);
+  if (retrying) return;
+
+  const { videoId } = job.data;
+  if (!videoId) return;
+
+  try {
+    if (REWORK_CHARGES[job.name]) {
+      // The previous render is still the video's output; just return the charge
+      const what = job.name === "regenerate_scene" ? "Scene regeneration" : "Stage rerun";
+      await pool.query(
+        "UPDATE videos SET status='completed', error_reason=$2 WHERE id=$1",
+        [videoId, `${what} failed: ${String(err?.message || err)}`.slice(0, 1000)]
+      );
+      await publishProgress(videoId, { status: "completed", error: String(err?.message || err) });
+      await refundVideo(pool, videoId, {
+        policy: "full",
+        chargeReasons: [REWORK_CHARGES[job.name]],
+        chargeKeys: [job.data.ledgerKey],
+        idempotencyKey: `refund:${job.data.ledgerKey}`,
+      });
+      return;
+    }
+
+    // Cancelled videos were already settled by the cancel route
+    const r = await pool.query(
+      `UPDATE videos SET status='failed', error_reason=$2
+       WHERE id=$1 AND status NOT IN ('completed', 'cancelled')
+       RETURNING id`,
+      [videoId, String(err?.message || err).slice(0, 1000)]
+    );
+    if (!r.rowCount) return;
+
+    await publishProgress(videoId, { status: "failed", error: String(err?.message || err) });
+
+    const refunded = await refundVideo(pool, videoId);
+    if (refunded) console.log(`💸 Refunded ${refunded} tokens for video ${videoId}`);
+  } catch (e) {
+    console.error(`Failed to settle failed video ${videoId}:`, e);
+  }
+});
 
 // ---- Keepalive health server (important on Railway)
 const app = express();